@@ -0,0 +1,280 @@
+/**
+ * Archive Import Module
+ * Reads HAR exports and WARC archives into captured responses and serves
+ * them to the crawler, so sites we cannot reach can still be audited
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// Decoded size limit per captured body, so a compressed bomb cannot exhaust memory
+const MAX_DECODED_BYTES = 50 * 1024 * 1024;
+
+// Statuses whose Response must not carry a body
+const NULL_BODY_STATUSES = new Set([101, 204, 205, 304]);
+
+function stripFragment(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href;
+  } catch {
+    return null;
+  }
+}
+
+function addHeader(headers, name, value) {
+  const key = name.toLowerCase();
+  // HTTP/2 pseudo-headers (":status") show up in browser HAR exports
+  if (key.startsWith(':')) return;
+  headers[key] = headers[key] !== undefined ? `${headers[key]}, ${value}` : String(value);
+}
+
+/**
+ * Parse a HAR export
+ * @param {string} text - HAR JSON
+ * @returns {Array} [{ url, status_code, headers, body, captured_at }]
+ */
+function parseHar(text) {
+  const har = JSON.parse(text);
+  const entries = (har.log && har.log.entries) || [];
+  const records = [];
+
+  entries.forEach(entry => {
+    const request = entry.request || {};
+    const response = entry.response || {};
+    if ((request.method || 'GET').toUpperCase() !== 'GET' || !response.status) return;
+
+    const headers = {};
+    (response.headers || []).forEach(h => addHeader(headers, h.name, h.value));
+
+    // HAR bodies are already decoded; base64 is used for binary content
+    const content = response.content || {};
+    const body = content.text
+      ? Buffer.from(content.text, content.encoding === 'base64' ? 'base64' : 'utf8')
+      : Buffer.alloc(0);
+    if (!headers['content-type'] && content.mimeType) headers['content-type'] = content.mimeType;
+    if (!headers.location && response.redirectURL) headers.location = response.redirectURL;
+
+    records.push({
+      url: request.url,
+      status_code: response.status,
+      headers,
+      body,
+      captured_at: entry.startedDateTime || null
+    });
+  });
+
+  return records;
+}
+
+function dechunk(body) {
+  const parts = [];
+  let offset = 0;
+  while (offset < body.length) {
+    const lineEnd = body.indexOf('\r\n', offset);
+    if (lineEnd === -1) break;
+    const size = parseInt(body.subarray(offset, lineEnd).toString('latin1').split(';')[0], 16);
+    if (isNaN(size) || size === 0) break;
+    parts.push(body.subarray(lineEnd + 2, lineEnd + 2 + size));
+    offset = lineEnd + 2 + size + 2;
+  }
+  return Buffer.concat(parts);
+}
+
+function decodeContent(body, encoding) {
+  try {
+    switch ((encoding || '').trim().toLowerCase()) {
+      case 'gzip':
+      case 'x-gzip':
+        return zlib.gunzipSync(body, { maxOutputLength: MAX_DECODED_BYTES });
+      case 'deflate':
+        try {
+          return zlib.inflateSync(body, { maxOutputLength: MAX_DECODED_BYTES });
+        } catch {
+          return zlib.inflateRawSync(body, { maxOutputLength: MAX_DECODED_BYTES });
+        }
+      case 'br':
+        return zlib.brotliDecompressSync(body, { maxOutputLength: MAX_DECODED_BYTES });
+      default:
+        return body;
+    }
+  } catch {
+    return body;
+  }
+}
+
+/**
+ * Parse the HTTP response message stored in a WARC response record
+ * @param {Buffer} block - Record payload (status line, headers, body)
+ * @returns {Object|null} { status_code, headers, body }
+ */
+function parseHttpResponse(block) {
+  const headerEnd = block.indexOf('\r\n\r\n');
+  if (headerEnd === -1) return null;
+  const lines = block.subarray(0, headerEnd).toString('latin1').split('\r\n');
+  const status = lines[0].match(/^HTTP\/[\d.]+\s+(\d{3})/);
+  if (!status) return null;
+
+  const headers = {};
+  lines.slice(1).forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon > 0) addHeader(headers, line.slice(0, colon).trim(), line.slice(colon + 1).trim());
+  });
+
+  let body = block.subarray(headerEnd + 4);
+  if ((headers['transfer-encoding'] || '').toLowerCase().includes('chunked')) body = dechunk(body);
+  body = decodeContent(body, headers['content-encoding']);
+
+  return { status_code: parseInt(status[1], 10), headers, body };
+}
+
+/**
+ * Parse a WARC archive (plain or gzipped per record)
+ * @param {Buffer} buffer - Archive bytes
+ * @returns {Array} [{ url, status_code, headers, body, captured_at }]
+ */
+function parseWarc(buffer) {
+  const data = buffer[0] === 0x1f && buffer[1] === 0x8b ? zlib.gunzipSync(buffer) : buffer;
+  const records = [];
+  let offset = 0;
+
+  while (offset < data.length) {
+    const start = data.indexOf('WARC/', offset);
+    if (start === -1) break;
+    const headerEnd = data.indexOf('\r\n\r\n', start);
+    if (headerEnd === -1) break;
+
+    const fields = {};
+    data.subarray(start, headerEnd).toString('utf8').split('\r\n').slice(1).forEach(line => {
+      const colon = line.indexOf(':');
+      if (colon > 0) fields[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    });
+    const length = parseInt(fields['content-length'], 10) || 0;
+    const block = data.subarray(headerEnd + 4, headerEnd + 4 + length);
+    offset = headerEnd + 4 + length;
+
+    // Only full responses carry pages; request, metadata and revisit records are skipped
+    if (fields['warc-type'] !== 'response' || !/application\/http/i.test(fields['content-type'] || '')) continue;
+    const response = parseHttpResponse(block);
+    if (!response) continue;
+
+    records.push({
+      url: (fields['warc-target-uri'] || '').replace(/^<|>$/g, ''),
+      ...response,
+      captured_at: fields['warc-date'] || null
+    });
+  }
+
+  return records;
+}
+
+/**
+ * Load a HAR or WARC file
+ * @param {string} filePath - Path to a .har, .warc or .warc.gz file
+ * @returns {Object} { file, format, records }
+ */
+function loadArchive(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Archive not found: ${filePath}`);
+  }
+  const buffer = fs.readFileSync(filePath);
+  const head = buffer.subarray(0, 64).toString('utf8').trimStart();
+  const format = /\.har$/i.test(filePath) || head.startsWith('{') ? 'har' : 'warc';
+  const records = format === 'har' ? parseHar(buffer.toString('utf8')) : parseWarc(buffer);
+  return { file: path.resolve(filePath), format, records };
+}
+
+/**
+ * Create a client with the same interface as createHttpClient() that answers
+ * requests from archived responses. URLs that were not captured reject with
+ * code ENOTCAPTURED.
+ * @param {Object} archive - Result of loadArchive()
+ * @returns {Object} { request, setCrawlDelay, has, urls, summary, settings }
+ */
+function createArchiveClient(archive) {
+  const byUrl = new Map();
+
+  // The latest capture of a URL wins
+  archive.records.forEach(record => {
+    const url = stripFragment(record.url);
+    if (!url || record.status_code < 200 || record.status_code > 599) return;
+    const previous = byUrl.get(url);
+    if (previous && previous.captured_at && record.captured_at && previous.captured_at > record.captured_at) return;
+    byUrl.set(url, record);
+  });
+
+  function has(url) {
+    return byUrl.has(stripFragment(url));
+  }
+
+  /**
+   * Answer a request from the archive
+   * @param {string} url - Absolute URL
+   * @param {Object} init - fetch() options (method is honored)
+   * @returns {Promise<Response>}
+   */
+  async function request(url, init = {}) {
+    const record = byUrl.get(stripFragment(url));
+    if (!record) {
+      const error = new Error(`Not captured in archive: ${url}`);
+      error.code = 'ENOTCAPTURED';
+      throw error;
+    }
+
+    const headers = new Headers();
+    Object.entries(record.headers).forEach(([name, value]) => {
+      try {
+        headers.set(name, value);
+      } catch {
+        // Skip header values fetch refuses (stray control characters)
+      }
+    });
+
+    const head = (init.method || 'GET').toUpperCase() === 'HEAD';
+    const body = head || NULL_BODY_STATUSES.has(record.status_code) ? null : record.body;
+    return new Response(body, { status: record.status_code, headers });
+  }
+
+  // Nothing to throttle when replaying captures
+  function setCrawlDelay() {}
+
+  const captureDates = [...byUrl.values()].map(r => r.captured_at).filter(Boolean).sort();
+
+  return {
+    request,
+    setCrawlDelay,
+    has,
+    urls: () => [...byUrl.keys()],
+    summary: {
+      file: archive.file,
+      format: archive.format,
+      records: byUrl.size,
+      captured_from: captureDates[0] || null,
+      captured_to: captureDates[captureDates.length - 1] || null
+    },
+    settings: { file: archive.file }
+  };
+}
+
+/**
+ * Pick a start URL for an archive: the root of the first captured HTML page
+ * @param {Object} archive - Result of loadArchive()
+ * @returns {string|null}
+ */
+function guessStartUrl(archive) {
+  const page = archive.records.find(r =>
+    r.status_code === 200 && /text\/html/i.test(r.headers['content-type'] || '')
+  );
+  return page ? new URL('/', page.url).href : null;
+}
+
+module.exports = {
+  parseHar,
+  parseWarc,
+  parseHttpResponse,
+  loadArchive,
+  createArchiveClient,
+  guessStartUrl
+};
@@ -0,0 +1,302 @@
+/**
+ * Bot Persona Comparison Module
+ * Fetches a sample of key pages once per AI crawler user agent and compares
+ * each response with a browser baseline to find bot-specific blocking,
+ * challenge pages and cloaking
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createHttpClient } = require('./http_client');
+const { loadHtml, extractPage } = require('./html_extractor');
+const { extractEntities, entityTypes } = require('./schema_entities');
+const { classifyContentType } = require('./page_types');
+const { resolveCrawlOptions, fetchFollowingRedirects } = require('./crawler');
+const { incompleteSnapshotWarning } = require('./crawl_checkpoint');
+
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+
+// User-Agent strings the AI crawlers announce themselves with
+const BOT_PERSONAS = {
+  'GPTBot': 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; GPTBot/1.2; +https://openai.com/gptbot)',
+  'OAI-SearchBot': 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; OAI-SearchBot/1.0; +https://openai.com/searchbot)',
+  'ChatGPT-User': 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko); compatible; ChatGPT-User/1.0; +https://openai.com/bot',
+  'ClaudeBot': 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; ClaudeBot/1.0; +claudebot@anthropic.com)',
+  'PerplexityBot': 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; PerplexityBot/1.0; +https://perplexity.ai/perplexitybot)',
+  'CCBot': 'CCBot/2.0 (https://commoncrawl.org/faq/)',
+  'Bingbot': 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; bingbot/2.0; +http://www.bing.com/bingbot.htm) Chrome/116.0.1938.76 Safari/537.36'
+};
+
+const DEFAULT_SAMPLE_SIZE = 10;
+
+// A persona response this much smaller or larger than the baseline counts as different content
+const MIN_LENGTH_RATIO = 0.5;
+const MAX_LENGTH_RATIO = 2;
+const MIN_WORD_RATIO = 0.5;
+
+// Markers of bot-protection interstitials: [name, test(html, headers)]
+const CHALLENGE_MARKERS = [
+  ['Cloudflare challenge', (html, headers) =>
+    headers['cf-mitigated'] === 'challenge' ||
+    /<title>\s*(Just a moment\.\.\.|Attention Required! \| Cloudflare)/i.test(html) ||
+    /challenges\.cloudflare\.com|\bcf[-_]chl[-_]/i.test(html)],
+  ['reCAPTCHA', html => /g-recaptcha|www\.google\.com\/recaptcha\//i.test(html)],
+  ['hCaptcha', html => /hcaptcha\.com|class="h-captcha/i.test(html)],
+  ['DataDome', (html, headers) => /captcha-delivery\.com/i.test(html) || 'x-datadome' in headers],
+  ['PerimeterX', html => /px-captcha|_pxCaptcha|perimeterx/i.test(html)],
+  ['Imperva', html => /_Incapsula_Resource|Incapsula incident/i.test(html)],
+  ['AWS WAF', html => /awswaf|aws-waf-token/i.test(html)],
+  ['Akamai', html => /<title>\s*Access Denied\s*<\/title>/i.test(html) && /Reference\s*#[\d.a-f]+/i.test(html)]
+];
+
+/**
+ * Name the bot-protection challenge a response looks like, if any
+ * @param {string} html - Response body
+ * @param {Object} headers - Response headers (lowercased names)
+ * @returns {string|null}
+ */
+function detectChallenge(html, headers = {}) {
+  const match = CHALLENGE_MARKERS.find(([, test]) => test(html || '', headers));
+  return match ? match[0] : null;
+}
+
+/**
+ * Fetch a page as one user agent and fingerprint the response
+ * @param {Object} client - HTTP client from createHttpClient()
+ * @param {string} url - Page URL
+ * @param {string} userAgent - User-Agent header to send
+ * @returns {Promise<Object>} { status_code, final_url, content_length, title, word_count, structured_data_types, challenge, error }
+ */
+async function fetchAs(client, url, userAgent) {
+  const headers = {
+    'User-Agent': userAgent,
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.9'
+  };
+
+  try {
+    const result = await fetchFollowingRedirects(client, url, () => headers);
+    if (!result.response) {
+      return { status_code: result.chain[0].status_code, final_url: result.final_url, error: result.error || 'redirect_loop' };
+    }
+
+    const response = result.response;
+    const responseHeaders = Object.fromEntries(response.headers);
+    const body = await response.text();
+    const fingerprint = {
+      status_code: response.status,
+      final_url: result.final_url,
+      content_length: Buffer.byteLength(body),
+      title: '',
+      word_count: 0,
+      structured_data_types: [],
+      challenge: detectChallenge(body, responseHeaders)
+    };
+
+    if (classifyContentType(responseHeaders['content-type']) === 'html') {
+      const $ = loadHtml(body);
+      const extracted = extractPage($, result.final_url);
+      fingerprint.title = extracted.title;
+      fingerprint.word_count = extracted.word_count;
+      fingerprint.structured_data_types = [...entityTypes(extractEntities($, result.final_url).entities)].sort();
+    }
+    return fingerprint;
+  } catch (error) {
+    return { status_code: 0, error: error.message };
+  }
+}
+
+/**
+ * Compare a persona's fingerprint with the browser baseline
+ * @param {Object} baseline - Browser fingerprint
+ * @param {Object} persona - Persona fingerprint
+ * @returns {Object} { verdict: 'ok'|'blocked'|'different', severity, differences: [] }; severity is
+ *   critical when the bot is blocked or misses main content or structured data, medium for other
+ *   status or URL differences and low when only the title or page size differ (A/B tests, dynamic titles)
+ */
+function compareFingerprints(baseline, persona) {
+  const blocked = [];
+  const different = [];
+  let missingContent = false;
+  let cosmeticOnly = true;
+
+  if (persona.error) {
+    blocked.push(`request failed (${persona.error})`);
+  } else if (persona.status_code !== baseline.status_code) {
+    if (persona.status_code >= 400) {
+      blocked.push(`HTTP ${persona.status_code} (browser got ${baseline.status_code})`);
+    } else {
+      different.push(`HTTP ${persona.status_code} (browser got ${baseline.status_code})`);
+      cosmeticOnly = false;
+    }
+  }
+  if (persona.challenge && persona.challenge !== baseline.challenge) {
+    blocked.push(`${persona.challenge} page served`);
+  }
+
+  if (blocked.length === 0 && !persona.error) {
+    if (persona.final_url !== baseline.final_url) {
+      different.push(`ends at ${persona.final_url} (browser: ${baseline.final_url})`);
+      cosmeticOnly = false;
+    }
+    if (persona.title !== baseline.title) {
+      different.push(`title "${persona.title}" (browser: "${baseline.title}")`);
+    }
+    const missingTypes = baseline.structured_data_types.filter(t => !persona.structured_data_types.includes(t));
+    if (missingTypes.length > 0) {
+      different.push(`structured data missing: ${missingTypes.join(', ')}`);
+      missingContent = true;
+    }
+    const lengthRatio = baseline.content_length > 0 ? persona.content_length / baseline.content_length : 1;
+    if (lengthRatio < MIN_LENGTH_RATIO || lengthRatio > MAX_LENGTH_RATIO) {
+      different.push(`${persona.content_length} bytes (browser: ${baseline.content_length})`);
+    }
+    if (baseline.word_count > 0 && persona.word_count / baseline.word_count < MIN_WORD_RATIO) {
+      different.push(`${persona.word_count} words (browser: ${baseline.word_count})`);
+      missingContent = true;
+    }
+  }
+
+  const verdict = blocked.length > 0 ? 'blocked' : different.length > 0 ? 'different' : 'ok';
+  let severity = null;
+  if (verdict === 'blocked' || missingContent) severity = 'critical';
+  else if (verdict === 'different') severity = cosmeticOnly ? 'low' : 'medium';
+  return { verdict, severity, differences: [...blocked, ...different] };
+}
+
+/**
+ * Pick the pages to compare: the homepage, then key pages, then the best-linked HTML pages
+ * @param {Object} snapshot - Site snapshot
+ * @param {number} size - Sample size
+ * @returns {Array} Page URLs
+ */
+function samplePages(snapshot, size = DEFAULT_SAMPLE_SIZE) {
+  const htmlPages = snapshot.pages
+    .filter(p => p.status_code === 200 && (p.resource_type || 'html') === 'html');
+  const byLinks = [...htmlPages].sort((a, b) => (b.internal_links || 0) - (a.internal_links || 0));
+  const candidates = [
+    snapshot.website_url,
+    ...(snapshot.key_pages || []).map(kp => kp.url),
+    ...byLinks.map(p => p.url)
+  ];
+  const crawled = new Set(htmlPages.map(p => p.url));
+  return [...new Set(candidates)].filter(url => crawled.has(url)).slice(0, size);
+}
+
+/**
+ * Resolve the personas to compare from config
+ * @param {Array} configured - Persona names or { name, user_agent } objects (default: all)
+ * @returns {Object} Map of persona name to User-Agent
+ */
+function resolvePersonas(configured) {
+  if (!configured || configured.length === 0) return { ...BOT_PERSONAS };
+  const personas = {};
+  configured.forEach(entry => {
+    if (typeof entry === 'string') {
+      if (!BOT_PERSONAS[entry]) throw new Error(`Unknown bot persona: ${entry}`);
+      personas[entry] = BOT_PERSONAS[entry];
+    } else {
+      personas[entry.name] = entry.user_agent;
+    }
+  });
+  return personas;
+}
+
+/**
+ * Fetch sampled pages as the browser and every persona and diff the results
+ * @param {Object} snapshot - Site snapshot
+ * @param {Object} options - Crawl options plus personas and persona_sample
+ * @returns {Promise<Object>} Comparison report
+ */
+async function compareBotPersonas(snapshot, options = {}) {
+  const personas = resolvePersonas(options.personas);
+  const client = createHttpClient({
+    timeoutMs: options.timeout_ms,
+    concurrency: options.concurrency,
+    requestsPerSecond: options.requests_per_second,
+    maxRetries: 0
+  });
+  const urls = samplePages(snapshot, options.persona_sample || DEFAULT_SAMPLE_SIZE);
+
+  const pages = [];
+  for (const url of urls) {
+    console.log(`Comparing: ${url}`);
+    const baseline = await fetchAs(client, url, BROWSER_USER_AGENT);
+    const page = { url, baseline, personas: {} };
+
+    if (baseline.error || baseline.status_code !== 200) {
+      // Without a working browser response there is nothing to compare against
+      page.skipped = baseline.error ? `browser request failed (${baseline.error})` : `browser got HTTP ${baseline.status_code}`;
+      pages.push(page);
+      continue;
+    }
+
+    for (const [name, userAgent] of Object.entries(personas)) {
+      const fingerprint = await fetchAs(client, url, userAgent);
+      page.personas[name] = { ...fingerprint, ...compareFingerprints(baseline, fingerprint) };
+    }
+    pages.push(page);
+  }
+
+  const summary = {};
+  Object.keys(personas).forEach(name => {
+    const results = pages.map(p => p.personas[name]).filter(Boolean);
+    summary[name] = {
+      pages_compared: results.length,
+      blocked: results.filter(r => r.verdict === 'blocked').length,
+      different: results.filter(r => r.verdict === 'different').length
+    };
+  });
+
+  return {
+    compared_at: new Date().toISOString(),
+    // Key pages of a partial crawl may miss pages the full crawl would pick
+    snapshot_incomplete: Boolean(snapshot.incomplete),
+    baseline_user_agent: BROWSER_USER_AGENT,
+    personas,
+    pages,
+    summary
+  };
+}
+
+async function main() {
+  const dataDir = path.join(__dirname, '..', 'data');
+  const snapshotPath = path.join(dataDir, 'site_snapshot.json');
+  const customerPath = path.join(dataDir, 'customer.json');
+
+  const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+  if (snapshot.source_dir || snapshot.archive) {
+    console.log('Snapshot was not crawled from the live site - skipping bot persona comparison');
+    return;
+  }
+  const customer = fs.existsSync(customerPath) ? JSON.parse(fs.readFileSync(customerPath, 'utf8')) : null;
+
+  const comparison = await compareBotPersonas(snapshot, resolveCrawlOptions(customer));
+  snapshot.bot_comparison = comparison;
+  fs.writeFileSync(snapshotPath, JSON.stringify(snapshot, null, 2));
+
+  console.log(`\nBot persona comparison complete!`);
+  Object.entries(comparison.summary).forEach(([name, s]) => {
+    console.log(`- ${name}: ${s.blocked} blocked, ${s.different} different of ${s.pages_compared} pages`);
+  });
+  console.log(`- Updated: ${snapshotPath}`);
+  const warning = incompleteSnapshotWarning(snapshot);
+  if (warning) console.warn(`Warning: ${warning}`);
+}
+
+// CLI execution
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  BOT_PERSONAS,
+  BROWSER_USER_AGENT,
+  detectChallenge,
+  compareFingerprints,
+  samplePages,
+  compareBotPersonas
+};
@@ -12,8 +12,22 @@
 
 const fs = require('fs');
 const path = require('path');
+const { isAssetPage } = require('./page_types');
+const { incompleteSnapshotWarning } = require('./crawl_checkpoint');
+const { mainWordCount } = require('./main_content');
+const { pageEntities, hasType, isSchemaOrg } = require('./schema_entities');
+const { draftOrganization, draftFaqPages, draftBreadcrumbs, draftArticles } = require('./schema_snippets');
+const { checkEntityConsistency } = require('./entity_consistency');
+const { loadLinkCheck } = require('./link_checker');
 
-function checkCitationReadiness(siteSnapshot) {
+/**
+ * Score a site's readiness to be cited by AI systems
+ * @param {Object} siteSnapshot - Site snapshot
+ * @param {Object} linkCheck - link_checker.js result, if it was run
+ * @param {Object} customer - Customer config, for the drafted JSON-LD snippets and brand entity checks
+ * @returns {Object} Score, checks and issues; schema issues carry drafted snippets
+ */
+function checkCitationReadiness(siteSnapshot, linkCheck = null, customer = {}) {
   const issues = [];
   let score = 0;
   const maxScore = 100;
@@ -25,26 +39,34 @@ function checkCitationReadiness(siteSnapshot) {
   let hasOrganizationSchema = false;
   let hasFAQSchema = false;
   let hasHowToSchema = false;
+  let hasBreadcrumbSchema = false;
+  let hasArticleSchema = false;
   
   for (const page of siteSnapshot.pages) {
-    if (page.structured_data && page.structured_data.length > 0) {
-      structuredDataScore += 10;
-      for (const sd of page.structured_data) {
-        if (sd['@type'] === 'SchemaOrg' || (sd['@context'] && sd['@context'].includes('schema.org'))) {
-          hasSchemaOrg = true;
-        }
-        if (sd['@type'] === 'Person' || sd['@type'] === 'Author') {
-          hasAuthorSchema = true;
-        }
-        if (sd['@type'] === 'Organization' || sd['@type'] === 'Corporation') {
-          hasOrganizationSchema = true;
-        }
-        if (sd['@type'] === 'FAQPage' || (sd.mainEntity && Array.isArray(sd.mainEntity))) {
-          hasFAQSchema = true;
-        }
-        if (sd['@type'] === 'HowTo') {
-          hasHowToSchema = true;
-        }
+    const entities = pageEntities(page);
+    if (entities.length === 0) continue;
+    structuredDataScore += 10;
+    for (const entity of entities) {
+      if (isSchemaOrg(entity)) {
+        hasSchemaOrg = true;
+      }
+      if (hasType(entity, 'Person') || entity.property === 'author') {
+        hasAuthorSchema = true;
+      }
+      if (hasType(entity, 'Organization')) {
+        hasOrganizationSchema = true;
+      }
+      if (hasType(entity, 'FAQPage') || (hasType(entity, 'Question') && entity.properties.acceptedAnswer)) {
+        hasFAQSchema = true;
+      }
+      if (hasType(entity, 'HowTo')) {
+        hasHowToSchema = true;
+      }
+      if (hasType(entity, 'BreadcrumbList')) {
+        hasBreadcrumbSchema = true;
+      }
+      if (hasType(entity, 'Article')) {
+        hasArticleSchema = true;
       }
     }
   }
@@ -82,13 +104,18 @@ function checkCitationReadiness(siteSnapshot) {
   }
   
   eatScore = Math.min(eatScore, 30);
+
+  // Dead sources undermine the claims that cite them
+  const brokenOutbound = linkCheck ? linkCheck.broken_external : [];
+  const brokenOutboundPenalty = Math.min(brokenOutbound.length * 2, 10);
+  eatScore = Math.max(0, eatScore - brokenOutboundPenalty);
   score += eatScore;
   
   // Check 3: Content Quality for AI (30 points max)
   let contentScore = 0;
   
-  // Check for substantial content
-  const pagesWithContent = siteSnapshot.pages.filter(p => (p.word_count || 0) > 100);
+  // Check for substantial content (main content only, boilerplate excluded)
+  const pagesWithContent = siteSnapshot.pages.filter(p => mainWordCount(p) > 100);
   contentScore += Math.min(pagesWithContent.length * 7, 20);
   
   // Check for clear headings structure (helps AI understand content)
@@ -116,21 +143,26 @@ function checkCitationReadiness(siteSnapshot) {
     });
   }
   
+  // Schema issues carry drafted JSON-LD the client can paste in
   if (!hasOrganizationSchema) {
     issues.push({
       type: 'missing_organization_schema',
       severity: 'medium',
       page: siteSnapshot.website_url,
-      message: 'No Organization schema found. Adding this helps establish authority.'
+      message: 'No Organization schema found. Adding this helps establish authority.',
+      snippets: [draftOrganization(siteSnapshot, customer)]
     });
   }
   
   if (!hasFAQSchema) {
+    const faqSnippets = draftFaqPages(siteSnapshot);
     issues.push({
       type: 'missing_faq_schema',
       severity: 'low',
-      page: siteSnapshot.website_url,
-      message: 'No FAQ schema found. FAQs are highly valued for AI citations.'
+      page: faqSnippets.length > 0 ? faqSnippets[0].page : siteSnapshot.website_url,
+      message: 'No FAQ schema found. FAQs are highly valued for AI citations.' +
+        (faqSnippets.length > 0 ? ` ${faqSnippets.length} page(s) already have question headings that can be marked up.` : ''),
+      snippets: faqSnippets
     });
   }
   
@@ -143,19 +175,73 @@ function checkCitationReadiness(siteSnapshot) {
     });
   }
   
-  const pagesWithThinContent = siteSnapshot.pages.filter(p => (p.word_count || 0) < 50);
+  const breadcrumbSnippets = hasBreadcrumbSchema ? [] : draftBreadcrumbs(siteSnapshot, customer);
+  if (breadcrumbSnippets.length > 0) {
+    issues.push({
+      type: 'missing_breadcrumb_schema',
+      severity: 'low',
+      page: breadcrumbSnippets[0].page,
+      message: 'No BreadcrumbList schema found. Breadcrumbs tell AI systems where a page sits in the site.',
+      snippets: breadcrumbSnippets
+    });
+  }
+  
+  const articleSnippets = hasArticleSchema ? [] : draftArticles(siteSnapshot, customer);
+  if (articleSnippets.length > 0) {
+    issues.push({
+      type: 'missing_article_schema',
+      severity: 'low',
+      page: articleSnippets[0].page,
+      message: 'Article pages have no Article schema. Headline, author and dates make articles easier to attribute.',
+      affected_pages: articleSnippets.map(s => s.page),
+      snippets: articleSnippets
+    });
+  }
+  
+  if (brokenOutbound.length > 0) {
+    const citingPages = new Set(brokenOutbound.flatMap(link => link.sources.map(s => s.page)));
+    issues.push({
+      type: 'broken_outbound_citations',
+      severity: brokenOutbound.length >= 5 ? 'high' : 'medium',
+      page: siteSnapshot.website_url,
+      message: `${brokenOutbound.length} outbound link(s) on ${citingPages.size} page(s) are broken. AI systems discount claims whose sources cannot be verified.`,
+      affected_pages: [...citingPages]
+    });
+  }
+  
+  // Conflicting brand entities keep AI systems from resolving who the brand is
+  const entityConsistency = checkEntityConsistency(siteSnapshot, customer);
+  entityConsistency.conflicts.forEach(conflict => {
+    issues.push({
+      type: 'inconsistent_brand_entity',
+      severity: conflict.severity,
+      page: conflict.values[0].pages[0],
+      message: conflict.message,
+      affected_pages: [...new Set(conflict.values.flatMap(v => v.pages))],
+      entity_type: conflict.entity_type,
+      field: conflict.field
+    });
+  });
+  
+  const pagesWithThinContent = siteSnapshot.pages.filter(p =>
+    !(p.status_code >= 300 && p.status_code < 400) && !isAssetPage(p) && mainWordCount(p) < 50
+  );
   if (pagesWithThinContent.length > 0) {
     issues.push({
       type: 'thin_content',
       severity: 'high',
       page: siteSnapshot.website_url,
-      message: `${pagesWithThinContent.length} page(s) with very thin content (<50 words). AI prefers substantial content.`
+      message: `${pagesWithThinContent.length} page(s) with very thin main content (<50 words). AI prefers substantial content.`
     });
   }
   
+  const incompleteWarning = incompleteSnapshotWarning(siteSnapshot);
+  
   return {
     citation_score: score,
     max_score: maxScore,
+    snapshot_incomplete: Boolean(incompleteWarning),
+    warnings: incompleteWarning ? [incompleteWarning] : [],
     total_issues: issues.length,
     high_severity: issues.filter(i => i.severity === 'high').length,
     medium_severity: issues.filter(i => i.severity === 'medium').length,
@@ -168,7 +254,9 @@ function checkCitationReadiness(siteSnapshot) {
         has_author_schema: hasAuthorSchema,
         has_organization_schema: hasOrganizationSchema,
         has_faq_schema: hasFAQSchema,
-        has_howto_schema: hasHowToSchema
+        has_howto_schema: hasHowToSchema,
+        has_breadcrumb_schema: hasBreadcrumbSchema,
+        has_article_schema: hasArticleSchema
       },
       eeat_signals: {
         score: eatScore,
@@ -176,7 +264,9 @@ function checkCitationReadiness(siteSnapshot) {
         has_author_info: hasAuthorInfo,
         has_contact_info: hasContactInfo,
         has_about_page: hasAboutPage,
-        has_privacy_policy: hasPrivacyPolicy
+        has_privacy_policy: hasPrivacyPolicy,
+        broken_outbound_links: linkCheck ? brokenOutbound.length : null,
+        brand_entity_conflicts: entityConsistency.conflicts.length
       },
       content_quality: {
         score: contentScore,
@@ -190,14 +280,23 @@ function checkCitationReadiness(siteSnapshot) {
 }
 
 // Main execution
-const workspaceDir = path.join(__dirname, '..');
-const siteSnapshotPath = path.join(workspaceDir, 'data', 'site_snapshot.json');
-const outputPath = path.join(workspaceDir, 'data', 'citation_readiness.json');
+if (require.main === module) {
+  const workspaceDir = path.join(__dirname, '..');
+  const siteSnapshotPath = path.join(workspaceDir, 'data', 'site_snapshot.json');
+  const linkCheckPath = path.join(workspaceDir, 'data', 'link_check.json');
+  const customerPath = path.join(workspaceDir, 'data', 'customer.json');
+  const outputPath = path.join(workspaceDir, 'data', 'citation_readiness.json');
+
+  const siteSnapshot = JSON.parse(fs.readFileSync(siteSnapshotPath, 'utf-8'));
+  const linkCheck = loadLinkCheck(linkCheckPath, siteSnapshot);
+  const customer = fs.existsSync(customerPath) ? JSON.parse(fs.readFileSync(customerPath, 'utf-8')) : {};
+  const results = checkCitationReadiness(siteSnapshot, linkCheck, customer);
 
-const siteSnapshot = JSON.parse(fs.readFileSync(siteSnapshotPath, 'utf-8'));
-const results = checkCitationReadiness(siteSnapshot);
+  fs.writeFileSync(outputPath, JSON.stringify(results, null, 2));
+  console.log('Citation readiness check complete. Results written to:', outputPath);
+  console.log('Score:', results.citation_score + '/' + results.max_score);
+  console.log('Issues found:', results.total_issues);
+  results.warnings.forEach(warning => console.warn('Warning:', warning));
+}
 
-fs.writeFileSync(outputPath, JSON.stringify(results, null, 2));
-console.log('Citation readiness check complete. Results written to:', outputPath);
-console.log('Score:', results.citation_score + '/' + results.max_score);
-console.log('Issues found:', results.total_issues);
+module.exports = { checkCitationReadiness };
@@ -1,19 +1,292 @@
 /**
  * Competitor Gap Analysis
- * 
- * Analyzes gaps between the customer's site and their competitors.
- * This includes:
- * - Content depth comparison
- * - Feature/functionality gaps
- * - SEO optimization gaps
- * - Structured data presence
- * - Citation readiness comparison
+ *
+ * Crawls each configured competitor with the customer's crawl limits, runs
+ * the same analyses on every site and compares them side by side:
+ * - Schema.org types competitors use that we lack
+ * - Content depth per target topic
+ * - FAQ/HowTo presence
+ * - Key page types
+ * - Citation readiness, content coverage and crawl health scores
  */
 
 const fs = require('fs');
 const path = require('path');
+const { crawlSite, resolveCrawlOptions } = require('./crawler');
+const { checkCitationReadiness } = require('./citation_readiness');
+const { analyzeContentCoverage } = require('./content_coverage');
+const { runHealthChecks } = require('./health_checks');
+const { detectKeyPages, extractEntities } = require('./key_pages');
+const { isAssetPage, isDocumentPage, PAGE_TYPE_PATTERNS } = require('./page_types');
+const { incompleteSnapshotWarning } = require('./crawl_checkpoint');
+const { pageEntities, entityTypes } = require('./schema_entities');
 
-function analyzeCompetitorGaps(customer, siteSnapshot) {
+// Crawl settings that describe the customer's own site rather than crawl limits
+const SITE_SPECIFIC_OPTIONS = ['source_dir', 'archive', 'include', 'exclude', 'personas', 'persona_sample'];
+
+// Gap score weights (sum to 100)
+const GAP_WEIGHTS = {
+  schema_types: 25,
+  topic_depth: 25,
+  faq_howto: 20,
+  key_page_types: 15,
+  scores: 15
+};
+
+const TOPIC_STOPWORDS = new Set(['a', 'an', 'and', 'the', 'of', 'for', 'to', 'in', 'on', 'with', 'vs', 'how', 'what', 'best']);
+
+/**
+ * Normalize a competitor entry ("example.com", a URL or { domain, brand_name })
+ * @param {string|Object} competitor - Entry from customer.competitors
+ * @returns {Object} { url, brand }
+ */
+function normalizeCompetitor(competitor) {
+  const domain = typeof competitor === 'string' ? competitor : (competitor.domain || competitor.website_url || '');
+  const url = /^https?:\/\//i.test(domain) ? domain : `https://${domain}`;
+  return {
+    url: new URL(url).href,
+    brand: (typeof competitor === 'object' && competitor.brand_name) || 'Unknown'
+  };
+}
+
+/**
+ * Collect Schema.org types from page structured data
+ * @param {Array} pages - Snapshot pages
+ * @returns {Set} Type names
+ */
+function collectSchemaTypes(pages) {
+  return entityTypes(pages.flatMap(pageEntities));
+}
+
+function topicTerms(topic) {
+  return topic.toLowerCase().split(/[^a-z0-9.]+/).filter(t => t.length > 1 && !TOPIC_STOPWORDS.has(t));
+}
+
+/**
+ * Measure how much content a site has on each topic: pages whose title,
+ * description, headings or URL mention every term of the topic
+ * @param {Array} pages - Content pages
+ * @param {Array} topics - Target queries
+ * @returns {Object} topic -> { pages, words }
+ */
+function measureTopicDepth(pages, topics) {
+  const depth = {};
+  topics.forEach(topic => {
+    const terms = topicTerms(topic);
+    const matching = pages.filter(page => {
+      const text = [page.title, page.meta_description, ...(page.h1 || []), ...(page.h2 || []), page.url]
+        .filter(Boolean).join(' ').toLowerCase();
+      return terms.length > 0 && terms.every(term => text.includes(term));
+    });
+    depth[topic] = {
+      pages: matching.length,
+      words: matching.reduce((sum, p) => sum + (p.word_count || 0), 0)
+    };
+  });
+  return depth;
+}
+
+/**
+ * Page types a site has, from the URL paths of its content pages
+ * @param {Array} pages - Content pages
+ * @returns {Array} Sorted type names
+ */
+function detectPageTypes(pages) {
+  const types = new Set();
+  pages.forEach(page => {
+    const pathname = new URL(page.url).pathname.toLowerCase();
+    if (pathname === '/') types.add('homepage');
+    PAGE_TYPE_PATTERNS.forEach(([type, pattern]) => {
+      if (pattern.test(pathname)) types.add(type);
+    });
+  });
+  return [...types].sort();
+}
+
+function hasFaqContent(pages, schemaTypes) {
+  return schemaTypes.has('FAQPage') ||
+    pages.some(p => (p.h2 || []).concat(p.h1 || []).some(h => /\b(faq|frequently asked)/i.test(h)));
+}
+
+function hasHowToContent(pages, schemaTypes) {
+  return schemaTypes.has('HowTo') ||
+    pages.some(p => (p.h1 || []).concat(p.h2 || []).some(h => /^how to\b/i.test(h.trim())));
+}
+
+/**
+ * Run the per-site analyses that feed the comparison
+ * @param {Object} snapshot - Site snapshot
+ * @param {Object} health - health_checks.js result for the snapshot
+ * @param {Array} topics - Target queries
+ * @returns {Object} Site profile
+ */
+function profileSite(snapshot, health, topics) {
+  const contentPages = snapshot.pages.filter(p =>
+    p.status_code === 200 && !isAssetPage(p) && !isDocumentPage(p)
+  );
+  const schemaTypes = collectSchemaTypes(snapshot.pages);
+  const citation = checkCitationReadiness(snapshot);
+  const coverage = analyzeContentCoverage(snapshot);
+
+  return {
+    url: snapshot.website_url,
+    snapshot_incomplete: Boolean(snapshot.incomplete),
+    pages_crawled: snapshot.pages.length,
+    content_pages: contentPages.length,
+    total_words: contentPages.reduce((sum, p) => sum + (p.word_count || 0), 0),
+    schema_types: [...schemaTypes].sort(),
+    has_faq: hasFaqContent(contentPages, schemaTypes),
+    has_howto: hasHowToContent(contentPages, schemaTypes),
+    key_page_types: detectPageTypes(contentPages),
+    topic_depth: measureTopicDepth(contentPages, topics),
+    scores: {
+      citation_readiness: citation.citation_score,
+      content_coverage: coverage.summary.coverage_score,
+      crawl_health: health ? health.health_score : null
+    }
+  };
+}
+
+/**
+ * Compare our site profile with a competitor's
+ * @param {Object} ours - profileSite() result for the customer
+ * @param {Object} theirs - profileSite() result for the competitor
+ * @returns {Object} { gap_score, gaps, advantages, topic_depth, score_differences }
+ */
+function compareProfiles(ours, theirs) {
+  const gaps = [];
+  const advantages = [];
+  const breakdown = {};
+
+  // Schema types
+  const missingTypes = theirs.schema_types.filter(t => !ours.schema_types.includes(t));
+  const extraTypes = ours.schema_types.filter(t => !theirs.schema_types.includes(t));
+  breakdown.schema_types = Math.min(missingTypes.length * 5, GAP_WEIGHTS.schema_types);
+  if (missingTypes.length > 0) {
+    gaps.push({
+      type: 'missing_schema_types',
+      severity: missingTypes.length >= 3 ? 'high' : 'medium',
+      message: `Competitor uses ${missingTypes.length} Schema.org type(s) we lack: ${missingTypes.join(', ')}`,
+      details: missingTypes
+    });
+  }
+  if (extraTypes.length > 0) {
+    advantages.push(`We use Schema.org types the competitor lacks: ${extraTypes.join(', ')}`);
+  }
+
+  // Content depth per topic
+  const topicDepth = Object.keys(ours.topic_depth).map(topic => {
+    const us = ours.topic_depth[topic];
+    const them = theirs.topic_depth[topic];
+    return { topic, our_pages: us.pages, our_words: us.words, their_pages: them.pages, their_words: them.words };
+  });
+  const thinnerTopics = topicDepth.filter(t => t.their_words > t.our_words);
+  breakdown.topic_depth = topicDepth.length > 0
+    ? Math.round(thinnerTopics.reduce((sum, t) => sum + (t.their_words - t.our_words) / t.their_words, 0) / topicDepth.length * GAP_WEIGHTS.topic_depth)
+    : 0;
+  thinnerTopics.forEach(t => {
+    gaps.push({
+      type: t.our_pages === 0 ? 'topic_not_covered' : 'thinner_topic_content',
+      severity: t.our_pages === 0 ? 'high' : 'medium',
+      message: t.our_pages === 0
+        ? `No page covers "${t.topic}"; the competitor has ${t.their_pages} page(s) (${t.their_words} words)`
+        : `"${t.topic}" coverage: ${t.our_words} words on ${t.our_pages} page(s) vs ${t.their_words} words on ${t.their_pages} page(s)`,
+      details: t
+    });
+  });
+  topicDepth
+    .filter(t => t.our_words > t.their_words)
+    .forEach(t => advantages.push(`Deeper content on "${t.topic}" (${t.our_words} vs ${t.their_words} words)`));
+
+  // FAQ / HowTo
+  breakdown.faq_howto = 0;
+  [['has_faq', 'FAQ', 'missing_faq_content'], ['has_howto', 'HowTo', 'missing_howto_content']].forEach(([field, label, type]) => {
+    if (theirs[field] && !ours[field]) {
+      breakdown.faq_howto += GAP_WEIGHTS.faq_howto / 2;
+      gaps.push({
+        type,
+        severity: 'medium',
+        message: `Competitor has ${label} content or schema; we have none`
+      });
+    } else if (ours[field] && !theirs[field]) {
+      advantages.push(`We have ${label} content and the competitor does not`);
+    }
+  });
+
+  // Key page types
+  const missingPageTypes = theirs.key_page_types.filter(t => !ours.key_page_types.includes(t));
+  breakdown.key_page_types = Math.min(missingPageTypes.length * 5, GAP_WEIGHTS.key_page_types);
+  if (missingPageTypes.length > 0) {
+    gaps.push({
+      type: 'missing_key_page_types',
+      severity: 'medium',
+      message: `Competitor has page types we lack: ${missingPageTypes.join(', ')}`,
+      details: missingPageTypes
+    });
+  }
+
+  // Analysis scores: every point the competitor leads by counts, split across the three scores
+  const scoreDifferences = {};
+  let scoreGap = 0;
+  Object.keys(ours.scores).forEach(name => {
+    if (ours.scores[name] === null || theirs.scores[name] === null) return;
+    const difference = theirs.scores[name] - ours.scores[name];
+    scoreDifferences[name] = difference;
+    if (difference > 0) {
+      scoreGap += difference / 100 * (GAP_WEIGHTS.scores / 3);
+      if (difference >= 10) {
+        gaps.push({
+          type: 'lower_' + name,
+          severity: difference >= 25 ? 'high' : 'medium',
+          message: `${name.replace(/_/g, ' ')} score is ${difference} points behind the competitor (${ours.scores[name]} vs ${theirs.scores[name]})`
+        });
+      }
+    } else if (difference <= -10) {
+      advantages.push(`${name.replace(/_/g, ' ')} score is ${-difference} points ahead (${ours.scores[name]} vs ${theirs.scores[name]})`);
+    }
+  });
+  breakdown.scores = Math.round(scoreGap);
+
+  return {
+    gap_score: Math.min(100, Object.values(breakdown).reduce((sum, v) => sum + v, 0)),
+    gap_breakdown: breakdown,
+    gaps,
+    advantages,
+    topic_depth: topicDepth,
+    score_differences: scoreDifferences
+  };
+}
+
+/**
+ * Crawl a competitor and store its snapshot and health checks under data/competitors/<host>/
+ * @param {string} url - Competitor start URL
+ * @param {Object} options - Crawl options
+ * @param {string} outputDir - Directory for the competitor's files
+ * @returns {Promise<Object>} { snapshot, health }
+ */
+async function crawlCompetitor(url, options, outputDir) {
+  const snapshot = await crawlSite(url, options);
+  snapshot.key_pages = detectKeyPages(snapshot.pages);
+  snapshot.key_entities = extractEntities(snapshot.pages);
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  const snapshotPath = path.join(outputDir, 'site_snapshot.json');
+  fs.writeFileSync(snapshotPath, JSON.stringify(snapshot, null, 2));
+  const health = runHealthChecks(snapshotPath, path.join(outputDir, 'health_checks.json'), { crawlOnly: true });
+  return { snapshot, health };
+}
+
+/**
+ * Crawl every configured competitor and compare it with the customer's site
+ * @param {Object} customer - Customer configuration
+ * @param {Object} siteSnapshot - Customer site snapshot
+ * @param {Object} options
+ * @param {Object} options.health - Crawl-only health_checks.js result for the customer's site,
+ *   scored like the competitors' (see runHealthChecks)
+ * @param {string} options.dataDir - Where competitor snapshots are written
+ * @returns {Promise<Object>} Gap analysis
+ */
+async function analyzeCompetitorGaps(customer, siteSnapshot, options = {}) {
   const results = {
     analysis_date: new Date().toISOString(),
     target_domain: customer.domain,
@@ -36,7 +309,7 @@ function analyzeCompetitorGaps(customer, siteSnapshot) {
     });
     results.score = 0;
     results.status = 'pending_competitor_config';
-    
+
     // Provide framework for what analysis would look like
     results.analysis_framework = {
       content_depth: {
@@ -45,9 +318,7 @@ function analyzeCompetitorGaps(customer, siteSnapshot) {
       },
       structured_data: {
         description: 'Compare structured data presence (JSON-LD, Schema.org)',
-        current_site_structured_data_types: [...new Set(
-          siteSnapshot.pages.flatMap(p => (p.structured_data || []).map(sd => sd['@type'] || 'unknown'))
-        )]
+        current_site_structured_data_types: [...collectSchemaTypes(siteSnapshot.pages)]
       },
       key_pages: {
         description: 'Compare key page types and coverage',
@@ -60,7 +331,6 @@ function analyzeCompetitorGaps(customer, siteSnapshot) {
       }
     };
 
-    // Add opportunities even when no competitors configured
     results.opportunities.push({
       priority: 'high',
       title: 'Define Competitor List',
@@ -68,80 +338,181 @@ function analyzeCompetitorGaps(customer, siteSnapshot) {
       effort: 'low'
     });
 
-    results.opportunities.push({
-      priority: 'medium',
-      title: 'Implement Competitor Crawling',
-      description: 'Build competitor site crawling capability for automated comparison',
-      effort: 'high'
-    });
-    
     return results;
   }
 
-  // Analyze each competitor
-  let totalGapScore = 0;
-  
-  for (const competitor of customer.competitors) {
+  // Competitors are crawled with the customer's limits, never their local build or archive
+  const crawlOptions = resolveCrawlOptions(customer);
+  SITE_SPECIFIC_OPTIONS.forEach(key => delete crawlOptions[key]);
+  const dataDir = options.dataDir || path.join(__dirname, '..', 'data');
+  const topics = customer.target_queries || customer.target_keywords || [];
+
+  const ours = profileSite(siteSnapshot, options.health || null, topics);
+  results.site_profile = ours;
+  const incompleteWarning = incompleteSnapshotWarning(siteSnapshot);
+  if (incompleteWarning) {
+    results.warnings = [`${incompleteWarning} Gaps against competitors may be overstated.`];
+  }
+
+  for (const entry of customer.competitors) {
+    const competitor = normalizeCompetitor(entry);
+    const host = new URL(competitor.url).host;
+    console.log(`Crawling competitor ${competitor.url}...`);
+
     const competitorAnalysis = {
-      domain: competitor.domain || competitor,
-      brand: competitor.brand_name || 'Unknown',
+      domain: host,
+      url: competitor.url,
+      brand: competitor.brand,
       gaps: [],
       opportunities: []
     };
 
-    // Placeholder for actual competitor crawling/analysis
-    // In a real implementation, this would:
-    // 1. Crawl competitor sites
-    // 2. Compare content depth
-    // 3. Compare structured data
-    // 4. Compare SEO signals
-    
-    competitorAnalysis.gaps.push({
-      type: 'competitor_crawl_required',
-      severity: 'info',
-      message: `Competitor analysis for ${competitor.domain || competitor} requires crawling competitor sites`,
-      recommendation: 'Implement competitor site crawling in future iteration'
-    });
+    let crawled;
+    try {
+      crawled = await crawlCompetitor(competitor.url, crawlOptions, path.join(dataDir, 'competitors', host.replace(/:/g, '_')));
+    } catch (error) {
+      crawled = null;
+      competitorAnalysis.status = 'crawl_failed';
+      competitorAnalysis.error = error.message;
+    }
+    if (crawled && !crawled.snapshot.pages.some(p => p.status_code === 200)) {
+      competitorAnalysis.status = 'crawl_failed';
+      competitorAnalysis.error = 'No pages could be fetched';
+    }
+
+    if (competitorAnalysis.status === 'crawl_failed') {
+      competitorAnalysis.gaps.push({
+        type: 'competitor_crawl_failed',
+        severity: 'info',
+        message: `Could not crawl ${competitor.url}: ${competitorAnalysis.error}`,
+        recommendation: 'Check the competitor URL, or whether the site blocks crawlers'
+      });
+      results.competitors_analyzed.push(competitorAnalysis);
+      continue;
+    }
 
+    const theirs = profileSite(crawled.snapshot, crawled.health, topics);
+    const comparison = compareProfiles(ours, theirs);
+    Object.assign(competitorAnalysis, {
+      status: 'analyzed',
+      profile: theirs,
+      gap_score: comparison.gap_score,
+      gap_breakdown: comparison.gap_breakdown,
+      topic_depth: comparison.topic_depth,
+      score_differences: comparison.score_differences,
+      gaps: comparison.gaps,
+      advantages: comparison.advantages
+    });
     results.competitors_analyzed.push(competitorAnalysis);
-    totalGapScore += 50; // Partial score since analysis is incomplete
   }
 
-  // Calculate overall score
-  results.score = Math.min(totalGapScore, results.max_score);
-  results.status = results.competitors_analyzed.length > 0 ? 'analyzed' : 'pending';
-  
-  // Add summary opportunities
-  results.opportunities.push({
-    priority: 'high',
-    title: 'Define Competitor List',
-    description: 'Add competitors to customer.json to enable detailed gap analysis',
-    effort: 'low'
-  });
+  const analyzed = results.competitors_analyzed.filter(c => c.status === 'analyzed');
+  results.status = analyzed.length > 0 ? 'analyzed' : 'crawl_failed';
 
-  results.opportunities.push({
-    priority: 'medium',
-    title: 'Implement Competitor Crawling',
-    description: 'Build competitor site crawling capability for automated comparison',
-    effort: 'high'
+  // Overall gap score: how far behind we are on average (0 = level with or ahead of every competitor)
+  results.score = analyzed.length > 0
+    ? Math.round(analyzed.reduce((sum, c) => sum + c.gap_score, 0) / analyzed.length)
+    : 0;
+
+  // Site-wide gaps: what at least one competitor has that we do not
+  results.competitors_analyzed.forEach(c => {
+    c.gaps.forEach(gap => results.gaps.push({ ...gap, competitor: c.domain }));
   });
 
+  const missingTypes = [...new Set(analyzed.flatMap(c => c.profile.schema_types))]
+    .filter(t => !ours.schema_types.includes(t));
+  if (missingTypes.length > 0) {
+    results.opportunities.push({
+      priority: 'high',
+      title: 'Add Missing Structured Data',
+      description: `Competitors mark up ${missingTypes.join(', ')}; adding matching schema helps AI systems understand and cite our pages`,
+      effort: 'medium'
+    });
+  }
+
+  const thinTopics = [...new Set(analyzed.flatMap(c =>
+    c.topic_depth.filter(t => t.their_words > t.our_words).map(t => t.topic)
+  ))];
+  if (thinTopics.length > 0) {
+    results.opportunities.push({
+      priority: 'high',
+      title: 'Deepen Topic Coverage',
+      description: `Competitors cover these topics in more depth: ${thinTopics.join(', ')}`,
+      effort: 'high'
+    });
+  }
+
+  if (!ours.has_faq && analyzed.some(c => c.profile.has_faq)) {
+    results.opportunities.push({
+      priority: 'medium',
+      title: 'Add FAQ Content',
+      description: 'Competitors answer common questions in FAQ sections; add FAQ content with FAQPage schema',
+      effort: 'low'
+    });
+  }
+  if (!ours.has_howto && analyzed.some(c => c.profile.has_howto)) {
+    results.opportunities.push({
+      priority: 'medium',
+      title: 'Add How-To Guides',
+      description: 'Competitors publish step-by-step guides; add how-to content with HowTo schema',
+      effort: 'medium'
+    });
+  }
+
+  const missingPageTypes = [...new Set(analyzed.flatMap(c => c.profile.key_page_types))]
+    .filter(t => !ours.key_page_types.includes(t));
+  if (missingPageTypes.length > 0) {
+    results.opportunities.push({
+      priority: 'medium',
+      title: 'Build Missing Key Pages',
+      description: `Competitors have ${missingPageTypes.join(', ')} pages that we lack`,
+      effort: 'medium'
+    });
+  }
+
   return results;
 }
 
-// Main execution
-const workspaceDir = path.join(__dirname, '..');
-const customerPath = path.join(workspaceDir, 'data', 'customer.json');
-const siteSnapshotPath = path.join(workspaceDir, 'data', 'site_snapshot.json');
-const outputPath = path.join(workspaceDir, 'data', 'competitor_gap.json');
+async function main() {
+  const workspaceDir = path.join(__dirname, '..');
+  const dataDir = path.join(workspaceDir, 'data');
+  const customerPath = path.join(dataDir, 'customer.json');
+  const siteSnapshotPath = path.join(dataDir, 'site_snapshot.json');
+  const outputPath = path.join(dataDir, 'competitor_gap.json');
+
+  const customer = JSON.parse(fs.readFileSync(customerPath, 'utf-8'));
+  const siteSnapshot = JSON.parse(fs.readFileSync(siteSnapshotPath, 'utf-8'));
+  // Competitors have no link check, bot comparison or budgets, so our crawl
+  // health is rescored without them rather than read from health_checks.json
+  const health = runHealthChecks(siteSnapshotPath, null, { crawlOnly: true });
 
-const customer = JSON.parse(fs.readFileSync(customerPath, 'utf-8'));
-const siteSnapshot = JSON.parse(fs.readFileSync(siteSnapshotPath, 'utf-8'));
+  const results = await analyzeCompetitorGaps(customer, siteSnapshot, { health, dataDir });
 
-const results = analyzeCompetitorGaps(customer, siteSnapshot);
+  fs.writeFileSync(outputPath, JSON.stringify(results, null, 2));
+  console.log('Competitor gap analysis complete. Results written to:', outputPath);
+  console.log('Status:', results.status);
+  results.competitors_analyzed.forEach(c => {
+    console.log(`- ${c.domain}: ${c.status === 'analyzed' ? `gap score ${c.gap_score}/100, ${c.gaps.length} gap(s)` : c.error}`);
+  });
+  console.log('Gaps identified:', results.gaps.length);
+  console.log('Opportunities identified:', results.opportunities.length);
+  (results.warnings || []).forEach(warning => console.warn('Warning:', warning));
+}
+
+// CLI execution
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
 
-fs.writeFileSync(outputPath, JSON.stringify(results, null, 2));
-console.log('Competitor gap analysis complete. Results written to:', outputPath);
-console.log('Status:', results.status);
-console.log('Gaps identified:', results.gaps.length);
-console.log('Opportunities identified:', results.opportunities.length);
+module.exports = {
+  normalizeCompetitor,
+  collectSchemaTypes,
+  detectPageTypes,
+  measureTopicDepth,
+  profileSite,
+  compareProfiles,
+  analyzeCompetitorGaps
+};
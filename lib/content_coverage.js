@@ -5,19 +5,25 @@
 
 const fs = require('fs');
 const path = require('path');
+const { isAssetPage, isDocumentPage } = require('./page_types');
+const { incompleteSnapshotWarning } = require('./crawl_checkpoint');
+const { mainWordCount } = require('./main_content');
 
 function analyzeContentCoverage(siteSnapshot) {
   const issues = [];
   const pages = siteSnapshot.pages || [];
   
-  // Filter to actual content pages (not assets)
+  // Filter to actual content pages (not assets or redirects)
   const contentPages = pages.filter(p => {
-    const url = p.url.toLowerCase();
-    return !url.endsWith('.css') && !url.endsWith('.js') && !url.endsWith('.ico') && !url.endsWith('.png') && !url.endsWith('.jpg');
+    const isRedirect = p.status_code >= 300 && p.status_code < 400;
+    return !isRedirect && !isAssetPage(p);
   });
+  
+  // PDFs and text documents have no meta tags or headings to check
+  const htmlPages = contentPages.filter(p => !isDocumentPage(p));
 
   // Check 1: Meta descriptions
-  contentPages.forEach(page => {
+  htmlPages.forEach(page => {
     if (!page.meta_description || page.meta_description.trim() === '') {
       issues.push({
         type: 'missing_meta_description',
@@ -36,7 +42,7 @@ function analyzeContentCoverage(siteSnapshot) {
   });
 
   // Check 2: H1 tags
-  contentPages.forEach(page => {
+  htmlPages.forEach(page => {
     if (!page.h1 || page.h1.length === 0) {
       issues.push({
         type: 'missing_h1',
@@ -66,14 +72,15 @@ function analyzeContentCoverage(siteSnapshot) {
     }
   });
 
-  // Check 4: Content word count
+  // Check 4: Content word count (main content only, boilerplate excluded)
   contentPages.forEach(page => {
-    if (page.word_count < 50) {
+    const words = mainWordCount(page);
+    if (words < 50) {
       issues.push({
         type: 'thin_content',
         severity: 'medium',
         page: page.url,
-        message: `Very low word count (${page.word_count}). Pages should have substantial content.`
+        message: `Very low main-content word count (${words} of ${page.word_count || 0} words on the page). Pages should have substantial content.`
       });
     }
   });
@@ -102,7 +109,9 @@ function analyzeContentCoverage(siteSnapshot) {
     total_issues: issues.length,
     high_severity: issues.filter(i => i.severity === 'high').length,
     medium_severity: issues.filter(i => i.severity === 'medium').length,
-    coverage_score: calculateCoverageScore(contentPages, issues)
+    coverage_score: calculateCoverageScore(contentPages, issues),
+    snapshot_incomplete: Boolean(siteSnapshot.incomplete),
+    warnings: [incompleteSnapshotWarning(siteSnapshot)].filter(Boolean)
   };
 
   return { issues, summary, contentPages };
@@ -139,6 +148,7 @@ if (require.main === module) {
   console.log(`  Pages with title: ${result.summary.pages_with_title}`);
   console.log(`  Coverage score: ${result.summary.coverage_score}/100`);
   console.log(`  Total issues: ${result.summary.total_issues} (${result.summary.high_severity} high, ${result.summary.medium_severity} medium)\n`);
+  result.summary.warnings.forEach(warning => console.log(`Warning: ${warning}\n`));
   
   if (result.issues.length > 0) {
     console.log('Issues Found:');
@@ -0,0 +1,68 @@
+/**
+ * Crawl Checkpoint Module
+ * Saves the crawler's progress (frontier, visited URLs, collected pages) to
+ * disk so an interrupted crawl can be resumed with --resume
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CHECKPOINT_FILE = path.join(__dirname, '..', 'data', 'crawl_checkpoint.json');
+const CHECKPOINT_VERSION = 1;
+
+const INCOMPLETE_REASONS = {
+  interrupted: 'the crawl was interrupted',
+  network_errors: 'the crawl stopped after repeated network errors'
+};
+
+/**
+ * Write a checkpoint. The file is replaced atomically so a crash mid-write
+ * leaves the previous checkpoint intact.
+ * @param {string} file - Checkpoint path
+ * @param {Object} state - Crawl state
+ */
+function saveCheckpoint(file, state) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const temp = `${file}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify({ version: CHECKPOINT_VERSION, saved_at: new Date().toISOString(), ...state }));
+  fs.renameSync(temp, file);
+}
+
+/**
+ * Read a checkpoint
+ * @param {string} file - Checkpoint path
+ * @returns {Object|null} Crawl state, or null when there is none
+ */
+function loadCheckpoint(file) {
+  if (!fs.existsSync(file)) return null;
+  const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (state.version !== CHECKPOINT_VERSION) {
+    throw new Error(`Checkpoint ${file} was written by an incompatible crawler version`);
+  }
+  return state;
+}
+
+function clearCheckpoint(file) {
+  fs.rmSync(file, { force: true });
+  fs.rmSync(`${file}.tmp`, { force: true });
+}
+
+/**
+ * Describe an incomplete snapshot for analysis output
+ * @param {Object} snapshot - Site snapshot
+ * @returns {string|null} Warning, or null when the crawl finished
+ */
+function incompleteSnapshotWarning(snapshot) {
+  if (!snapshot.incomplete) return null;
+  const reason = INCOMPLETE_REASONS[snapshot.incomplete.reason] || 'the crawl did not finish';
+  return `Partial snapshot: ${reason} with ${snapshot.incomplete.pending_urls} URL(s) still queued. ` +
+    'Results cover only the pages crawled so far; run the crawler with --resume to finish.';
+}
+
+module.exports = {
+  DEFAULT_CHECKPOINT_FILE,
+  saveCheckpoint,
+  loadCheckpoint,
+  clearCheckpoint,
+  incompleteSnapshotWarning
+};
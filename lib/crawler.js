@@ -1,217 +1,970 @@
 const fs = require('fs');
 const path = require('path');
+const { parseRobotsTxt, botAccessForUrl, findGroup, wildcardDirectives } = require('./robots');
+const { discoverSitemaps, reconcileSitemapCoverage } = require('./sitemaps');
+const { fetchLlmsFiles, parseLlmsTxt } = require('./llms_txt');
+const { createHttpClient, DEFAULT_USER_AGENT, HEAD_FALLBACK_STATUSES } = require('./http_client');
+const { loadHtml, extractPage } = require('./html_extractor');
+const { extractDirectives, parseXRobotsTag } = require('./indexability');
+const { classifyContentType } = require('./page_types');
+const { extractPdfText } = require('./pdf_text');
+const { createPageCache, hashBody, DEFAULT_CACHE_DIR } = require('./page_cache');
+const { createLocalClient, listPageUrls } = require('./local_site');
+const { loadArchive, createArchiveClient, guessStartUrl } = require('./archive_import');
+const { createUrlPolicy } = require('./url_rules');
+const { analyzeLinkGraph } = require('./link_graph');
+const { extractMainContent } = require('./main_content');
+const { extractEntities } = require('./schema_entities');
+const { countRenderBlocking, negotiateHttpVersion, buildPerformanceMetrics } = require('./performance');
+const { DEFAULT_CHECKPOINT_FILE, saveCheckpoint, loadCheckpoint, clearCheckpoint } = require('./crawl_checkpoint');
 
-// Simple crawler for AEO Agency
-// Crawls a website and builds a site_snapshot.json
+// Crawler for AEO Agency
+// Breadth-first crawl of a website that builds a site_snapshot.json
 
-const START_URL = process.argv[2] || (() => {
-  const customer = JSON.parse(fs.readFileSync('./data/customer.json', 'utf8'));
-  return customer.domain || customer.website_url;
-})();
-const MAX_PAGES = 10;
-const TIMEOUT_MS = 10000;
+const DEFAULT_CRAWL_OPTIONS = {
+  max_pages: 100,
+  max_depth: 5,
+  concurrency: 2,
+  requests_per_second: 2,
+  timeout_ms: 10000,
+  max_retries: 2,
+  cache: true,
+  cache_dir: DEFAULT_CACHE_DIR
+};
+const MAX_SITEMAP_STATUS_CHECKS = 50;
+const MAX_CANONICAL_STATUS_CHECKS = 50;
+const MAX_REDIRECTS = 10;
+const MAX_DOCUMENT_BYTES = 20 * 1024 * 1024;
+const MAX_SKIPPED_REPORT = 1000;
+const CHECKPOINT_EVERY_PAGES = 10;
+// A run of failures this long means the network is gone, not that pages are broken
+const MAX_CONSECUTIVE_ERRORS = 10;
 
-const visited = new Set();
-const pages = [];
-const baseUrl = new URL(START_URL);
+// CLI flag -> crawl option
+const CLI_FLAGS = {
+  '--max-pages': 'max_pages',
+  '--max-depth': 'max_depth',
+  '--concurrency': 'concurrency',
+  '--rate': 'requests_per_second',
+  '--timeout': 'timeout_ms',
+  '--retries': 'max_retries'
+};
 
-async function fetchPage(url) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), TIMEOUT_MS);
+// Smallest accepted value per numeric option, as in schemas/customer.json; 0 for the rest
+const CLI_FLAG_MINIMUMS = {
+  max_pages: 1,
+  concurrency: 1,
+  timeout_ms: 1
+};
+
+// String-valued CLI flag -> crawl option
+const CLI_VALUE_FLAGS = {
+  '--dir': 'source_dir',
+  '--archive': 'archive'
+};
+
+// Boolean CLI flag -> [crawl option, value]
+const CLI_SWITCHES = {
+  '--no-cache': ['cache', false]
+};
+
+/**
+ * Parse crawler CLI arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {{startUrl: string|null, options: Object, resume: boolean}}
+ */
+function parseArgs(argv) {
+  const result = { startUrl: null, options: {}, resume: false };
   
-  try {
-    const response = await fetch(url, {
-      signal: controller.signal,
-      headers: {
-        'User-Agent': 'AEO-Agency-Bot/1.0 (Automated Audit Crawler)'
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+    if (CLI_FLAGS[flag]) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      const number = Number(value);
+      if (value === undefined || isNaN(number) || number < (CLI_FLAG_MINIMUMS[CLI_FLAGS[flag]] || 0)) {
+        throw new Error(`Invalid value for ${flag}: ${value}`);
       }
-    });
-    clearTimeout(timeout);
-    return response;
+      result.options[CLI_FLAGS[flag]] = number;
+    } else if (CLI_VALUE_FLAGS[flag]) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (!value) {
+        throw new Error(`Missing value for ${flag}`);
+      }
+      result.options[CLI_VALUE_FLAGS[flag]] = value;
+    } else if (CLI_SWITCHES[flag]) {
+      const [option, value] = CLI_SWITCHES[flag];
+      result.options[option] = value;
+    } else if (flag === '--resume') {
+      result.resume = true;
+    } else if (!argv[i].startsWith('--') && !result.startUrl) {
+      result.startUrl = argv[i];
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Merge crawl settings: defaults < customer.json "crawl" block < CLI flags
+ * @param {Object} customer - Customer configuration (may be null)
+ * @param {Object} cliOptions - Options parsed from CLI flags
+ * @returns {Object} Resolved crawl options
+ */
+function resolveCrawlOptions(customer, cliOptions = {}) {
+  return {
+    ...DEFAULT_CRAWL_OPTIONS,
+    ...((customer && customer.crawl) || {}),
+    ...cliOptions
+  };
+}
+
+/**
+ * Status of a URL without following redirects: HEAD first, GET when the
+ * server rejects HEAD
+ */
+async function checkUrlStatus(client, url) {
+  const attempt = async method => {
+    const response = await client.request(url, { method, redirect: 'manual' });
+    if (response.body) await response.body.cancel().catch(() => {});
+    const location = response.headers.get('location');
+    return {
+      status_code: response.status,
+      redirected: response.status >= 300 && response.status < 400,
+      final_url: location ? new URL(location, url).href : null
+    };
+  };
+  
+  let result;
+  try {
+    result = await attempt('HEAD');
+    if (!HEAD_FALLBACK_STATUSES.has(result.status_code)) return result;
   } catch (error) {
-    clearTimeout(timeout);
-    throw error;
+    // Fall through to GET
   }
+  try {
+    return await attempt('GET');
+  } catch (error) {
+    return result || { status_code: 0, error: error.message };
+  }
+}
+
+/**
+ * Read a response body, giving up once it grows past a byte limit (chunked
+ * responses carry no Content-Length to check up front)
+ * @param {Response} response
+ * @param {number} maxBytes - Largest body accepted
+ * @returns {Promise<Buffer|null>} Body, or null when it was too large
+ */
+async function readBodyCapped(response, maxBytes) {
+  if (!response.body) return Buffer.alloc(0);
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > maxBytes) {
+      await reader.cancel().catch(() => {});
+      return null;
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks, size);
 }
 
-function extractLinks(html, base) {
-  const links = [];
-  const urlRegex = /href=["']([^"']+)["']/gi;
-  let match;
+/**
+ * Fetch a URL following redirects by hand so every hop is recorded
+ * @param {Object} client - HTTP client from createHttpClient()
+ * @param {string} url - URL to fetch
+ * @param {Function} headersFor - Optional (url) => extra request headers for each hop
+ * @returns {Promise<Object>} { response, chain: [{ url, status_code, location }], final_url, loop, error }
+ */
+async function fetchFollowingRedirects(client, url, headersFor) {
+  const chain = [];
+  const hopUrls = new Set([url]);
+  let current = url;
   
-  while ((match = urlRegex.exec(html)) !== null) {
-    try {
-      const href = match[1];
-      // Skip anchors, javascript, mailto, tel
-      if (href.startsWith('#') || href.startsWith('javascript:') || 
-          href.startsWith('mailto:') || href.startsWith('tel:')) {
-        continue;
-      }
-      
-      let resolvedUrl;
-      try {
-        resolvedUrl = new URL(href, base);
-      } catch {
-        continue;
-      }
-      
-      // Only follow internal links
-      if (resolvedUrl.hostname === base.hostname) {
-        links.push(resolvedUrl.href);
-      }
-    } catch {
-      continue;
+  while (true) {
+    const response = await client.request(current, {
+      redirect: 'manual',
+      headers: headersFor ? headersFor(current) : {}
+    });
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return { response, chain, final_url: current };
+    }
+    
+    const next = new URL(location, current).href;
+    chain.push({ url: current, status_code: response.status, location: next });
+    if (response.body) await response.body.cancel().catch(() => {});
+    
+    if (hopUrls.has(next)) {
+      return { response: null, chain, final_url: next, loop: true };
+    }
+    if (chain.length >= MAX_REDIRECTS) {
+      return { response: null, chain, final_url: next, error: 'too_many_redirects' };
     }
+    hopUrls.add(next);
+    current = next;
   }
+}
+
+async function fetchRobotsTxt(base, fetchPage) {
+  const robotsUrl = new URL('/robots.txt', base).href;
+  console.log(`Fetching: ${robotsUrl}`);
   
-  return [...new Set(links)];
+  try {
+    const response = await fetchPage(robotsUrl);
+    
+    // 5xx means the server could not say - RFC 9309 treats that as full disallow
+    if (response.status >= 500) {
+      return { exists: false, url: robotsUrl, status_code: response.status, unreachable: true };
+    }
+    if (response.status !== 200) {
+      return { exists: false, url: robotsUrl, status_code: response.status };
+    }
+    
+    const robots = parseRobotsTxt(await response.text());
+    const directives = wildcardDirectives(robots);
+    
+    return {
+      exists: true,
+      url: robotsUrl,
+      status_code: response.status,
+      allow_directives: directives.allow,
+      disallow_directives: directives.disallow,
+      sitemap_urls: robots.sitemaps,
+      crawl_delay: findGroup(robots, '*').crawl_delay,
+      groups: robots.groups
+    };
+  } catch (error) {
+    // An archive that simply lacks robots.txt says nothing about the live site
+    if (error.code === 'ENOTCAPTURED') {
+      return { exists: false, url: robotsUrl, status_code: 0, not_captured: true };
+    }
+    console.error(`Error fetching ${robotsUrl}: ${error.message}`);
+    return { exists: false, url: robotsUrl, status_code: 0, unreachable: true, error: error.message };
+  }
 }
 
-function extractMeta(html) {
-  const result = {
-    title: '',
+/**
+ * Extract the snapshot fields of an HTML page
+ * @param {string} html - Raw HTML
+ * @param {string} pageUrl - URL of the page
+ * @param {string} siteHostname - Hostname treated as internal
+ * @param {Object} headers - Response headers (lowercased names)
+ * @returns {{fields: Object, internalLinks: Array, linkEdges: Array, externalEdges: Array, contactLinks: Array, renderBlocking: Object}}
+ *   Page fields, unique internal link URLs, every internal and external anchor as
+ *   { url, anchor_text, nofollow }, mailto:/tel: links as { href, scheme, anchor_text }
+ *   and the render-blocking resource counts
+ */
+function extractHtmlPage(html, pageUrl, siteHostname, headers = {}) {
+  const $ = loadHtml(html);
+  const extracted = extractPage($, pageUrl);
+  
+  const webLinks = extracted.links.filter(l => l.url);
+  const internalAnchors = webLinks.filter(l => new URL(l.url).hostname === siteHostname);
+  const externalAnchors = webLinks.filter(l => new URL(l.url).hostname !== siteHostname);
+  const internalLinks = [...new Set(internalAnchors.map(l => l.url))];
+  const externalLinks = new Set(externalAnchors.map(l => l.url));
+  const toEdge = l => ({ url: l.url, anchor_text: l.text, nofollow: l.rel.includes('nofollow') });
+  
+  return {
+    fields: {
+      title: extracted.title,
+      meta_description: extracted.meta_description,
+      canonical: extracted.canonical,
+      h1: extracted.h1,
+      h2: extracted.h2,
+      h3: extracted.h3,
+      structured_data: extractEntities($, pageUrl).entities,
+      byline: extracted.byline,
+      word_count: extracted.word_count,
+      main_content: extractMainContent($, html.length),
+      images: extracted.images,
+      internal_links: internalLinks.length,
+      external_links: externalLinks.size,
+      robots_directives: extractDirectives($, headers)
+    },
+    internalLinks,
+    linkEdges: internalAnchors.map(toEdge),
+    externalEdges: externalAnchors.map(toEdge),
+    contactLinks: extracted.links
+      .filter(l => l.scheme === 'mailto' || l.scheme === 'tel')
+      .map(l => ({ href: l.href, scheme: l.scheme, anchor_text: l.text })),
+    renderBlocking: countRenderBlocking($)
+  };
+}
+
+/**
+ * Extract the snapshot fields of a PDF or plain-text document
+ * @param {Buffer} body - Raw response body
+ * @param {string} resourceType - "pdf" or "text"
+ * @returns {Object} Page fields
+ */
+function extractDocumentPage(body, resourceType) {
+  let title = '';
+  let text = '';
+  let pageCount;
+  
+  if (resourceType === 'pdf') {
+    ({ title, text, page_count: pageCount } = extractPdfText(body));
+  } else {
+    text = body.toString('utf8');
+    title = (text.split(/\r?\n/).find(line => line.trim().length > 0) || '').replace(/^#+\s*/, '').trim().slice(0, 200);
+  }
+  
+  const fields = {
+    title: title,
     meta_description: '',
     h1: [],
     h2: [],
     h3: [],
     structured_data: [],
-    word_count: 0,
+    word_count: text.split(/\s+/).filter(w => w.length > 0).length,
     images: [],
     internal_links: 0,
-    external_links: 0
+    external_links: 0,
+    text: text
   };
+  if (pageCount !== undefined) fields.page_count = pageCount;
+  return fields;
+}
+
+function summarizeCacheStatus(pages) {
+  const summary = { not_modified: 0, unchanged: 0, changed: 0, new: 0 };
+  pages.forEach(page => {
+    if (page.cache_status in summary) summary[page.cache_status]++;
+  });
+  return summary;
+}
+
+/**
+ * Crawl a site breadth-first and build a snapshot
+ * @param {string} startUrl - URL to start from (the base URL when crawling a local directory)
+ * @param {Object} options - Crawl options (see DEFAULT_CRAWL_OPTIONS); source_dir
+ *   serves the site from a local build directory and archive replays a HAR/WARC
+ *   capture instead of the network
+ * @param {Object} control - Run control, kept out of the recorded settings
+ * @param {string} control.checkpointFile - Where to checkpoint progress (none when omitted)
+ * @param {Object} control.resumeState - Checkpoint to continue from
+ * @param {AbortSignal} control.signal - Stops the crawl; a partial snapshot is returned
+ * @returns {Promise<Object>} Site snapshot (with `incomplete` set when the crawl stopped early)
+ */
+async function crawlSite(startUrl, options = {}, control = {}) {
+  const settings = { ...DEFAULT_CRAWL_OPTIONS, ...options };
+  const startTime = Date.now();
+  const resumeState = control.resumeState || null;
+  const baseUrl = new URL(startUrl);
   
-  // Extract title
-  const titleMatch = html.match(/<title[^>]*>([^<]+)<\/title>/i);
-  if (titleMatch) result.title = titleMatch[1].trim();
+  const local = Boolean(settings.source_dir);
+  const archived = !local && Boolean(settings.archive);
   
-  // Extract meta description
-  const descMatch = html.match(/<meta[^>]+name=["']description["'][^>]+content=["']([^"']+)["']/i);
-  if (!descMatch) {
-    const altDescMatch = html.match(/<meta[^>]+content=["']([^"']+)["'][^>]+name=["']description["']/i);
-    if (altDescMatch) result.meta_description = altDescMatch[1].trim();
+  let client;
+  if (local) {
+    client = createLocalClient(settings.source_dir, baseUrl.href);
+  } else if (archived) {
+    client = createArchiveClient(loadArchive(settings.archive));
   } else {
-    result.meta_description = descMatch[1].trim();
+    client = createHttpClient({
+      timeoutMs: settings.timeout_ms,
+      concurrency: settings.concurrency,
+      requestsPerSecond: settings.requests_per_second,
+      maxRetries: settings.max_retries
+    });
   }
+  const fetchPage = url => client.request(url);
+  // Offline sources are already cheap to read, so they skip the page cache
+  const cache = settings.cache && !local && !archived ? createPageCache(settings.cache_dir) : null;
+  // Offline sources can only answer for the URLs they hold
+  const checkable = url => !client.has || client.has(url);
   
-  // Extract headings
-  const h1Regex = /<h1[^>]*>([^<]+)<\/h1>/gi;
-  let h1Match;
-  while ((h1Match = h1Regex.exec(html)) !== null) {
-    result.h1.push(h1Match[1].replace(/<[^>]+>/g, '').trim());
+  // Delivery metrics only mean something for live responses; the HTTP version is probed once per host
+  const measure = !local && !archived;
+  const httpVersions = new Map();
+  function httpVersionOf(url) {
+    const host = new URL(url).host;
+    if (!httpVersions.has(host)) httpVersions.set(host, negotiateHttpVersion(url));
+    return httpVersions.get(host);
   }
   
-  const h2Regex = /<h2[^>]*>([^<]+)<\/h2>/gi;
-  let h2Match;
-  while ((h2Match = h2Regex.exec(html)) !== null) {
-    result.h2.push(h2Match[1].replace(/<[^>]+>/g, '').trim());
+  // A resumed crawl keeps the site files it fetched the first time
+  const robotsTxt = resumeState ? resumeState.robots_txt : await fetchRobotsTxt(baseUrl, fetchPage);
+  if (robotsTxt.exists) {
+    const crawlDelay = findGroup(robotsTxt, DEFAULT_USER_AGENT).crawl_delay;
+    if (crawlDelay) {
+      console.log(`Honoring Crawl-delay: ${crawlDelay}s`);
+      client.setCrawlDelay(baseUrl.host, crawlDelay);
+    }
   }
   
-  const h3Regex = /<h3[^>]*>([^<]+)<\/h3>/gi;
-  let h3Match;
-  while ((h3Match = h3Regex.exec(html)) !== null) {
-    result.h3.push(h3Match[1].replace(/<[^>]+>/g, '').trim());
-  }
+  const { sitemaps, entries: sitemapEntries } = resumeState
+    ? { sitemaps: resumeState.sitemaps, entries: resumeState.sitemap_entries }
+    : await discoverSitemaps(baseUrl, robotsTxt, fetchPage);
+  const { llms_txt: llmsTxt, llms_full_txt: llmsFullTxt } = resumeState
+    ? { llms_txt: resumeState.llms_txt, llms_full_txt: resumeState.llms_full_txt }
+    : await fetchLlmsFiles(baseUrl, fetchPage);
   
-  // Extract structured data (JSON-LD)
-  const jsonLdRegex = /<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
-  let jsonLdMatch;
-  while ((jsonLdMatch = jsonLdRegex.exec(html)) !== null) {
-    try {
-      result.structured_data.push(JSON.parse(jsonLdMatch[1]));
-    } catch {}
+  const urlPolicy = createUrlPolicy(settings);
+  const startHref = urlPolicy.normalize(baseUrl.href) || baseUrl.href;
+  
+  const pages = resumeState ? resumeState.pages : [];
+  const linkedUrls = new Set(resumeState ? resumeState.linked_urls : []);
+  const linkEdges = resumeState ? resumeState.link_edges : [];
+  const externalEdges = resumeState ? resumeState.external_edges : [];
+  const contactLinks = resumeState ? resumeState.contact_links : [];
+  const edgeKeys = new Set([
+    ...linkEdges.map(e => `${e.from} ${e.to} ${e.anchor_text} ${e.nofollow}`),
+    ...externalEdges.map(e => `${e.from} ${e.to} ${e.anchor_text} ${e.nofollow}`),
+    ...contactLinks.map(l => `${l.from} ${l.href} ${l.anchor_text}`)
+  ]);
+  const seen = new Set(resumeState ? resumeState.seen : [startHref]);
+  const frontier = resumeState ? resumeState.frontier : [{ url: startHref, depth: 0, discovered_via: 'start' }];
+  if (resumeState) urlPolicy.importState(resumeState.url_policy);
+  
+  // URLs the crawl found but did not fetch, with the reason; the first reason wins
+  const skipped = new Map(resumeState ? resumeState.skipped.map(entry => [entry.url, entry]) : []);
+  function skip(url, reason, detail, foundOn) {
+    if (skipped.has(url)) return;
+    const entry = { url, reason };
+    if (detail) entry.detail = detail;
+    if (foundOn) entry.found_on = foundOn;
+    skipped.set(url, entry);
   }
   
-  // Extract images with alt text
-  const imgRegex = /<img[^>]+>/gi;
-  let imgMatch;
-  while ((imgMatch = imgRegex.exec(html)) !== null) {
-    const img = { src: '', alt: '', has_alt: false };
-    const srcMatch = imgMatch[0].match(/src=["']([^"']+)["']/);
-    const altMatch = imgMatch[0].match(/alt=["']([^"']*)["']/);
-    if (srcMatch) img.src = srcMatch[1];
-    if (altMatch) {
-      img.alt = altMatch[1];
-      img.has_alt = altMatch[1].length > 0;
+  // Normalize a newly found URL and run it past the include/exclude and trap rules
+  function admit(url, foundOn) {
+    const normalized = urlPolicy.normalize(url);
+    if (!normalized || seen.has(normalized)) return null;
+    seen.add(normalized);
+    const verdict = urlPolicy.evaluate(normalized);
+    if (verdict) {
+      skip(normalized, verdict.reason, verdict.detail, foundOn);
+      return null;
     }
-    if (img.src) result.images.push(img);
+    return normalized;
   }
   
-  // Simple word count (strip HTML)
-  const textOnly = html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
-  result.word_count = textOnly.split(/\s+/).filter(w => w.length > 0).length;
+  // Sitemap URLs are crawled once the link frontier runs dry and no page in flight can add to it
+  const seeds = sitemapEntries
+    .map(e => {
+      try {
+        return new URL(e.url);
+      } catch {
+        return null;
+      }
+    })
+    .filter(u => u && u.hostname === baseUrl.hostname)
+    .map(u => ({ url: u.href, depth: 0, discovered_via: 'sitemap' }));
   
-  return result;
-}
-
-async function crawl(url) {
-  if (visited.has(url) || pages.length >= MAX_PAGES) return;
+  // So is everything llms.txt points AI tools to
+  if (llmsTxt.exists) {
+    parseLlmsTxt(llmsTxt.content, llmsTxt.url).links
+      .filter(link => new URL(link.url).hostname === baseUrl.hostname)
+      .forEach(link => seeds.push({ url: link.url, depth: 0, discovered_via: 'llms_txt' }));
+  }
   
-  console.log(`Crawling: ${url}`);
-  visited.add(url);
+  // Local builds and archives: every page they hold is audited, even when nothing links to it
+  if (local) {
+    listPageUrls(settings.source_dir, baseUrl.href).forEach(url => {
+      seeds.push({ url, depth: 0, discovered_via: 'file' });
+    });
+  } else if (archived) {
+    const siteFiles = new Set([robotsTxt.url, llmsTxt.url, llmsFullTxt.url, ...sitemaps.map(s => s.url)]);
+    client.urls()
+      .filter(url => new URL(url).hostname === baseUrl.hostname && !siteFiles.has(url))
+      .forEach(url => seeds.push({ url, depth: 0, discovered_via: 'archive' }));
+  }
   
-  try {
-    const response = await fetchPage(url);
-    const html = await response.text();
-    
-    const pageData = {
-      url: url,
-      status_code: response.status,
-      ...extractMeta(html)
-    };
-    
-    // Count links
-    const allLinks = extractLinks(html, new URL(url));
-    pageData.internal_links = allLinks.filter(l => new URL(l).hostname === baseUrl.hostname).length;
-    pageData.external_links = allLinks.length - pageData.internal_links;
-    
-    pages.push(pageData);
+  /**
+   * Next page to crawl. Seeds wait until no page in flight can still find
+   * links, so a page the site links to keeps the depth and source of that
+   * link; they are then released a batch at a time to use every worker.
+   * @param {boolean} idle - Whether no page is being crawled
+   */
+  function nextItem(idle) {
+    if (frontier.length === 0 && idle) {
+      while (seeds.length > 0 && frontier.length < settings.concurrency) {
+        const seed = seeds.shift();
+        const url = admit(seed.url, null);
+        if (url) frontier.push({ ...seed, url });
+      }
+    }
+    return frontier.length > 0 ? frontier.shift() : null;
+  }
+  
+  // Network failures in a row; the pages behind them are retried on resume
+  let failedItems = [];
+  
+  async function crawlPage(item) {
+    const { depth } = item;
+    let url = item.url;
+    let discoveredVia = item.discovered_via;
+    console.log(`Crawling [depth ${depth}]: ${url}`);
     
-    // Follow internal links (up to MAX_PAGES)
-    const internalLinks = allLinks.filter(l => new URL(l).hostname === baseUrl.hostname);
-    for (const link of internalLinks.slice(0, MAX_PAGES - pages.length)) {
-      if (!visited.has(link)) {
-        await crawl(link);
+    try {
+      const result = await fetchFollowingRedirects(client, url, cache ? cache.conditionalHeaders : null);
+      failedItems = [];
+      
+      if (result.chain.length > 0) {
+        const redirectPage = {
+          url: url,
+          status_code: result.chain[0].status_code,
+          crawl_depth: depth,
+          discovered_via: discoveredVia,
+          redirect_chain: result.chain,
+          final_url: result.final_url,
+          final_status_code: result.response ? result.response.status : null
+        };
+        if (result.loop) redirectPage.redirect_loop = true;
+        if (result.error) redirectPage.error = result.error;
+        pages.push(redirectPage);
+        
+        if (!result.response) return;
+        
+        // The redirect target becomes its own page unless it is external or already known
+        const finalUrl = new URL(result.final_url);
+        const finalKey = urlPolicy.normalize(finalUrl.href);
+        if (finalUrl.hostname !== baseUrl.hostname || seen.has(finalKey) || !checkable(finalUrl.href)) {
+          if (result.response.body) await result.response.body.cancel().catch(() => {});
+          return;
+        }
+        seen.add(finalKey);
+        url = finalKey;
+        discoveredVia = 'redirect';
+      }
+      
+      const response = result.response;
+      let statusCode = response.status;
+      let headers = Object.fromEntries(response.headers);
+      let cachedBody = null;
+      let cacheStatus = cache ? 'new' : null;
+      
+      // 304: reuse the stored body, with fresh headers layered over the cached ones
+      if (statusCode === 304 && cache) {
+        const cached = cache.get(url);
+        if (cached) {
+          statusCode = cached.status_code;
+          headers = { ...cached.headers, ...headers };
+          cachedBody = cache.readBody(cached);
+          cacheStatus = 'not_modified';
+        }
+      }
+      
+      const resourceType = classifyContentType(headers['content-type']);
+      const contentLength = headers['content-length'] ? parseInt(headers['content-length'], 10) : null;
+      
+      const timing = client.timing ? client.timing(response) : null;
+      const httpVersion = measure ? await httpVersionOf(url) : null;
+      const performanceOf = metrics => measure ? buildPerformanceMetrics({
+        headers,
+        timing,
+        httpVersion,
+        fromCache: cacheStatus === 'not_modified',
+        ...metrics
+      }) : undefined;
+      
+      const pageData = {
+        url: url,
+        status_code: statusCode,
+        crawl_depth: depth,
+        discovered_via: discoveredVia,
+        content_type: (headers['content-type'] || '').split(';')[0].trim() || null,
+        resource_type: resourceType,
+        content_length: contentLength,
+        response_headers: headers
+      };
+      
+      // Assets (and oversized documents) are recorded without downloading the body
+      const tooLarge = contentLength !== null && contentLength > MAX_DOCUMENT_BYTES;
+      if ((resourceType !== 'html' && resourceType !== 'pdf' && resourceType !== 'text') || tooLarge) {
+        if (response.body) await response.body.cancel().catch(() => {});
+        if (tooLarge) pageData.skipped = 'too_large';
+        pageData.performance = performanceOf({});
+        pages.push(pageData);
+        return;
+      }
+      
+      const downloadStarted = Date.now();
+      const body = cachedBody || await readBodyCapped(response, MAX_DOCUMENT_BYTES);
+      const downloadMs = cachedBody ? 0 : Date.now() - downloadStarted;
+      if (!body) {
+        pageData.skipped = 'too_large';
+        pageData.performance = performanceOf({});
+        pages.push(pageData);
+        return;
       }
+      if (cache && !cachedBody && statusCode === 200) {
+        const previous = cache.get(url);
+        if (previous) cacheStatus = previous.body_hash === hashBody(body) ? 'unchanged' : 'changed';
+        cache.set(url, { status_code: statusCode, headers, body, text: resourceType !== 'pdf' });
+      }
+      if (cacheStatus) pageData.cache_status = cacheStatus;
+      
+      if (resourceType !== 'html') {
+        pageData.content_length = body.length;
+        Object.assign(pageData, extractDocumentPage(body, resourceType), {
+          robots_directives: { meta_robots: null, bot_meta: {}, x_robots_tag: {}, data_nosnippet_regions: 0 }
+        });
+        if (headers['x-robots-tag']) {
+          pageData.robots_directives.x_robots_tag = parseXRobotsTag(headers['x-robots-tag']);
+        }
+        pageData.performance = performanceOf({ downloadMs, decodedBytes: body.length });
+        pages.push(pageData);
+        return;
+      }
+      
+      const html = body.toString('utf8');
+      const extracted = extractHtmlPage(html, url, baseUrl.hostname, headers);
+      const { fields, internalLinks } = extracted;
+      Object.assign(pageData, fields);
+      pageData.performance = performanceOf({
+        downloadMs,
+        decodedBytes: body.length,
+        renderBlocking: extracted.renderBlocking
+      });
+      
+      pages.push(pageData);
+      
+      extracted.linkEdges.forEach(anchor => {
+        const to = urlPolicy.normalize(anchor.url);
+        const key = `${url} ${to} ${anchor.anchor_text} ${anchor.nofollow}`;
+        if (!to || edgeKeys.has(key)) return;
+        edgeKeys.add(key);
+        linkEdges.push({ from: url, to, anchor_text: anchor.anchor_text, nofollow: anchor.nofollow });
+      });
+      extracted.externalEdges.forEach(anchor => {
+        const key = `${url} ${anchor.url} ${anchor.anchor_text} ${anchor.nofollow}`;
+        if (edgeKeys.has(key)) return;
+        edgeKeys.add(key);
+        externalEdges.push({ from: url, to: anchor.url, anchor_text: anchor.anchor_text, nofollow: anchor.nofollow });
+      });
+      extracted.contactLinks.forEach(link => {
+        const key = `${url} ${link.href} ${link.anchor_text}`;
+        if (edgeKeys.has(key)) return;
+        edgeKeys.add(key);
+        contactLinks.push({ from: url, ...link });
+      });
+      
+      internalLinks.forEach(link => {
+        const normalized = urlPolicy.normalize(link);
+        if (!normalized) return;
+        linkedUrls.add(normalized);
+        if (seen.has(normalized) || !checkable(normalized)) return;
+        if (depth >= settings.max_depth) {
+          skip(normalized, 'max_depth', `deeper than ${settings.max_depth}`, url);
+          return;
+        }
+        const admitted = admit(normalized, url);
+        if (admitted) frontier.push({ url: admitted, depth: depth + 1, discovered_via: 'link' });
+      });
+      
+    } catch (error) {
+      console.error(`Error crawling ${url}: ${error.message}`);
+      const errorPage = {
+        url: url,
+        status_code: 0,
+        crawl_depth: depth,
+        discovered_via: discoveredVia,
+        error: error.message
+      };
+      pages.push(errorPage);
+      failedItems.push({ item, page: errorPage });
     }
+  }
+  
+  const previousDurationMs = resumeState ? resumeState.crawl_duration_ms : 0;
+  let stopReason = null;
+  
+  // Checkpoints list in-flight pages first so a resumed crawl fetches them again
+  function checkpoint(inFlight) {
+    if (!control.checkpointFile) return;
+    saveCheckpoint(control.checkpointFile, {
+      start_url: startUrl,
+      settings: options,
+      crawl_duration_ms: previousDurationMs + Date.now() - startTime,
+      scheduled: scheduled - inFlight.length,
+      robots_txt: robotsTxt,
+      sitemaps: sitemaps,
+      sitemap_entries: sitemapEntries,
+      llms_txt: llmsTxt,
+      llms_full_txt: llmsFullTxt,
+      pages: pages,
+      frontier: [...inFlight, ...frontier],
+      seen: [...seen],
+      skipped: [...skipped.values()],
+      linked_urls: [...linkedUrls],
+      link_edges: linkEdges,
+      external_edges: externalEdges,
+      contact_links: contactLinks,
+      url_policy: urlPolicy.exportState()
+    });
+  }
+  
+  // Worker pool: keep up to `concurrency` pages in flight, always taking
+  // the oldest frontier entry so pages are visited in depth order
+  const active = new Map();
+  let scheduled = resumeState ? resumeState.scheduled : 0;
+  let lastCheckpoint = scheduled;
+  
+  while (true) {
+    if (!stopReason && control.signal && control.signal.aborted) stopReason = 'interrupted';
+    if (!stopReason && !local && !archived && failedItems.length >= MAX_CONSECUTIVE_ERRORS) stopReason = 'network_errors';
     
-  } catch (error) {
-    console.error(`Error crawling ${url}: ${error.message}`);
-    pages.push({
-      url: url,
-      status_code: 0,
-      error: error.message
+    while (!stopReason && active.size < settings.concurrency && scheduled < settings.max_pages) {
+      const item = nextItem(active.size === 0);
+      if (!item) break;
+      scheduled++;
+      const task = crawlPage(item).finally(() => active.delete(task));
+      active.set(task, item);
+    }
+    if (active.size === 0) break;
+    await Promise.race(active.keys());
+    
+    if (scheduled - active.size - lastCheckpoint >= CHECKPOINT_EVERY_PAGES) {
+      lastCheckpoint = scheduled - active.size;
+      checkpoint([...active.values()]);
+    }
+  }
+  
+  // Pages that failed because the network went away are crawled again on resume
+  if (stopReason === 'network_errors') {
+    failedItems.forEach(({ item, page }) => {
+      pages.splice(pages.indexOf(page), 1);
+      frontier.unshift(item);
+      scheduled--;
+    });
+  }
+  if (stopReason) {
+    checkpoint([]);
+    console.warn(`Crawl stopped (${stopReason}) with ${frontier.length} URL(s) still queued${control.checkpointFile ? ' - run again with --resume to continue' : ''}`);
+  }
+  
+  // A file reached both as a file seed and by a link is one page: keep the linked URL
+  if (local) {
+    const linkedFiles = new Set(pages.filter(p => p.discovered_via !== 'file').map(p => client.fileFor(p.url)).filter(Boolean));
+    const duplicates = new Set(pages
+      .filter(p => p.discovered_via === 'file' && linkedFiles.has(client.fileFor(p.url)))
+      .map(p => p.url));
+    if (duplicates.size > 0) {
+      pages.splice(0, pages.length, ...pages.filter(p => !duplicates.has(p.url)));
+      [linkEdges, externalEdges, contactLinks].forEach(list => {
+        list.splice(0, list.length, ...list.filter(edge => !duplicates.has(edge.from)));
+      });
+    }
+  }
+  
+  // Whatever is left once the page budget is spent
+  if (!stopReason) {
+    frontier.forEach(item => skip(item.url, 'max_pages', `page budget of ${settings.max_pages} reached`));
+    seeds.forEach(seed => {
+      const url = urlPolicy.normalize(seed.url);
+      if (url && !seen.has(url)) skip(url, 'max_pages', `page budget of ${settings.max_pages} reached`);
     });
   }
-}
-
-async function main() {
-  console.log(`Starting crawl of ${START_URL}`);
-  const startTime = Date.now();
   
-  await crawl(START_URL);
+  // Status-check sitemap URLs that were not crawled (not when stopping early:
+  // the network may be down and the user is waiting)
+  const crawledUrls = new Set(pages.map(p => p.url));
+  const statusChecks = {};
+  const unchecked = stopReason ? [] : sitemapEntries
+    .filter(e => !crawledUrls.has(e.url) && checkable(e.url))
+    .slice(0, MAX_SITEMAP_STATUS_CHECKS);
+  await Promise.all(unchecked.map(async entry => {
+    statusChecks[entry.url] = await checkUrlStatus(client, entry.url);
+  }));
   
-  const crawlDuration = Date.now() - startTime;
+  // Resolve where each canonical tag points: crawled pages first, HEAD checks for the rest
+  const pagesByUrl = new Map(pages.map(p => [p.url, p]));
+  const canonicalChecks = {};
+  const uncheckedCanonicals = stopReason ? [] : [...new Set(
+    pages.map(p => p.canonical).filter(c => c && !pagesByUrl.has(c) && checkable(c))
+  )].slice(0, MAX_CANONICAL_STATUS_CHECKS);
+  await Promise.all(uncheckedCanonicals.map(async canonical => {
+    canonicalChecks[canonical] = await checkUrlStatus(client, canonical);
+  }));
   
-  const snapshot = {
-    website_url: START_URL,
+  pages.forEach(page => {
+    if (!page.canonical || page.canonical === page.url) return;
+    const target = pagesByUrl.get(page.canonical);
+    if (target) {
+      page.canonical_status = {
+        status_code: target.status_code,
+        redirected: Boolean(target.redirect_chain),
+        final_url: target.final_url || null
+      };
+    } else if (canonicalChecks[page.canonical]) {
+      page.canonical_status = canonicalChecks[page.canonical];
+    }
+  });
+  
+  const sitemapCoverage = reconcileSitemapCoverage({
+    entries: sitemapEntries,
+    pages,
+    linkedUrls,
+    startUrl: startHref,
+    statusChecks,
+    normalizeUrl: urlPolicy.normalize
+  });
+  
+  // Click depth, inbound links and internal PageRank per page
+  const linkAnalysis = analyzeLinkGraph({
+    pages,
+    edges: linkEdges,
+    startUrl: startHref,
+    sitemapEntries,
+    normalizeUrl: urlPolicy.normalize,
+    crawlCut: Boolean(stopReason) || [...skipped.values()].some(entry => entry.reason === 'max_pages')
+  });
+  
+  // A URL skipped for depth may still have been reached another way
+  const skippedUrls = [...skipped.values()].filter(entry => !pagesByUrl.has(entry.url));
+  const skippedSummary = {};
+  skippedUrls.forEach(entry => {
+    skippedSummary[entry.reason] = (skippedSummary[entry.reason] || 0) + 1;
+  });
+  
+  // Record which AI crawlers robots.txt lets through to each page
+  pages.forEach(page => {
+    page.ai_bot_access = botAccessForUrl(robotsTxt, page.url);
+  });
+  
+  if (!stopReason && control.checkpointFile) clearCheckpoint(control.checkpointFile);
+  
+  return {
+    website_url: startHref,
+    source_dir: local ? path.resolve(settings.source_dir) : null,
+    archive: archived ? client.summary : null,
     crawled_at: new Date().toISOString(),
-    crawl_duration_ms: crawlDuration,
+    crawl_duration_ms: previousDurationMs + Date.now() - startTime,
+    crawl_settings: settings,
+    resumed: Boolean(resumeState),
+    incomplete: stopReason ? {
+      reason: stopReason,
+      pending_urls: frontier.length,
+      checkpoint_file: control.checkpointFile || null
+    } : null,
     pages_crawled: pages.length,
+    cache_summary: cache ? summarizeCacheStatus(pages) : null,
     pages: pages,
-    robots_txt: { exists: false },
-    sitemaps: [],
+    robots_txt: robotsTxt,
+    sitemaps: sitemaps,
+    sitemap_entries: sitemapEntries,
+    sitemap_coverage: sitemapCoverage,
+    link_graph: {
+      edges: linkEdges,
+      external_edges: externalEdges,
+      contact_links: contactLinks,
+      ...linkAnalysis
+    },
+    skipped_summary: skippedSummary,
+    skipped_urls: skippedUrls.slice(0, MAX_SKIPPED_REPORT),
+    llms_txt: llmsTxt,
+    llms_full_txt: llmsFullTxt,
     key_entities: []
   };
+}
+
+function loadCustomer() {
+  const customerPath = path.join(__dirname, '..', 'data', 'customer.json');
+  if (!fs.existsSync(customerPath)) return null;
+  return JSON.parse(fs.readFileSync(customerPath, 'utf8'));
+}
+
+async function main() {
+  const { startUrl: argUrl, options: cliOptions, resume } = parseArgs(process.argv.slice(2));
+  const customer = loadCustomer();
+  let options = resolveCrawlOptions(customer, cliOptions);
+  let startUrl;
+  let resumeState = null;
+  
+  if (resume) {
+    resumeState = loadCheckpoint(DEFAULT_CHECKPOINT_FILE);
+    if (!resumeState) {
+      throw new Error(`No interrupted crawl to resume (${DEFAULT_CHECKPOINT_FILE} not found)`);
+    }
+    // The interrupted crawl's settings apply; flags given now (e.g. a bigger --max-pages) override them
+    startUrl = resumeState.start_url;
+    options = { ...resumeState.settings, ...cliOptions };
+  } else {
+    if (fs.existsSync(DEFAULT_CHECKPOINT_FILE)) {
+      console.warn('Discarding the checkpoint of an interrupted crawl (use --resume to continue it instead)');
+    }
+    // An archive may capture a staging host, so its own pages pick the start URL
+    startUrl = argUrl ||
+      (options.archive && guessStartUrl(loadArchive(options.archive))) ||
+      (customer && (customer.domain || customer.website_url));
+  }
+  if (!startUrl) {
+    throw new Error('No start URL given and data/customer.json has no domain');
+  }
+  
+  if (resumeState) {
+    console.log(`Resuming crawl of ${startUrl}: ${resumeState.pages.length} pages done, ${resumeState.frontier.length} queued`);
+  } else if (options.source_dir) {
+    console.log(`Starting crawl of ${options.source_dir} as ${startUrl}`);
+  } else if (options.archive) {
+    console.log(`Importing ${options.archive} as ${startUrl}`);
+  } else {
+    console.log(`Starting crawl of ${startUrl}`);
+  }
+  console.log(`- Max pages: ${options.max_pages}, max depth: ${options.max_depth}, concurrency: ${options.concurrency}, rate: ${options.requests_per_second}/s`);
+  
+  // First Ctrl-C stops after the pages in flight and writes a partial snapshot; a second one quits
+  const controller = new AbortController();
+  const interrupt = signal => {
+    if (controller.signal.aborted) process.exit(130);
+    console.warn(`\n${signal} received - finishing pages in flight and saving progress (press Ctrl-C again to quit)`);
+    controller.abort();
+  };
+  ['SIGINT', 'SIGTERM', 'SIGHUP'].forEach(signal => process.on(signal, interrupt));
+  
+  const snapshot = await crawlSite(startUrl, options, {
+    checkpointFile: DEFAULT_CHECKPOINT_FILE,
+    resumeState,
+    signal: controller.signal
+  });
   
   // Write to output
   const outputPath = path.join(__dirname, '..', 'data', 'site_snapshot.json');
   fs.writeFileSync(outputPath, JSON.stringify(snapshot, null, 2));
   
-  console.log(`\nCrawl complete!`);
-  console.log(`- Pages crawled: ${pages.length}`);
-  console.log(`- Duration: ${crawlDuration}ms`);
+  if (snapshot.incomplete) {
+    console.log(`\nCrawl incomplete (${snapshot.incomplete.reason}): partial snapshot written`);
+    console.log(`- Still queued: ${snapshot.incomplete.pending_urls} URLs - run with --resume to continue`);
+  } else {
+    console.log(`\nCrawl complete!`);
+  }
+  console.log(`- Pages crawled: ${snapshot.pages_crawled}`);
+  console.log(`- Duration: ${snapshot.crawl_duration_ms}ms`);
+  const skippedReasons = Object.entries(snapshot.skipped_summary);
+  if (skippedReasons.length > 0) {
+    const total = skippedReasons.reduce((sum, [, count]) => sum + count, 0);
+    console.log(`- Skipped: ${total} URLs (${skippedReasons.map(([reason, count]) => `${reason}: ${count}`).join(', ')})`);
+  }
+  if (snapshot.cache_summary) {
+    const c = snapshot.cache_summary;
+    console.log(`- Cache: ${c.not_modified} not modified, ${c.unchanged} unchanged, ${c.changed} changed, ${c.new} new`);
+  }
   console.log(`- Output: ${outputPath}`);
 }
 
-main().catch(console.error);
+// CLI execution
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DEFAULT_CRAWL_OPTIONS,
+  parseArgs,
+  resolveCrawlOptions,
+  crawlSite,
+  fetchFollowingRedirects,
+  fetchRobotsTxt,
+  extractHtmlPage,
+  extractDocumentPage
+};
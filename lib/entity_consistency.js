@@ -0,0 +1,270 @@
+/**
+ * Brand Entity Consistency
+ * Gathers the Organization, WebSite and Person entities of every page and
+ * compares their names, logos, URLs, sameAs profiles and contact details
+ * with each other and with the customer's brand_name and domain. AI engines
+ * resolve a brand from these entities; conflicting values split it in two.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pageEntities, hasType } = require('./schema_entities');
+const { isAssetPage, isDocumentPage } = require('./page_types');
+const { incompleteSnapshotWarning } = require('./crawl_checkpoint');
+
+// Properties through which an entity speaks for the site's own organization
+const BRAND_PROPERTIES = new Set([
+  'publisher', 'provider', 'brand', 'manufacturer', 'seller', 'sourceOrganization', 'copyrightHolder', 'creator', 'author'
+]);
+
+const LEGAL_SUFFIX_PATTERN = /\b(inc|incorporated|llc|ltd|limited|corp|corporation|co|company|gmbh|plc|ag|sa|bv|pty)\b\.?/g;
+
+function collapse(text) {
+  return String(text).replace(/\s+/g, ' ').trim();
+}
+
+// Loose form of a name for matching the brand: case, punctuation and legal suffixes ignored
+function nameKey(name) {
+  return collapse(name).toLowerCase().replace(LEGAL_SUFFIX_PATTERN, '').replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+// URL compared without protocol, www, query or trailing slash
+function urlKey(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.hostname.toLowerCase().replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}`.toLowerCase();
+  } catch {
+    return collapse(url).toLowerCase();
+  }
+}
+
+function phoneKey(phone) {
+  const value = collapse(phone);
+  return (value.startsWith('+') ? '+' : '') + value.replace(/\D/g, '');
+}
+
+function texts(entities, entity, property) {
+  return (entity.properties[property] || []).map(value => {
+    if (value && typeof value === 'object' && value['@entity'] !== undefined) {
+      // ImageObject logos carry their address in url or contentUrl
+      const target = entities[value['@entity']];
+      return (target.properties.url || target.properties.contentUrl || [])[0];
+    }
+    if (value && typeof value === 'object') return value['@id'];
+    return value;
+  }).filter(value => typeof value === 'string' && value.trim()).map(collapse);
+}
+
+/**
+ * Values seen for one field: key -> { value, pages }
+ */
+function createField() {
+  const values = new Map();
+  return {
+    values,
+    add(key, value, page) {
+      if (!key) return;
+      if (!values.has(key)) values.set(key, { value, pages: new Set() });
+      values.get(key).pages.add(page);
+    },
+    list() {
+      return [...values.values()]
+        .map(entry => ({ value: entry.value, pages: [...entry.pages] }))
+        .sort((a, b) => b.pages.length - a.pages.length);
+    }
+  };
+}
+
+function describeValues(values) {
+  return values.map(v => `"${v.value}" (${v.pages.length} page${v.pages.length === 1 ? '' : 's'})`).join(', ');
+}
+
+/**
+ * Whether an Organization entity stands for the site's own company rather
+ * than another organization it mentions. Top-level ones always do, so their
+ * URLs can be checked against the domain; a nested publisher, brand or author
+ * does when it carries the brand name or, with no brand name configured,
+ * when it does not point at another host.
+ */
+function isBrandOrganization(entity, brandName, brandHosts) {
+  if (!hasType(entity, 'Organization')) return false;
+  if (entity.parent === null) return true;
+  if (!BRAND_PROPERTIES.has(entity.property)) return false;
+  if (brandName) {
+    return (entity.properties.name || []).some(name => typeof name === 'string' && nameKey(name) === nameKey(brandName));
+  }
+  const url = (entity.properties.url || []).find(v => typeof v === 'string');
+  if (url && hostOf(url) && !brandHosts.has(hostOf(url))) return false;
+  return !(entity.id && /^https?:/.test(entity.id) && !brandHosts.has(hostOf(entity.id)));
+}
+
+/**
+ * Compare brand entities across the site
+ * @param {Object} snapshot - Site snapshot
+ * @param {Object} customer - Customer config (brand_name, domain)
+ * @returns {Object} { entities, brand, conflicts: [{ entity_type, field, subject, severity, values, message }] }
+ */
+function checkEntityConsistency(snapshot, customer = {}) {
+  const customerUrl = customer.domain || customer.website_url;
+  const customerHost = customerUrl ? hostOf(/^https?:/.test(customerUrl) ? customerUrl : `https://${customerUrl}`) : null;
+  const siteHost = customerHost || hostOf(snapshot.website_url);
+  const brandHosts = new Set([hostOf(snapshot.website_url), customerHost].filter(Boolean));
+  const brandName = customer.brand_name || customer.business_name || null;
+
+  const organization = {
+    name: createField(), url: createField(), logo: createField(), telephone: createField(), email: createField()
+  };
+  const organizationProfiles = new Map();
+  const website = { name: createField(), url: createField() };
+  const people = new Map();
+  const counts = { organizations: 0, websites: 0, people: 0 };
+
+  const addProfiles = (profiles, entities, entity, pageUrl) => {
+    texts(entities, entity, 'sameAs').forEach(profile => {
+      const network = hostOf(profile);
+      if (!network) return;
+      if (!profiles.has(network)) profiles.set(network, createField());
+      profiles.get(network).add(urlKey(profile), profile, pageUrl);
+    });
+  };
+
+  snapshot.pages
+    .filter(p => p.status_code === 200 && !isAssetPage(p) && !isDocumentPage(p))
+    .forEach(page => {
+      const entities = pageEntities(page);
+      entities.forEach(entity => {
+        if (isBrandOrganization(entity, brandName, brandHosts)) {
+          counts.organizations++;
+          texts(entities, entity, 'name').forEach(name => organization.name.add(name, name, page.url));
+          texts(entities, entity, 'url').forEach(url => organization.url.add(urlKey(url), url, page.url));
+          texts(entities, entity, 'logo').forEach(logo => organization.logo.add(urlKey(logo), logo, page.url));
+          // Department numbers belong in contactPoint; only the organization's own ones must agree
+          texts(entities, entity, 'telephone').forEach(phone => organization.telephone.add(phoneKey(phone), phone, page.url));
+          texts(entities, entity, 'email').forEach(email => organization.email.add(email.toLowerCase().replace(/^mailto:/, ''), email, page.url));
+          addProfiles(organizationProfiles, entities, entity, page.url);
+        }
+        if (hasType(entity, 'WebSite')) {
+          counts.websites++;
+          texts(entities, entity, 'name').forEach(name => website.name.add(name, name, page.url));
+          texts(entities, entity, 'url').forEach(url => website.url.add(urlKey(url), url, page.url));
+        }
+        if (hasType(entity, 'Person')) {
+          const names = texts(entities, entity, 'name');
+          if (names.length === 0) return;
+          counts.people++;
+          const key = nameKey(names[0]);
+          if (!people.has(key)) people.set(key, { name: createField(), url: createField(), profiles: new Map() });
+          const person = people.get(key);
+          names.forEach(name => person.name.add(name, name, page.url));
+          texts(entities, entity, 'url').forEach(url => person.url.add(urlKey(url), url, page.url));
+          addProfiles(person.profiles, entities, entity, page.url);
+        }
+      });
+    });
+
+  const conflicts = [];
+  const conflict = (entityType, field, subject, severity, values, message) => {
+    conflicts.push({ entity_type: entityType, field, subject, severity, values, message });
+  };
+  const compareField = (entityType, field, subject, severity, tracked, label) => {
+    const values = tracked.list();
+    if (values.length > 1) {
+      conflict(entityType, field, subject, severity, values, `${label} differs between pages: ${describeValues(values)}`);
+    }
+  };
+  const compareProfiles = (entityType, subject, profiles, label) => {
+    profiles.forEach((tracked, network) => {
+      const values = tracked.list();
+      if (values.length > 1) {
+        conflict(entityType, 'sameAs', subject, 'low', values, `${label} links to ${values.length} different ${network} profiles: ${describeValues(values)}`);
+      }
+    });
+  };
+
+  // The site's organization
+  compareField('Organization', 'name', null, 'medium', organization.name, 'Organization name');
+  compareField('Organization', 'url', null, 'medium', organization.url, 'Organization URL');
+  compareField('Organization', 'logo', null, 'medium', organization.logo, 'Organization logo');
+  compareField('Organization', 'telephone', null, 'low', organization.telephone, 'Organization telephone');
+  compareField('Organization', 'email', null, 'low', organization.email, 'Organization email');
+  compareProfiles('Organization', null, organizationProfiles, 'Organization sameAs');
+
+  // ... and the customer's brand and domain
+  const names = organization.name.list();
+  if (brandName && names.length > 0 && !names.some(n => nameKey(n.value) === nameKey(brandName))) {
+    conflict('Organization', 'name', null, 'medium', names, `No Organization is named after the brand "${brandName}": ${describeValues(names)}`);
+  }
+  [['Organization', organization.url], ['WebSite', website.url]].forEach(([entityType, tracked]) => {
+    const offSite = tracked.list().filter(v => hostOf(v.value) && hostOf(v.value) !== siteHost);
+    if (siteHost && offSite.length > 0) {
+      conflict(entityType, 'url', null, 'medium', offSite, `${entityType} URL points away from ${siteHost}: ${describeValues(offSite)}`);
+    }
+  });
+
+  // The site's WebSite entity
+  compareField('WebSite', 'name', null, 'low', website.name, 'WebSite name');
+  compareField('WebSite', 'url', null, 'low', website.url, 'WebSite URL');
+
+  // People: the same person described differently
+  people.forEach(person => {
+    const subject = person.name.list()[0].value;
+    compareField('Person', 'name', subject, 'low', person.name, `Spelling of ${subject}`);
+    compareField('Person', 'url', subject, 'low', person.url, `URL of ${subject}`);
+    compareProfiles('Person', subject, person.profiles, subject);
+  });
+
+  return {
+    entities: counts,
+    brand: {
+      names,
+      urls: organization.url.list(),
+      logos: organization.logo.list(),
+      same_as: [...organizationProfiles.values()].flatMap(tracked => tracked.list()),
+      telephones: organization.telephone.list(),
+      emails: organization.email.list()
+    },
+    conflicts
+  };
+}
+
+function main() {
+  const dataDir = path.join(__dirname, '..', 'data');
+  const snapshotPath = path.join(dataDir, 'site_snapshot.json');
+  const customerPath = path.join(dataDir, 'customer.json');
+  const outputPath = path.join(dataDir, 'entity_consistency.json');
+
+  const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+  const customer = fs.existsSync(customerPath) ? JSON.parse(fs.readFileSync(customerPath, 'utf8')) : {};
+  const result = checkEntityConsistency(snapshot, customer);
+  fs.writeFileSync(outputPath, JSON.stringify({ timestamp: new Date().toISOString(), ...result }, null, 2));
+
+  console.log('Entity consistency check complete!');
+  console.log(`- Entities: ${result.entities.organizations} Organization, ${result.entities.websites} WebSite, ${result.entities.people} Person`);
+  console.log(`- Conflicts: ${result.conflicts.length}`);
+  result.conflicts.forEach(c => console.log(`  - ${c.message}`));
+  console.log(`- Output: ${outputPath}`);
+  const warning = incompleteSnapshotWarning(snapshot);
+  if (warning) console.warn(`Warning: ${warning}`);
+}
+
+// CLI execution
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  checkEntityConsistency
+};
@@ -5,9 +5,36 @@
 
 const fs = require('fs');
 const path = require('path');
+const { evaluateIndexability } = require('./indexability');
+const { isAssetPage, isDocumentPage } = require('./page_types');
+const { incompleteSnapshotWarning } = require('./crawl_checkpoint');
+const { summarizePerformance } = require('./performance');
+const { mainWordCount } = require('./main_content');
+const { validateLlmsFiles } = require('./llms_txt');
+const { validateSnapshot: validateStructuredData } = require('./schema_validator');
+const { loadLinkCheck } = require('./link_checker');
 
-function runHealthChecks(snapshotPath, outputPath) {
+// Performance budget -> issue raised for pages over it
+const BUDGET_ISSUES = {
+  max_ttfb_ms: { type: 'slow_response', severity: 'medium', deduction: 5, describe: (n, b) => `${n} page(s) take longer than ${b}ms to start responding (time to first byte) - AI crawlers may time out` },
+  max_download_ms: { type: 'slow_download', severity: 'medium', deduction: 3, describe: (n, b) => `${n} page(s) take longer than ${b}ms to download` },
+  max_transfer_bytes: { type: 'large_transfer', severity: 'medium', deduction: 3, describe: (n, b) => `${n} page(s) transfer more than ${Math.round(b / 1024)} KB` },
+  max_html_bytes: { type: 'oversized_html', severity: 'high', deduction: 5, describe: (n, b) => `${n} page(s) have more than ${Math.round(b / 1024)} KB of HTML - crawlers may truncate them` },
+  max_render_blocking: { type: 'render_blocking_resources', severity: 'low', deduction: 2, describe: (n, b) => `${n} page(s) load more than ${b} render-blocking stylesheets/scripts in <head>` }
+};
+
+/**
+ * Run every health check on a snapshot
+ * @param {string} snapshotPath - site_snapshot.json path; link_check.json and customer.json are read next to it
+ * @param {string|null} outputPath - Where to write the result, or null to only return it
+ * @param {Object} options
+ * @param {boolean} options.crawlOnly - Score only what the crawl recorded, leaving out link checks,
+ *   bot comparisons and delivery performance, so sites audited with different inputs compare fairly
+ * @returns {Object} Health check result
+ */
+function runHealthChecks(snapshotPath, outputPath, options = {}) {
   const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+  const crawlOnly = Boolean(options.crawlOnly);
   
   const healthIssues = [];
   let healthScore = 100;
@@ -23,13 +50,76 @@ function runHealthChecks(snapshotPath, outputPath) {
       });
       healthScore -= 20;
     } else if (page.status_code >= 300 && page.status_code < 400) {
+      const chain = page.redirect_chain || [];
+      if (page.redirect_loop) {
+        healthIssues.push({
+          type: 'redirect_loop',
+          severity: 'critical',
+          page: page.url,
+          message: `Redirect loop: ${chain.map(hop => hop.url).join(' -> ')} -> ${page.final_url}`
+        });
+        healthScore -= 20;
+      } else if (chain.length > 1) {
+        healthIssues.push({
+          type: 'redirect_chain',
+          severity: 'medium',
+          page: page.url,
+          message: `Redirect chain of ${chain.length} hops ending at ${page.final_url} - link to the final URL directly`
+        });
+        healthScore -= 10;
+      } else {
+        healthIssues.push({
+          type: 'redirect',
+          severity: 'medium',
+          page: page.url,
+          message: `Page redirects (HTTP ${page.status_code})${page.final_url ? ` to ${page.final_url}` : ''}`
+        });
+        healthScore -= 10;
+      }
+      
+      if (chain.some(hop => hop.url.startsWith('http:') && hop.location.startsWith('https:'))) {
+        healthIssues.push({
+          type: 'http_to_https_redirect',
+          severity: 'low',
+          page: page.url,
+          message: 'Redirect chain includes an http -> https hop - link to the https URL directly'
+        });
+        healthScore -= 1;
+      }
+    }
+  });
+  
+  // 1b. Check canonical targets
+  snapshot.pages.forEach(page => {
+    if (page.status_code !== 200 || !page.canonical) return;
+    
+    const status = page.canonical_status;
+    if (status && (status.redirected || (status.status_code >= 300 && status.status_code < 400))) {
+      healthIssues.push({
+        type: 'canonical_redirects',
+        severity: 'high',
+        page: page.url,
+        message: `Canonical URL ${page.canonical} redirects${status.final_url ? ` to ${status.final_url}` : ''}`
+      });
+      healthScore -= 5;
+    } else if (status && status.status_code !== 200) {
+      healthIssues.push({
+        type: 'canonical_error',
+        severity: 'high',
+        page: page.url,
+        message: `Canonical URL ${page.canonical} returns HTTP ${status.status_code}`
+      });
+      healthScore -= 5;
+    }
+    
+    if (page.canonical.replace(/#.*$/, '') !== page.url.replace(/#.*$/, '')) {
       healthIssues.push({
-        type: 'redirect',
+        type: 'canonical_mismatch',
         severity: 'medium',
         page: page.url,
-        message: `Page redirects (HTTP ${page.status_code})`
+        message: `Canonical tag points at ${page.canonical}, not at this URL`
       });
-      healthScore -= 10;
+      healthScore -= 3;
     }
   });
   
@@ -79,7 +169,17 @@ function runHealthChecks(snapshotPath, outputPath) {
   });
   
   // 5. Check robots.txt and sitemap availability
-  if (!snapshot.robots_txt || !snapshot.robots_txt.exists) {
+  if (snapshot.robots_txt && snapshot.robots_txt.unreachable) {
+    healthIssues.push({
+      type: 'robots_txt_unreachable',
+      severity: 'critical',
+      page: snapshot.robots_txt.url || snapshot.website_url,
+      message: `robots.txt could not be fetched (HTTP ${snapshot.robots_txt.status_code}) - crawlers treat this as "disallow everything"`
+    });
+    healthScore -= 20;
+  } else if (snapshot.robots_txt && snapshot.robots_txt.not_captured) {
+    // Imported archive without robots.txt - nothing to say about the live file
+  } else if (!snapshot.robots_txt || !snapshot.robots_txt.exists) {
     healthIssues.push({
       type: 'missing_robots_txt',
       severity: 'medium',
@@ -89,7 +189,21 @@ function runHealthChecks(snapshotPath, outputPath) {
     healthScore -= 10;
   }
   
-  if (!snapshot.sitemaps || snapshot.sitemaps.length === 0) {
+  const validSitemaps = (snapshot.sitemaps || []).filter(sm => sm.status_code === undefined || sm.status_code === 200);
+  (snapshot.sitemaps || []).filter(sm => !validSitemaps.includes(sm)).forEach(sm => {
+    const foundIn = sm.source === 'robots_txt' ? 'listed in robots.txt'
+      : sm.source === 'default_path' ? `at ${new URL(sm.url).pathname}`
+        : sm.source ? `listed in the sitemap index ${sm.source}` : null;
+    healthIssues.push({
+      type: 'sitemap_fetch_error',
+      severity: 'high',
+      page: sm.url,
+      message: `Sitemap${foundIn ? ` ${foundIn}` : ''} could not be fetched (${sm.status_code ? `HTTP ${sm.status_code}` : sm.error || 'no response'})`
+    });
+    healthScore -= 5;
+  });
+  
+  if (validSitemaps.length === 0) {
     healthIssues.push({
       type: 'missing_sitemap',
       severity: 'high',
@@ -99,45 +213,391 @@ function runHealthChecks(snapshotPath, outputPath) {
     healthScore -= 15;
   }
   
-  // 6. Check for thin content pages
+  // 5b. Reconcile sitemap URLs against the link crawl
+  const coverage = snapshot.sitemap_coverage;
+  if (coverage) {
+    if (coverage.in_sitemap_not_linked.length > 0) {
+      healthIssues.push({
+        type: 'sitemap_urls_not_linked',
+        severity: 'medium',
+        page: snapshot.website_url,
+        affected_pages: coverage.in_sitemap_not_linked,
+        message: `${coverage.in_sitemap_not_linked.length} sitemap URL(s) are not reachable through internal links`
+      });
+      healthScore -= 5;
+    }
+    
+    if (coverage.linked_not_in_sitemap.length > 0) {
+      healthIssues.push({
+        type: 'pages_missing_from_sitemap',
+        severity: 'low',
+        page: snapshot.website_url,
+        affected_pages: coverage.linked_not_in_sitemap,
+        message: `${coverage.linked_not_in_sitemap.length} linked page(s) are missing from the sitemap`
+      });
+      healthScore -= 3;
+    }
+    
+    coverage.sitemap_url_errors.forEach(entry => {
+      healthIssues.push({
+        type: 'sitemap_url_error',
+        severity: 'high',
+        page: entry.url,
+        message: `Sitemap URL returns HTTP ${entry.status_code}`
+      });
+      healthScore -= 5;
+    });
+    
+    coverage.sitemap_url_redirects.forEach(entry => {
+      healthIssues.push({
+        type: 'sitemap_url_redirect',
+        severity: 'medium',
+        page: entry.url,
+        message: `Sitemap URL redirects${entry.final_url ? ` to ${entry.final_url}` : ''} - list the final URL instead`
+      });
+      healthScore -= 2;
+    });
+  }
+  
+  // 6. Check for thin content pages (navigation, footers and banners do not count)
   snapshot.pages.forEach(page => {
-    if (page.word_count && page.word_count < 100 && page.status_code === 200) {
+    const words = mainWordCount(page);
+    if (page.word_count && words < 100 && page.status_code === 200) {
       healthIssues.push({
         type: 'thin_content',
         severity: 'low',
         page: page.url,
-        message: `Very low word count (${page.word_count})`
+        message: `Very low main-content word count (${words} of ${page.word_count} words on the page)`
       });
       healthScore -= 3;
     }
   });
   
   // 7. Check for non-HTML content crawled
-  const nonHtmlPages = snapshot.pages.filter(p => 
-    p.url.endsWith('.css') || p.url.endsWith('.js') || 
-    p.url.endsWith('.ico') || p.url.endsWith('.png') ||
-    p.url.endsWith('.jpg') || p.url.endsWith('.gif')
-  );
+  const nonHtmlPages = snapshot.pages.filter(isAssetPage);
   if (nonHtmlPages.length > 0) {
+    const types = [...new Set(nonHtmlPages.map(p => p.resource_type).filter(Boolean))];
     healthIssues.push({
       type: 'non_html_crawled',
       severity: 'low',
       page: snapshot.website_url,
-      message: `Crawled ${nonHtmlPages.length} non-HTML resources (css, images) - may want to exclude`
+      message: `Crawled ${nonHtmlPages.length} non-HTML resources (${types.length > 0 ? types.join(', ') : 'css, images'}) - may want to exclude`
+    });
+    healthScore -= 2;
+  }
+  
+  // 8. Check AI crawler access from robots.txt
+  const blockedByBot = {};
+  snapshot.pages.forEach(page => {
+    if (!page.ai_bot_access) return;
+    Object.entries(page.ai_bot_access).forEach(([bot, allowed]) => {
+      if (allowed) return;
+      if (!blockedByBot[bot]) blockedByBot[bot] = [];
+      blockedByBot[bot].push(page.url);
+    });
+  });
+  
+  Object.entries(blockedByBot).forEach(([bot, urls]) => {
+    const homepageBlocked = urls.includes(snapshot.website_url);
+    healthIssues.push({
+      type: 'ai_bot_blocked',
+      severity: homepageBlocked ? 'critical' : 'high',
+      page: homepageBlocked ? snapshot.website_url : urls[0],
+      bot: bot,
+      affected_pages: urls,
+      message: `robots.txt blocks ${bot} from ${urls.length} crawled page(s)${homepageBlocked ? ' including the homepage' : ''}`
+    });
+    healthScore -= homepageBlocked ? 15 : 5;
+  });
+  
+  // 8b. Check what AI crawlers are actually served (bot_comparison.js). Blocks and
+  // missing content are critical; title or size changes alone are often A/B tests
+  const botComparison = crawlOnly ? null : snapshot.bot_comparison;
+  const comparedPages = (botComparison && botComparison.pages) || [];
+  const personaNames = botComparison ? Object.keys(botComparison.personas || {}) : [];
+  const personaSeverityOrder = ['low', 'medium', 'critical'];
+  const personaDeductions = { low: 1, medium: 5, critical: 15 };
+  personaNames.forEach(bot => {
+    ['blocked', 'different'].forEach(verdict => {
+      const affected = comparedPages.filter(p => p.personas[bot] && p.personas[bot].verdict === verdict);
+      if (affected.length === 0) return;
+      const blocked = verdict === 'blocked';
+      // Comparisons from before severities were recorded count as critical
+      const severityOf = p => p.personas[bot].severity || 'critical';
+      const worst = affected.reduce((a, b) => (personaSeverityOrder.indexOf(severityOf(b)) > personaSeverityOrder.indexOf(severityOf(a)) ? b : a));
+      const severity = severityOf(worst);
+      healthIssues.push({
+        type: blocked ? 'ai_bot_blocked_by_server' : 'ai_bot_cloaking',
+        severity: severity,
+        page: worst.url,
+        bot: bot,
+        affected_pages: affected.map(p => p.url),
+        message: blocked
+          ? `${bot} is refused or challenged on ${affected.length} key page(s) that browsers can load (${worst.personas[bot].differences.join('; ')})`
+          : `${bot} is served different content than browsers on ${affected.length} key page(s) (${worst.personas[bot].differences.join('; ')})`
+      });
+      healthScore -= personaDeductions[severity];
+    });
+  });
+  
+  // 9. Check indexability and citability directives
+  const keyPageUrls = new Set((snapshot.key_pages || []).map(kp => kp.url));
+  const pageIndexability = snapshot.pages
+    .filter(p => p.status_code === 200 && p.robots_directives)
+    .map(page => ({ url: page.url, ...evaluateIndexability(page) }));
+  
+  pageIndexability.forEach(status => {
+    const isKeyPage = keyPageUrls.has(status.url);
+    
+    if (!status.indexable) {
+      healthIssues.push({
+        type: isKeyPage ? 'key_page_noindex' : 'page_noindex',
+        severity: isKeyPage ? 'critical' : 'low',
+        page: status.url,
+        message: `${isKeyPage ? 'Key page' : 'Page'} is excluded from indexing (${status.reasons.join(', ')})`
+      });
+      healthScore -= isKeyPage ? 15 : 1;
+    } else if (!status.citable && isKeyPage) {
+      healthIssues.push({
+        type: 'key_page_not_citable',
+        severity: 'high',
+        page: status.url,
+        message: `Key page is indexable but cannot be quoted by AI answers (${status.reasons.join(', ')})`
+      });
+      healthScore -= 10;
+    }
+    
+    Object.entries(status.bot_exclusions).forEach(([bot, directives]) => {
+      if (!isKeyPage) return;
+      healthIssues.push({
+        type: 'key_page_bot_excluded',
+        severity: 'high',
+        page: status.url,
+        bot: bot,
+        message: `Key page sends ${directives.join(', ')} to ${bot}`
+      });
+      healthScore -= 5;
+    });
+  });
+  
+  // 9b. Check link structure: pages buried deep in the click path, and orphans
+  const linkGraph = snapshot.link_graph || null;
+  if (linkGraph && linkGraph.too_deep_pages.length > 0) {
+    const deepKeyPages = linkGraph.too_deep_pages.filter(p => keyPageUrls.has(p.url));
+    healthIssues.push({
+      type: 'pages_too_deep',
+      severity: deepKeyPages.length > 0 ? 'high' : 'medium',
+      page: linkGraph.too_deep_pages[0].url,
+      affected_pages: linkGraph.too_deep_pages.map(p => p.url),
+      message: `${linkGraph.too_deep_pages.length} page(s) are more than ${linkGraph.max_click_depth} clicks from the homepage${deepKeyPages.length > 0 ? `, including ${deepKeyPages.length} key page(s)` : ''} - crawlers may not reach them`
+    });
+    healthScore -= deepKeyPages.length > 0 ? 10 : 5;
+  }
+  if (linkGraph && linkGraph.orphan_pages.length > 0) {
+    healthIssues.push({
+      type: 'orphan_pages',
+      severity: 'medium',
+      page: linkGraph.orphan_pages[0].url,
+      affected_pages: linkGraph.orphan_pages.map(p => p.url),
+      message: `${linkGraph.orphan_pages.length} page(s) are known from the sitemap but no crawled page links to them`
+    });
+    healthScore -= 5;
+  }
+  
+  // 9c. Check broken and redirected links (link_checker.js)
+  const linkCheckPath = path.join(path.dirname(snapshotPath), 'link_check.json');
+  const linkCheck = crawlOnly ? null : loadLinkCheck(linkCheckPath, snapshot);
+  if (linkCheck) {
+    linkCheck.broken_internal.forEach(link => {
+      healthIssues.push({
+        type: 'broken_internal_link',
+        severity: keyPageUrls.has(link.url) ? 'critical' : 'high',
+        page: link.url,
+        affected_pages: link.sources.map(s => s.page),
+        message: `Broken internal link (${link.status_code || link.error}) from ${link.sources.length} place(s), e.g. "${link.sources[0].anchor_text}" on ${link.sources[0].page}`
+      });
+      healthScore -= 3;
+    });
+    
+    const internalRedirects = linkCheck.redirected.filter(link => link.internal);
+    if (internalRedirects.length > 0) {
+      healthIssues.push({
+        type: 'links_to_redirects',
+        severity: 'low',
+        page: internalRedirects[0].url,
+        affected_pages: internalRedirects.map(link => link.url),
+        message: `${internalRedirects.length} internal link target(s) redirect - link to the final URL instead`
+      });
+      healthScore -= 2;
+    }
+    
+    linkCheck.bad_contact_links.forEach(link => {
+      healthIssues.push({
+        type: 'malformed_contact_link',
+        severity: 'medium',
+        page: link.sources[0].page,
+        affected_pages: link.sources.map(s => s.page),
+        message: `Malformed ${link.scheme}: link "${link.href}" (${link.problem})`
+      });
+      healthScore -= 2;
+    });
+  }
+  
+  // 9d. Check delivery performance against budgets (customer.json "performance_budgets").
+  // Left out of crawl-only scores: --dir and --archive snapshots have no delivery metrics
+  const customerPath = path.join(path.dirname(snapshotPath), 'customer.json');
+  const customer = fs.existsSync(customerPath) ? JSON.parse(fs.readFileSync(customerPath, 'utf8')) : {};
+  const performance = crawlOnly ? null : summarizePerformance(snapshot.pages, customer.performance_budgets || {});
+  if (performance) {
+    Object.entries(BUDGET_ISSUES).forEach(([budget, spec]) => {
+      const over = performance.over_budget[budget];
+      if (over.length === 0) return;
+      const keyPagesOver = over.filter(p => keyPageUrls.has(p.url));
+      healthIssues.push({
+        type: spec.type,
+        severity: keyPagesOver.length > 0 && spec.severity === 'medium' ? 'high' : spec.severity,
+        page: over[0].url,
+        affected_pages: over.map(p => p.url),
+        message: spec.describe(over.length, performance.budgets[budget]) + (keyPagesOver.length > 0 ? `, including ${keyPagesOver.length} key page(s)` : '')
+      });
+      healthScore -= spec.deduction;
+    });
+    
+    if (performance.uncompressed_pages.length > 0) {
+      healthIssues.push({
+        type: 'uncompressed_responses',
+        severity: 'medium',
+        page: performance.uncompressed_pages[0],
+        affected_pages: performance.uncompressed_pages,
+        message: `${performance.uncompressed_pages.length} HTML page(s) are served without gzip, Brotli or zstd compression`
+      });
+      healthScore -= 3;
+    }
+    if (performance.pages_without_cache_headers.length > 0) {
+      healthIssues.push({
+        type: 'missing_cache_headers',
+        severity: 'low',
+        page: performance.pages_without_cache_headers[0],
+        affected_pages: performance.pages_without_cache_headers,
+        message: `${performance.pages_without_cache_headers.length} page(s) send no Cache-Control, ETag or Last-Modified header, so crawlers cannot revalidate cheaply`
+      });
+      healthScore -= 1;
+    }
+  }
+  
+  // 9e. Check llms.txt and llms-full.txt
+  const llms = validateLlmsFiles(snapshot);
+  const llmsTxt = llms.llms_txt;
+  if (!llmsTxt.exists && !llmsTxt.not_captured) {
+    healthIssues.push({
+      type: 'missing_llms_txt',
+      severity: 'low',
+      page: llmsTxt.url || snapshot.website_url,
+      message: 'No /llms.txt found - AI tools that look for it get no curated map of the site'
     });
     healthScore -= 2;
   }
+  if (llmsTxt.exists && llmsTxt.format_problems.length > 0) {
+    healthIssues.push({
+      type: 'invalid_llms_txt',
+      severity: llmsTxt.valid_format ? 'low' : 'medium',
+      page: llmsTxt.url,
+      message: `llms.txt does not follow the llms.txt format: ${llmsTxt.format_problems.slice(0, 5).join('; ')}` +
+        (llmsTxt.format_problems.length > 5 ? ` (and ${llmsTxt.format_problems.length - 5} more)` : '')
+    });
+    healthScore -= llmsTxt.valid_format ? 1 : 3;
+  }
+  if (llmsTxt.exists && llmsTxt.unresolved_links && llmsTxt.unresolved_links.length > 0) {
+    const unresolved = llmsTxt.unresolved_links;
+    const errors = unresolved.filter(link => link.status_code === 0 || link.status_code >= 400);
+    healthIssues.push({
+      type: 'llms_txt_broken_links',
+      severity: errors.length > 0 ? 'high' : 'medium',
+      page: llmsTxt.url,
+      affected_pages: unresolved.map(link => link.url),
+      message: `${unresolved.length} URL(s) listed in llms.txt do not resolve to a crawled 200 page, e.g. ${unresolved[0].url} (${unresolved[0].reason})`
+    });
+    healthScore -= errors.length > 0 ? 5 : 2;
+  }
+  if (llmsTxt.exists && llmsTxt.blocked_links && llmsTxt.blocked_links.length > 0) {
+    const bots = [...new Set(llmsTxt.blocked_links.flatMap(link => link.bots))];
+    healthIssues.push({
+      type: 'llms_txt_blocked_links',
+      severity: 'high',
+      page: llmsTxt.url,
+      affected_pages: llmsTxt.blocked_links.map(link => link.url),
+      message: `${llmsTxt.blocked_links.length} URL(s) listed in llms.txt are disallowed by robots.txt for ${bots.join(', ')}`
+    });
+    healthScore -= 5;
+  }
+  if (llmsTxt.exists && llmsTxt.missing_key_pages && llmsTxt.missing_key_pages.length > 0) {
+    healthIssues.push({
+      type: 'llms_txt_missing_key_pages',
+      severity: 'medium',
+      page: llmsTxt.url,
+      affected_pages: llmsTxt.missing_key_pages,
+      message: `${llmsTxt.missing_key_pages.length} key page(s) are not listed in llms.txt`
+    });
+    healthScore -= 2;
+  }
+  const llmsFullTxt = llms.llms_full_txt;
+  if (llmsFullTxt && llmsFullTxt.exists && llmsFullTxt.format_problems.length > 0) {
+    healthIssues.push({
+      type: 'invalid_llms_full_txt',
+      severity: 'low',
+      page: llmsFullTxt.url,
+      message: `llms-full.txt problems: ${llmsFullTxt.format_problems.join('; ')}`
+    });
+    healthScore -= 1;
+  }
+  
+  // 9f. Validate structured data against schema.org and rich-result rules
+  const structuredData = validateStructuredData(snapshot);
+  const pagesWithSchemaErrors = structuredData.pages.filter(p => p.errors > 0);
+  if (pagesWithSchemaErrors.length > 0) {
+    const keyPagesWithErrors = pagesWithSchemaErrors.filter(p => keyPageUrls.has(p.url));
+    const example = pagesWithSchemaErrors[0].issues.find(i => i.severity === 'error');
+    healthIssues.push({
+      type: 'invalid_structured_data',
+      severity: keyPagesWithErrors.length > 0 ? 'high' : 'medium',
+      page: pagesWithSchemaErrors[0].url,
+      affected_pages: pagesWithSchemaErrors.map(p => p.url),
+      message: `${pagesWithSchemaErrors.length} page(s) have structured data errors that block rich results, e.g. ${example.message} (${example.path})`
+    });
+    healthScore -= keyPagesWithErrors.length > 0 ? 5 : 3;
+  }
+  const pagesMissingRecommended = structuredData.pages.filter(p => p.issues.some(i => i.code === 'missing_recommended'));
+  if (pagesMissingRecommended.length > 0) {
+    healthIssues.push({
+      type: 'incomplete_structured_data',
+      severity: 'low',
+      page: pagesMissingRecommended[0].url,
+      affected_pages: pagesMissingRecommended.map(p => p.url),
+      message: `${pagesMissingRecommended.length} page(s) have structured data missing recommended properties`
+    });
+    healthScore -= 1;
+  }
   
-  // 8. Check crawl coverage
-  const htmlPages = snapshot.pages.filter(p => 
-    !p.url.endsWith('.css') && !p.url.endsWith('.js') && 
-    !p.url.endsWith('.ico') && !p.url.endsWith('.png')
-  );
+  // 10. Check crawl coverage
+  const htmlPages = snapshot.pages.filter(p => !isAssetPage(p) && !isDocumentPage(p));
+  const documentPages = snapshot.pages.filter(isDocumentPage);
+  
+  // A partial snapshot is not a site problem, so it is flagged without a deduction
+  const incompleteWarning = incompleteSnapshotWarning(snapshot);
+  if (incompleteWarning) {
+    healthIssues.push({
+      type: 'incomplete_crawl',
+      severity: 'high',
+      page: snapshot.website_url,
+      message: incompleteWarning
+    });
+  }
   
   healthScore = Math.max(0, healthScore);
   
   const result = {
     timestamp: new Date().toISOString(),
+    snapshot_incomplete: Boolean(incompleteWarning),
     health_score: healthScore,
     total_issues: healthIssues.length,
     critical_issues: healthIssues.filter(i => i.severity === 'critical').length,
@@ -145,17 +605,40 @@ function runHealthChecks(snapshotPath, outputPath) {
     medium_issues: healthIssues.filter(i => i.severity === 'medium').length,
     low_issues: healthIssues.filter(i => i.severity === 'low').length,
     issues: healthIssues,
+    page_indexability: pageIndexability,
     summary: {
       pages_crawled: snapshot.pages.length,
       html_pages: htmlPages.length,
+      document_pages: documentPages.length,
+      asset_resources: nonHtmlPages.length,
       key_pages_identified: snapshot.key_pages ? snapshot.key_pages.length : 0,
+      orphan_pages: linkGraph ? linkGraph.orphan_pages.length : 0,
+      pages_too_deep: linkGraph ? linkGraph.too_deep_pages.length : 0,
+      broken_internal_links: linkCheck ? linkCheck.summary.broken_internal : null,
+      broken_outbound_links: linkCheck ? linkCheck.summary.broken_external : null,
+      ai_bots_blocked: Object.keys(blockedByBot),
+      ai_bots_blocked_by_server: personaNames.filter(bot => comparedPages.some(p => p.personas[bot] && p.personas[bot].verdict === 'blocked')),
+      indexable_pages: pageIndexability.filter(p => p.indexable).length,
+      citable_pages: pageIndexability.filter(p => p.citable).length,
+      sitemap_urls: coverage ? coverage.sitemap_urls : 0,
+      performance: performance,
+      llms_txt: llms,
+      structured_data: {
+        quality_score: structuredData.quality_score,
+        pages_validated: structuredData.pages_validated,
+        pages_without_structured_data: structuredData.pages_without_structured_data,
+        errors: structuredData.errors,
+        warnings: structuredData.warnings
+      },
       crawl_duration_ms: snapshot.crawl_duration_ms
     }
   };
   
-  fs.writeFileSync(outputPath, JSON.stringify(result, null, 2));
-  console.log('Health checks complete:', result.health_score + '/100');
-  console.log('Issues found:', result.total_issues);
+  if (outputPath) {
+    fs.writeFileSync(outputPath, JSON.stringify(result, null, 2));
+    console.log('Health checks complete:', result.health_score + '/100');
+    console.log('Issues found:', result.total_issues);
+  }
   
   return result;
 }
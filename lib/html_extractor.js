@@ -0,0 +1,297 @@
+/**
+ * HTML Extraction Module
+ * DOM-based parsing shared by the crawler and analysis modules.
+ * Extracts title, meta tags, headings, images, links, JSON-LD, bylines and visible text.
+ */
+
+const cheerio = require('cheerio');
+
+// Elements whose contents never render as page text
+const NON_VISIBLE_TAGS = new Set([
+  'head', 'script', 'style', 'noscript', 'template', 'svg', 'math',
+  'iframe', 'object', 'canvas', 'select', 'datalist'
+]);
+
+// Elements that break text flow; their boundaries separate words
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'br', 'dd', 'details', 'div',
+  'dl', 'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1',
+  'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol',
+  'p', 'pre', 'section', 'summary', 'table', 'tbody', 'td', 'tfoot', 'th',
+  'thead', 'tr', 'ul', 'option', 'button', 'label', 'img'
+]);
+
+/**
+ * Parse an HTML document
+ * @param {string} html - Raw HTML
+ * @returns {Function} Cheerio root
+ */
+function loadHtml(html) {
+  return cheerio.load(html || '');
+}
+
+function isHidden(node) {
+  const attribs = node.attribs || {};
+  if ('hidden' in attribs) return true;
+  const style = (attribs.style || '').replace(/\s+/g, '').toLowerCase();
+  return style.includes('display:none') || style.includes('visibility:hidden');
+}
+
+// Marks block boundaries while collecting paragraphs
+const PARAGRAPH_BREAK = '\u2029';
+
+function collectText(node, parts, exclude, separator = ' ') {
+  if (node.type === 'text') {
+    parts.push(node.data);
+    return;
+  }
+  if (!node.children) return;
+  if (node.name && (NON_VISIBLE_TAGS.has(node.name) || isHidden(node))) return;
+  if (exclude && node.name && exclude(node)) return;
+
+  const block = node.name && BLOCK_TAGS.has(node.name);
+  if (block) parts.push(separator);
+  node.children.forEach(child => collectText(child, parts, exclude, separator));
+  if (block) parts.push(separator);
+}
+
+function collapseWhitespace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Visible text of a node and its descendants, with word breaks at block
+ * boundaries and scripts, styles and hidden elements left out
+ * @param {Object} node - DOM node (cheerio element)
+ * @param {Function} exclude - Optional predicate; matching elements are skipped with their contents
+ * @returns {string}
+ */
+function nodeText(node, exclude = null) {
+  const parts = [];
+  collectText(node, parts, exclude);
+  return collapseWhitespace(parts.join(''));
+}
+
+/**
+ * Visible text of a node split into paragraphs at block boundaries
+ * @param {Object} node - DOM node (cheerio element)
+ * @param {Function} exclude - Optional predicate; matching elements are skipped with their contents
+ * @returns {Array<string>} Non-empty paragraphs with whitespace collapsed
+ */
+function nodeParagraphs(node, exclude = null) {
+  const parts = [];
+  collectText(node, parts, exclude, PARAGRAPH_BREAK);
+  return parts.join('').split(PARAGRAPH_BREAK).map(collapseWhitespace).filter(Boolean);
+}
+
+function countWords(text) {
+  return text ? text.split(/\s+/).filter(w => w.length > 0).length : 0;
+}
+
+/**
+ * Collect all <meta> tags keyed by lowercased name/property/http-equiv
+ * @param {Function} $ - Cheerio root
+ * @returns {Object} Map of key to content (first occurrence wins)
+ */
+function extractMetaTags($) {
+  const meta = {};
+  $('meta').each((_, el) => {
+    const key = el.attribs.name || el.attribs.property || el.attribs['http-equiv'] || el.attribs.itemprop;
+    const content = el.attribs.content;
+    if (!key || content === undefined) return;
+    const normalized = key.trim().toLowerCase();
+    if (!(normalized in meta)) meta[normalized] = content.trim();
+  });
+  return meta;
+}
+
+/**
+ * Resolve a reference against a base URL
+ * @param {string} href - Reference as written in the markup
+ * @param {string} base - Base URL
+ * @returns {string|null} Absolute URL, or null when it cannot be resolved
+ */
+function resolveUrl(href, base) {
+  try {
+    return new URL(href, base).href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Collect anchor links with anchor text and rel values
+ * @param {Function} $ - Cheerio root
+ * @param {string} pageUrl - Page URL used to resolve relative hrefs
+ * @returns {Array} [{ href, url, text, rel, internal }]
+ */
+function extractAnchors($, pageUrl) {
+  const base = documentBase($, pageUrl);
+  const pageHost = pageUrl ? new URL(pageUrl).hostname : null;
+  const links = [];
+
+  $('a[href], area[href]').each((_, el) => {
+    const href = el.attribs.href.trim();
+    const scheme = href.match(/^([a-z][a-z0-9+.-]*):/i);
+    const protocol = scheme ? scheme[1].toLowerCase() : null;
+
+    const link = {
+      href,
+      url: null,
+      text: nodeText(el) || (el.attribs['aria-label'] || '').trim() || $(el).find('img[alt]').attr('alt') || '',
+      rel: (el.attribs.rel || '').toLowerCase().split(/\s+/).filter(Boolean),
+      internal: false
+    };
+
+    if (!href || href.startsWith('#') || protocol === 'javascript') {
+      return;
+    }
+    if (protocol && protocol !== 'http' && protocol !== 'https') {
+      // mailto:, tel: and friends are kept as-is for link checks
+      link.scheme = protocol;
+      links.push(link);
+      return;
+    }
+
+    link.url = resolveUrl(href, base);
+    if (!link.url) return;
+    link.internal = pageHost !== null && new URL(link.url).hostname === pageHost;
+    links.push(link);
+  });
+
+  return links;
+}
+
+/**
+ * Base URL for resolving relative references, honoring <base href>
+ */
+function documentBase($, pageUrl) {
+  const baseHref = $('base[href]').first().attr('href');
+  if (baseHref && pageUrl) {
+    return resolveUrl(baseHref, pageUrl) || pageUrl;
+  }
+  return pageUrl;
+}
+
+/**
+ * Parse every JSON-LD block on the page
+ * @param {Function} $ - Cheerio root
+ * @returns {{items: Array, errors: Array}}
+ */
+function extractJsonLd($) {
+  const items = [];
+  const errors = [];
+  $('script').each((_, el) => {
+    const type = (el.attribs.type || '').toLowerCase();
+    if (!type.includes('application/ld+json')) return;
+    const raw = $(el).text().trim();
+    if (!raw) return;
+    try {
+      items.push(JSON.parse(raw));
+    } catch (e) {
+      errors.push(e.message);
+    }
+  });
+  return { items, errors };
+}
+
+// Elements that usually hold an article's byline, most specific first
+const BYLINE_SELECTORS = [
+  '[rel~="author"]', '[itemprop="author"]', '.author-name', '.byline .author', '.byline', '.author', '[class*="byline"]'
+];
+
+function cleanByline(text) {
+  const name = collapseWhitespace(text).replace(/^(written\s+)?by[:\s]+/i, '').split(/\s+[|•·–—]\s+|,\s+(?=\w+\s+\d)/)[0].trim();
+  // A byline is a name, not a sentence
+  return name && name.length <= 80 && countWords(name) <= 6 ? name : null;
+}
+
+/**
+ * Author and publication dates of an article page, from meta tags, bylines
+ * and <time> elements
+ * @param {Function} $ - Cheerio root
+ * @param {Object} meta - extractMetaTags() result
+ * @returns {Object} { author, date_published, date_modified } (null when not found)
+ */
+function extractByline($, meta = extractMetaTags($)) {
+  let author = meta.author || (/^https?:/.test(meta['article:author'] || '') ? null : meta['article:author']) || null;
+  if (!author) {
+    BYLINE_SELECTORS.some(selector => {
+      const el = $(selector).filter((_, node) => !$(node).is('meta, link')).first();
+      author = el.length > 0 ? cleanByline(el.text()) : null;
+      return Boolean(author);
+    });
+  }
+
+  const timeValue = selector => {
+    const el = $(selector).first();
+    return el.length > 0 ? (el.attr('datetime') || el.attr('content') || collapseWhitespace(el.text())) || null : null;
+  };
+  const datePublished = meta['article:published_time'] || meta['datepublished'] || meta['date'] ||
+    timeValue('[itemprop="datePublished"]') || timeValue('article time[datetime], main time[datetime], time[datetime]');
+  const dateModified = meta['article:modified_time'] || meta['og:updated_time'] || meta['datemodified'] ||
+    timeValue('[itemprop="dateModified"]');
+
+  return { author: author || null, date_published: datePublished || null, date_modified: dateModified || null };
+}
+
+/**
+ * Extract every on-page field the snapshot stores
+ * @param {string|Function} htmlOrDom - Raw HTML or a cheerio root from loadHtml()
+ * @param {string} pageUrl - URL of the page
+ * @returns {Object} Extracted page fields
+ */
+function extractPage(htmlOrDom, pageUrl) {
+  const $ = typeof htmlOrDom === 'function' ? htmlOrDom : loadHtml(htmlOrDom);
+  const meta = extractMetaTags($);
+
+  const titleEl = $('head title').first().length > 0 ? $('head title').first() : $('title').first();
+  const headings = level => $(`h${level}`).toArray().map(el => nodeText(el)).filter(Boolean);
+
+  const images = $('img').toArray()
+    .map(el => {
+      const src = (el.attribs.src || el.attribs['data-src'] || '').trim();
+      const alt = el.attribs.alt !== undefined ? el.attribs.alt.trim() : '';
+      return { src, alt, has_alt: alt.length > 0 };
+    })
+    .filter(img => img.src);
+
+  const canonicalHref = $('link[rel]').filter((_, el) =>
+    el.attribs.rel.toLowerCase().split(/\s+/).includes('canonical') && el.attribs.href
+  ).first().attr('href');
+
+  const body = $('body').get(0) || $.root().get(0);
+  const text = nodeText(body);
+  const jsonLd = extractJsonLd($);
+
+  return {
+    title: titleEl.length > 0 ? collapseWhitespace(titleEl.text()) : '',
+    meta_description: meta.description || '',
+    meta,
+    canonical: canonicalHref ? resolveUrl(canonicalHref.trim(), documentBase($, pageUrl)) : null,
+    h1: headings(1),
+    h2: headings(2),
+    h3: headings(3),
+    images,
+    links: extractAnchors($, pageUrl),
+    json_ld: jsonLd.items,
+    json_ld_errors: jsonLd.errors,
+    byline: extractByline($, meta),
+    text,
+    word_count: countWords(text)
+  };
+}
+
+module.exports = {
+  loadHtml,
+  nodeText,
+  nodeParagraphs,
+  countWords,
+  extractMetaTags,
+  extractAnchors,
+  resolveUrl,
+  documentBase,
+  extractJsonLd,
+  extractByline,
+  extractPage
+};
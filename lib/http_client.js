@@ -0,0 +1,186 @@
+/**
+ * Polite HTTP Client
+ * Wraps fetch with timeouts, per-host concurrency and request-rate limits,
+ * robots.txt Crawl-delay and retry with backoff on 429/5xx
+ */
+
+const DEFAULT_USER_AGENT = 'AEO-Agency-Bot/1.0 (Automated Audit Crawler)';
+const MAX_RETRY_AFTER_MS = 60000;
+
+// Servers that reject HEAD answer with these; callers retry with GET
+const HEAD_FALLBACK_STATUSES = new Set([400, 403, 405, 501]);
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.min(seconds * 1000, MAX_RETRY_AFTER_MS);
+  const date = Date.parse(value);
+  if (isNaN(date)) return null;
+  return Math.min(Math.max(0, date - Date.now()), MAX_RETRY_AFTER_MS);
+}
+
+/**
+ * Create an HTTP client that throttles requests per host
+ * @param {Object} options
+ * @param {number} options.timeoutMs - Timeout for the response headers, and again for the body
+ * @param {number} options.concurrency - Max in-flight requests per host
+ * @param {number} options.requestsPerSecond - Max request rate per host
+ * @param {number} options.maxRetries - Retries on 429/5xx/network errors
+ * @param {number} options.retryBaseMs - First backoff delay, doubled per retry
+ * @param {string} options.userAgent - User-Agent header
+ * @returns {Object} { request, setCrawlDelay, timing, settings }
+ */
+function createHttpClient(options = {}) {
+  const settings = {
+    timeoutMs: 10000,
+    concurrency: 2,
+    requestsPerSecond: 2,
+    maxRetries: 2,
+    retryBaseMs: 1000,
+    userAgent: DEFAULT_USER_AGENT,
+    ...options
+  };
+
+  const hosts = new Map();
+  // Response -> { ttfb_ms }, measured from the request leaving its host queue
+  const timings = new WeakMap();
+
+  function hostState(host) {
+    if (!hosts.has(host)) {
+      hosts.set(host, { active: 0, waiters: [], nextAt: 0, crawlDelayMs: 0 });
+    }
+    return hosts.get(host);
+  }
+
+  async function acquire(host) {
+    const state = hostState(host);
+    if (state.active >= settings.concurrency) {
+      await new Promise(resolve => state.waiters.push(resolve));
+    }
+    state.active++;
+
+    // Space requests out by the stricter of the rate limit and Crawl-delay
+    const interval = Math.max(
+      settings.requestsPerSecond > 0 ? 1000 / settings.requestsPerSecond : 0,
+      state.crawlDelayMs
+    );
+    const now = Date.now();
+    const wait = Math.max(0, state.nextAt - now);
+    state.nextAt = Math.max(now, state.nextAt) + interval;
+    if (wait > 0) await sleep(wait);
+  }
+
+  function release(host) {
+    const state = hostState(host);
+    state.active--;
+    const next = state.waiters.shift();
+    if (next) next();
+  }
+
+  async function fetchOnce(url, init) {
+    const controller = new AbortController();
+    let timeout = setTimeout(() => controller.abort(), settings.timeoutMs);
+
+    try {
+      const response = await fetch(url, {
+        ...init,
+        signal: controller.signal,
+        headers: {
+          'User-Agent': settings.userAgent,
+          ...(init.headers || {})
+        }
+      });
+      // The body gets its own timeout window: aborting fails a stalled read
+      // instead of hanging the crawl, and is a no-op once the body is consumed
+      clearTimeout(timeout);
+      timeout = setTimeout(() => controller.abort(), settings.timeoutMs);
+      timeout.unref();
+      return response;
+    } catch (error) {
+      clearTimeout(timeout);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a URL, waiting for a host slot and retrying transient failures
+   * @param {string} url - URL to fetch
+   * @param {Object} init - fetch() options
+   * @returns {Promise<Response>}
+   */
+  async function request(url, init = {}) {
+    const host = new URL(url).host;
+    let attempt = 0;
+
+    while (true) {
+      await acquire(host);
+      let response;
+      let error;
+      try {
+        const started = Date.now();
+        response = await fetchOnce(url, init);
+        timings.set(response, { ttfb_ms: Date.now() - started });
+      } catch (e) {
+        error = e;
+      } finally {
+        release(host);
+      }
+
+      const retryable = error || isRetryableStatus(response.status);
+      if (!retryable || attempt >= settings.maxRetries) {
+        if (error) throw error;
+        return response;
+      }
+
+      const retryAfter = response ? parseRetryAfter(response.headers.get('retry-after')) : null;
+      const backoff = retryAfter !== null
+        ? retryAfter
+        : settings.retryBaseMs * Math.pow(2, attempt) + Math.random() * 250;
+
+      if (response && response.body) {
+        await response.body.cancel().catch(() => {});
+      }
+
+      attempt++;
+      console.warn(`Retrying ${url} in ${Math.round(backoff)}ms (${error ? error.message : 'HTTP ' + response.status})`);
+      await sleep(backoff);
+    }
+  }
+
+  /**
+   * Apply a robots.txt Crawl-delay (in seconds) to a host
+   */
+  function setCrawlDelay(host, seconds) {
+    hostState(host).crawlDelayMs = seconds ? seconds * 1000 : 0;
+  }
+
+  /**
+   * Time to first byte of a response returned by request()
+   * @param {Response} response
+   * @returns {Object|null} { ttfb_ms }
+   */
+  function timing(response) {
+    return timings.get(response) || null;
+  }
+
+  return { request, setCrawlDelay, timing, settings };
+}
+
+module.exports = {
+  DEFAULT_USER_AGENT,
+  HEAD_FALLBACK_STATUSES,
+  createHttpClient,
+  parseRetryAfter,
+  isRetryableStatus
+};
@@ -0,0 +1,196 @@
+/**
+ * Indexability Directives Module
+ * Reads meta robots, bot-specific meta tags, X-Robots-Tag headers and
+ * data-nosnippet regions, and decides whether a page is indexable and citable
+ */
+
+// Directives that take a value after a colon, so "max-snippet: 0" is not a user-agent prefix
+const VALUE_DIRECTIVES = new Set(['max-snippet', 'max-image-preview', 'max-video-preview', 'unavailable_after']);
+
+// Meta names treated as bot-specific robots tags besides anything ending in "bot"
+const BOT_META_NAMES = new Set(['google-extended', 'chatgpt-user', 'anthropic-ai', 'oai-searchbot']);
+
+// max-image-preview settings, most restrictive first
+const IMAGE_PREVIEW_ORDER = ['none', 'standard', 'large'];
+
+// Stricter of two length limits, where -1 means no limit
+function stricterLimit(a, b) {
+  const limitA = parseInt(a, 10);
+  const limitB = parseInt(b, 10);
+  if (isNaN(limitA) || limitA < 0) return isNaN(limitB) ? a : b;
+  if (isNaN(limitB) || limitB < 0) return a;
+  return limitB < limitA ? b : a;
+}
+
+/**
+ * Combine directive sets so the most restrictive value of each directive wins
+ * @param {...Object} sets - Parsed directive sets
+ * @returns {Object} Merged directives
+ */
+function mergeDirectives(...sets) {
+  const merged = {};
+  sets.forEach(directives => {
+    Object.entries(directives).forEach(([name, value]) => {
+      if (!(name in merged)) {
+        merged[name] = value;
+      } else if (name === 'max_snippet' || name === 'max_video_preview') {
+        merged[name] = stricterLimit(merged[name], value);
+      } else if (name === 'max_image_preview') {
+        const rank = v => (IMAGE_PREVIEW_ORDER.includes(v) ? IMAGE_PREVIEW_ORDER.indexOf(v) : IMAGE_PREVIEW_ORDER.length);
+        if (rank(value) < rank(merged[name])) merged[name] = value;
+      } else if (name === 'unavailable_after') {
+        // The earlier date takes the page out of results first
+        if (Date.parse(value) < Date.parse(merged[name]) || isNaN(Date.parse(merged[name]))) merged[name] = value;
+      } else {
+        merged[name] = merged[name] || value;
+      }
+    });
+  });
+  return merged;
+}
+
+/**
+ * Parse a comma-separated robots directive string
+ * @param {string} content - e.g. "noindex, max-snippet:50"
+ * @returns {Object} Directive flags and values; repeated directives keep the most restrictive value
+ */
+function parseDirectiveList(content) {
+  const directives = [];
+  (content || '').split(',').forEach(raw => {
+    const token = raw.trim().toLowerCase();
+    if (!token) return;
+    const [name, value] = token.split(/\s*:\s*(.*)/s);
+    if (name === 'none') {
+      directives.push({ noindex: true, nofollow: true });
+    } else if (name === 'max-snippet') {
+      const limit = parseInt(value, 10);
+      if (!isNaN(limit)) directives.push({ max_snippet: limit });
+    } else if (VALUE_DIRECTIVES.has(name)) {
+      directives.push({ [name.replace(/-/g, '_')]: value });
+    } else {
+      directives.push({ [name.replace(/-/g, '_')]: true });
+    }
+  });
+  return mergeDirectives(...directives);
+}
+
+/**
+ * Parse an X-Robots-Tag header, which may scope directives to a user agent
+ * ("googlebot: noindex, nofollow"). Repeated header lines arrive joined with
+ * ", ", so a prefix scopes the directives after it up to the next prefix.
+ * @param {string} header - Header value
+ * @returns {Object} Map of user agent ("*" for all) to directive string
+ */
+function parseXRobotsTag(header) {
+  const byAgent = {};
+  let agent = '*';
+
+  (header || '').split(',').forEach(raw => {
+    let token = raw.trim();
+    if (!token) return;
+    const prefix = token.match(/^([a-z0-9_.-]+)\s*:\s*(.*)$/i);
+    if (prefix && !VALUE_DIRECTIVES.has(prefix[1].toLowerCase())) {
+      agent = prefix[1].toLowerCase();
+      token = prefix[2];
+      if (!token) return;
+    }
+    byAgent[agent] = byAgent[agent] ? `${byAgent[agent]}, ${token}` : token;
+  });
+
+  return byAgent;
+}
+
+/**
+ * Collect the raw directives that apply to a page
+ * @param {Function} $ - Cheerio root
+ * @param {Object} headers - Response headers (lowercased names)
+ * @returns {Object} { meta_robots, bot_meta, x_robots_tag, data_nosnippet_regions }
+ */
+function extractDirectives($, headers = {}) {
+  let metaRobots = null;
+  const botMeta = {};
+
+  $('meta[name][content]').each((_, el) => {
+    const name = el.attribs.name.trim().toLowerCase();
+    const content = el.attribs.content.trim();
+    if (name === 'robots') {
+      metaRobots = metaRobots ? `${metaRobots}, ${content}` : content;
+    } else if (name.endsWith('bot') || BOT_META_NAMES.has(name)) {
+      botMeta[name] = botMeta[name] ? `${botMeta[name]}, ${content}` : content;
+    }
+  });
+
+  return {
+    meta_robots: metaRobots,
+    bot_meta: botMeta,
+    x_robots_tag: headers['x-robots-tag'] ? parseXRobotsTag(headers['x-robots-tag']) : {},
+    data_nosnippet_regions: $('[data-nosnippet]').length
+  };
+}
+
+/**
+ * Decide whether a page is indexable and citable from its directives
+ * @param {Object} page - Snapshot page with status_code and robots_directives
+ * @returns {Object} { indexable, citable, reasons, bot_exclusions }
+ */
+function evaluateIndexability(page) {
+  const raw = page.robots_directives || {};
+  const reasons = [];
+
+  const general = mergeDirectives(
+    parseDirectiveList(raw.meta_robots),
+    parseDirectiveList((raw.x_robots_tag || {})['*'])
+  );
+
+  let indexable = page.status_code === 200;
+  if (page.status_code !== 200) reasons.push(`HTTP ${page.status_code}`);
+
+  if (general.noindex) {
+    indexable = false;
+    reasons.push('noindex');
+  }
+
+  let citable = indexable;
+  if (general.nosnippet) {
+    citable = false;
+    reasons.push('nosnippet');
+  }
+  if (general.max_snippet === 0) {
+    citable = false;
+    reasons.push('max-snippet:0');
+  } else if (general.max_snippet > 0) {
+    reasons.push(`max-snippet:${general.max_snippet}`);
+  }
+  if (general.noai) {
+    citable = false;
+    reasons.push('noai');
+  }
+  if (general.noimageai) reasons.push('noimageai');
+  if (raw.data_nosnippet_regions > 0) reasons.push(`${raw.data_nosnippet_regions} data-nosnippet region(s)`);
+
+  // Directives aimed at a single crawler (meta name="googlebot", X-Robots-Tag: gptbot: ...)
+  const botExclusions = {};
+  const botDirectives = { ...(raw.bot_meta || {}) };
+  Object.entries(raw.x_robots_tag || {}).forEach(([agent, value]) => {
+    if (agent === '*') return;
+    botDirectives[agent] = botDirectives[agent] ? `${botDirectives[agent]}, ${value}` : value;
+  });
+  Object.entries(botDirectives).forEach(([bot, value]) => {
+    const parsed = parseDirectiveList(value);
+    const excluded = [];
+    if (parsed.noindex) excluded.push('noindex');
+    if (parsed.nosnippet || parsed.max_snippet === 0) excluded.push('nosnippet');
+    if (parsed.noai) excluded.push('noai');
+    if (excluded.length > 0) botExclusions[bot] = excluded;
+  });
+
+  return { indexable, citable, reasons, bot_exclusions: botExclusions };
+}
+
+module.exports = {
+  parseDirectiveList,
+  mergeDirectives,
+  parseXRobotsTag,
+  extractDirectives,
+  evaluateIndexability
+};
@@ -5,21 +5,18 @@
 
 const fs = require('fs');
 const path = require('path');
+const { isAssetPage } = require('./page_types');
+const { incompleteSnapshotWarning } = require('./crawl_checkpoint');
 
 /**
  * Detect key pages from crawled pages
- * Criteria: word count, internal links, H1/H2 presence, status 200
+ * Criteria: word count, internal PageRank and click depth, H1/H2 presence, status 200
  */
 function detectKeyPages(pages) {
   const contentPages = pages.filter(p => {
     // Filter out non-content pages (CSS, images, etc.)
     const url = p.url.toLowerCase();
-    return !url.endsWith('.css') && 
-           !url.endsWith('.js') && 
-           !url.endsWith('.ico') &&
-           !url.endsWith('.png') &&
-           !url.endsWith('.jpg') &&
-           !url.endsWith('.gif') &&
+    return !isAssetPage(p) &&
            !url.includes('/static/') &&
            p.status_code === 200;
   });
@@ -31,8 +28,18 @@ function detectKeyPages(pages) {
     // Word count contribution (up to 40 points)
     score += Math.min(page.word_count / 10, 40);
     
-    // Internal links contribution (up to 30 points)
-    score += page.internal_links * 10;
+    if (page.pagerank_score !== undefined) {
+      // Internal PageRank contribution (up to 30 points)
+      score += page.pagerank_score * 0.3;
+      
+      // Click depth contribution (up to 10 points, nothing past 3 clicks)
+      if (page.click_depth !== null && page.click_depth !== undefined) {
+        score += Math.max(0, 10 - page.click_depth * 3);
+      }
+    } else {
+      // Snapshots without a link graph: internal links contribution (up to 30 points)
+      score += page.internal_links * 10;
+    }
     
     // H1 presence (20 points)
     if (page.h1 && page.h1.length > 0) score += 20;
@@ -55,13 +62,17 @@ function detectKeyPages(pages) {
   return scored.slice(0, 10).map(({ _contentScore, ...page }) => ({
     url: page.url,
     title: page.title || '',
-    type: page.url === page.url.replace(/\/$/, '') || page.url.endsWith('/') ? 'homepage' : 
+    type: page.resource_type === 'pdf' || page.resource_type === 'text' ? 'document' :
+          page.url === page.url.replace(/\/$/, '') || page.url.endsWith('/') ? 'homepage' : 
           page.url.includes('/blog') ? 'blog' :
           page.url.includes('/about') ? 'about' :
           page.url.includes('/contact') ? 'contact' :
           page.url.includes('/product') || page.url.includes('/service') ? 'product' : 'content',
     word_count: page.word_count,
     internal_links: page.internal_links,
+    inlinks: page.inlinks,
+    click_depth: page.click_depth,
+    pagerank_score: page.pagerank_score,
     key_headings: [...(page.h1 || []), ...(page.h2 || [])].slice(0, 5),
     importance_score: Math.round(_contentScore)
   }));
@@ -177,6 +188,13 @@ function main() {
   console.log('\nKey Pages:');
   keyPages.forEach((p, i) => console.log(`  ${i+1}. ${p.url} (score: ${p.importance_score})`));
   console.log('\nTop Entities:', keyEntities.slice(0, 10).map(e => e.display).join(', '));
+  const warning = incompleteSnapshotWarning(snapshot);
+  if (warning) console.warn(`\nWarning: ${warning}`);
+}
+
+// CLI execution
+if (require.main === module) {
+  main();
 }
 
-main();
+module.exports = { detectKeyPages, extractEntities };
@@ -0,0 +1,322 @@
+/**
+ * Link Checker Module
+ * Validates the links stored in the snapshot's link graph: internal and
+ * outbound targets (HEAD with a GET fallback, cached, rate-limited per host)
+ * and the format of mailto:/tel: links
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createHttpClient, HEAD_FALLBACK_STATUSES } = require('./http_client');
+const { resolveCrawlOptions } = require('./crawler');
+const { createLocalClient } = require('./local_site');
+const { loadArchive, createArchiveClient } = require('./archive_import');
+const { incompleteSnapshotWarning } = require('./crawl_checkpoint');
+
+const DEFAULT_CACHE_FILE = path.join(__dirname, '..', 'data', 'cache', 'link_checks.json');
+const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_EXTERNAL_CHECKS = 500;
+const CHECK_WORKERS = 8;
+
+const EMAIL_PATTERN = /^[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[a-z]{2,}$/i;
+
+/**
+ * Check the format of a mailto: link
+ * @param {string} href - Link href
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateMailto(href) {
+  const [target] = href.replace(/^mailto:/i, '').split('?');
+  let decoded;
+  try {
+    decoded = decodeURIComponent(target);
+  } catch {
+    return 'address is not valid percent-encoding';
+  }
+  const addresses = decoded.split(',').map(a => a.trim()).filter(Boolean);
+  if (addresses.length === 0) return 'no email address';
+  const invalid = addresses.find(a => !EMAIL_PATTERN.test(a));
+  return invalid ? `invalid email address "${invalid}"` : null;
+}
+
+/**
+ * Check the format of a tel: link (RFC 3966, E.164 length)
+ * @param {string} href - Link href
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateTel(href) {
+  let number;
+  try {
+    number = decodeURIComponent(href.replace(/^tel:/i, '')).split(';')[0].trim();
+  } catch {
+    return 'number is not valid percent-encoding';
+  }
+  if (!number) return 'no phone number';
+  // Visual separators are allowed by RFC 3966
+  const digits = number.replace(/[\s().-]/g, '');
+  if (!/^\+?\d+$/.test(digits)) return `"${number}" contains characters other than digits`;
+  const count = digits.replace('+', '').length;
+  if (count < 3 || count > 15) return `"${number}" has ${count} digits`;
+  return null;
+}
+
+function loadCache(cacheFile) {
+  if (!cacheFile || !fs.existsSync(cacheFile)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+// Expired entries are dropped on save, so the cache holds only the last week's checks
+function saveCache(cacheFile, cache) {
+  if (!cacheFile) return;
+  const now = Date.now();
+  const fresh = Object.fromEntries(Object.entries(cache)
+    .filter(([, entry]) => now - Date.parse(entry.checked_at) < CACHE_TTL_MS));
+  fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+  fs.writeFileSync(cacheFile, JSON.stringify(fresh));
+}
+
+/**
+ * Check one URL: HEAD first, GET when the server rejects HEAD or the request fails
+ * @param {Object} client - HTTP client from createHttpClient()
+ * @param {string} url - URL to check
+ * @returns {Promise<Object|null>} { status_code, redirected, final_url, method, error },
+ *   or null when an archive client has no capture of the URL
+ */
+async function checkLink(client, url) {
+  const attempt = async method => {
+    const response = await client.request(url, { method, redirect: 'follow' });
+    if (response.body) await response.body.cancel().catch(() => {});
+    return {
+      status_code: response.status,
+      redirected: response.redirected,
+      // Offline clients answer redirects without following them
+      final_url: response.redirected ? response.url : response.headers.get('location'),
+      method
+    };
+  };
+
+  let result;
+  try {
+    result = await attempt('HEAD');
+    if (!HEAD_FALLBACK_STATUSES.has(result.status_code)) return result;
+  } catch (error) {
+    if (error.code === 'ENOTCAPTURED') return null;
+    // Fall through to GET
+  }
+  try {
+    return await attempt('GET');
+  } catch (error) {
+    return result || { status_code: 0, redirected: false, final_url: null, method: 'GET', error: error.message };
+  }
+}
+
+function addSource(map, key, base, source) {
+  if (!map.has(key)) map.set(key, { ...base, sources: [] });
+  const entry = map.get(key);
+  if (!entry.sources.some(s => s.page === source.page && s.anchor_text === source.anchor_text)) {
+    entry.sources.push(source);
+  }
+}
+
+/**
+ * Validate every stored link in a snapshot
+ * @param {Object} snapshot - Site snapshot with link_graph
+ * @param {Object} options - Crawl options plus cache_file (null disables the cache) and max_external_checks
+ * @returns {Promise<Object>} Link check report
+ */
+async function checkSiteLinks(snapshot, options = {}) {
+  const graph = snapshot.link_graph;
+  if (!graph) {
+    throw new Error('Snapshot has no link_graph - recrawl the site first');
+  }
+
+  const cacheFile = options.cache_file === undefined ? DEFAULT_CACHE_FILE : options.cache_file;
+  const cache = loadCache(cacheFile);
+  const client = createHttpClient({
+    timeoutMs: options.timeout_ms,
+    concurrency: options.concurrency,
+    requestsPerSecond: options.requests_per_second,
+    maxRetries: options.max_retries
+  });
+
+  // Offline snapshots check internal links against the build directory or archive
+  let internalClient = client;
+  if (snapshot.source_dir) {
+    internalClient = createLocalClient(snapshot.source_dir, snapshot.website_url);
+  } else if (snapshot.archive) {
+    internalClient = createArchiveClient(loadArchive(snapshot.archive.file));
+  }
+
+  // Group links by target with every page and anchor text pointing there
+  const targets = new Map();
+  graph.edges.forEach(edge => {
+    addSource(targets, edge.to, { url: edge.to, internal: true }, { page: edge.from, anchor_text: edge.anchor_text });
+  });
+  (graph.external_edges || []).forEach(edge => {
+    addSource(targets, edge.to, { url: edge.to, internal: false }, { page: edge.from, anchor_text: edge.anchor_text });
+  });
+
+  // Internal targets the crawl already fetched need no request
+  const pagesByUrl = new Map(snapshot.pages.map(p => [p.url, p]));
+  const results = new Map();
+  const toCheck = [];
+  let externalCount = 0;
+  const maxExternal = options.max_external_checks || MAX_EXTERNAL_CHECKS;
+
+  targets.forEach(target => {
+    const page = target.internal ? pagesByUrl.get(target.url) : null;
+    if (page) {
+      results.set(target.url, {
+        status_code: page.status_code,
+        redirected: Boolean(page.redirect_chain),
+        final_url: page.final_url || null,
+        method: 'crawl',
+        error: page.error
+      });
+      return;
+    }
+    const cached = cache[target.url];
+    if (cached && Date.now() - Date.parse(cached.checked_at) < CACHE_TTL_MS) {
+      results.set(target.url, { ...cached, cached: true });
+      return;
+    }
+    if (!target.internal && ++externalCount > maxExternal) return;
+    toCheck.push(target);
+  });
+
+  console.log(`Checking ${toCheck.length} link targets (${targets.size - toCheck.length} known from the crawl or cache)...`);
+
+  // Per-host limits live in the client; workers keep several hosts busy at once
+  let next = 0;
+  async function worker() {
+    while (next < toCheck.length) {
+      const target = toCheck[next++];
+      const result = await checkLink(target.internal ? internalClient : client, target.url);
+      if (!result) continue;
+      results.set(target.url, result);
+      // Only live network answers are worth caching between runs
+      if (result.status_code !== 0 && (!target.internal || internalClient === client)) {
+        cache[target.url] = { ...result, checked_at: new Date().toISOString() };
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: CHECK_WORKERS }, worker));
+  saveCache(cacheFile, cache);
+
+  const brokenInternal = [];
+  const brokenExternal = [];
+  const redirected = [];
+  let unchecked = 0;
+
+  targets.forEach(target => {
+    const result = results.get(target.url);
+    if (!result) {
+      unchecked++;
+      return;
+    }
+    const entry = { url: target.url, status_code: result.status_code, sources: target.sources };
+    if (result.error) entry.error = result.error;
+
+    if (result.status_code === 0 || result.status_code >= 400) {
+      (target.internal ? brokenInternal : brokenExternal).push(entry);
+    } else if (result.redirected || (result.status_code >= 300 && result.status_code < 400)) {
+      redirected.push({ ...entry, internal: target.internal, final_url: result.final_url });
+    }
+  });
+
+  const badContacts = new Map();
+  (graph.contact_links || []).forEach(link => {
+    const problem = link.scheme === 'mailto' ? validateMailto(link.href) : validateTel(link.href);
+    if (!problem) return;
+    addSource(badContacts, link.href, { href: link.href, scheme: link.scheme, problem }, { page: link.from, anchor_text: link.anchor_text });
+  });
+
+  return {
+    checked_at: new Date().toISOString(),
+    website_url: snapshot.website_url,
+    snapshot_incomplete: Boolean(snapshot.incomplete),
+    summary: {
+      link_targets: targets.size,
+      internal_targets: [...targets.values()].filter(t => t.internal).length,
+      external_targets: [...targets.values()].filter(t => !t.internal).length,
+      unchecked_targets: unchecked,
+      broken_internal: brokenInternal.length,
+      broken_external: brokenExternal.length,
+      redirected: redirected.length,
+      bad_contact_links: badContacts.size
+    },
+    broken_internal: brokenInternal,
+    broken_external: brokenExternal,
+    redirected: redirected,
+    bad_contact_links: [...badContacts.values()]
+  };
+}
+
+/**
+ * Read link_checker.js results, if they were produced for this snapshot.
+ * Results for another site, or from before the snapshot was crawled, are
+ * ignored with a warning rather than reported against the wrong pages
+ * @param {string} filePath - link_check.json path
+ * @param {Object} snapshot - Site snapshot
+ * @returns {Object|null} Results, or null when missing or out of date
+ */
+function loadLinkCheck(filePath, snapshot) {
+  if (!fs.existsSync(filePath)) return null;
+  const linkCheck = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  let mismatch = null;
+  if (linkCheck.website_url !== snapshot.website_url) {
+    mismatch = `it was produced for ${linkCheck.website_url}, not ${snapshot.website_url}`;
+  } else if (snapshot.crawled_at && !(Date.parse(linkCheck.checked_at) >= Date.parse(snapshot.crawled_at))) {
+    mismatch = 'it predates the current snapshot';
+  }
+  if (mismatch) {
+    console.warn(`Warning: ignoring ${path.basename(filePath)} because ${mismatch}; run link_checker.js again.`);
+    return null;
+  }
+  return linkCheck;
+}
+
+async function main() {
+  const dataDir = path.join(__dirname, '..', 'data');
+  const snapshotPath = path.join(dataDir, 'site_snapshot.json');
+  const customerPath = path.join(dataDir, 'customer.json');
+  const outputPath = path.join(dataDir, 'link_check.json');
+
+  const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+  const customer = fs.existsSync(customerPath) ? JSON.parse(fs.readFileSync(customerPath, 'utf8')) : null;
+  const options = resolveCrawlOptions(customer);
+  if (process.argv.includes('--no-cache')) options.cache_file = null;
+
+  const report = await checkSiteLinks(snapshot, options);
+  fs.writeFileSync(outputPath, JSON.stringify(report, null, 2));
+
+  console.log(`\nLink check complete!`);
+  console.log(`- Broken internal links: ${report.summary.broken_internal}`);
+  console.log(`- Broken outbound links: ${report.summary.broken_external}`);
+  console.log(`- Links to redirects: ${report.summary.redirected}`);
+  console.log(`- Malformed mailto:/tel: links: ${report.summary.bad_contact_links}`);
+  console.log(`- Output: ${outputPath}`);
+  const warning = incompleteSnapshotWarning(snapshot);
+  if (warning) console.warn(`Warning: ${warning}`);
+}
+
+// CLI execution
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  validateMailto,
+  validateTel,
+  checkLink,
+  checkSiteLinks,
+  loadLinkCheck
+};
@@ -0,0 +1,175 @@
+/**
+ * Internal Link Graph Module
+ * Builds the directed internal link graph from crawled pages and derives
+ * click depth, inbound links, orphan pages and internal PageRank
+ */
+
+const PAGERANK_DAMPING = 0.85;
+const PAGERANK_ITERATIONS = 50;
+
+// Pages more clicks than this from the homepage are hard for crawlers to reach
+const MAX_CLICK_DEPTH = 3;
+
+/**
+ * Map redirecting URLs to where they end up, so links through a redirect
+ * count for the target page
+ * @param {Array} pages - Snapshot pages
+ * @param {Function} normalizeUrl - Maps a raw redirect target to its page URL
+ * @returns {Function} (url) => resolved URL
+ */
+function redirectResolver(pages, normalizeUrl = url => url) {
+  const finalUrls = new Map();
+  pages.forEach(page => {
+    if (page.redirect_chain && page.final_url) finalUrls.set(page.url, normalizeUrl(page.final_url) || page.final_url);
+  });
+  return url => {
+    let current = url;
+    const visited = new Set();
+    while (finalUrls.has(current) && !visited.has(current)) {
+      visited.add(current);
+      current = finalUrls.get(current);
+    }
+    return current;
+  };
+}
+
+/**
+ * Click depth of every reachable page, by breadth-first search from the start URL
+ * @param {Map} outlinks - URL to Set of linked URLs
+ * @param {string} startUrl - Homepage URL
+ * @returns {Map} URL to number of clicks
+ */
+function computeClickDepth(outlinks, startUrl) {
+  const depth = new Map([[startUrl, 0]]);
+  const queue = [startUrl];
+  while (queue.length > 0) {
+    const url = queue.shift();
+    (outlinks.get(url) || []).forEach(target => {
+      if (depth.has(target)) return;
+      depth.set(target, depth.get(url) + 1);
+      queue.push(target);
+    });
+  }
+  return depth;
+}
+
+/**
+ * Internal PageRank over the link graph. Pages without outlinks spread
+ * their rank evenly so the scores keep summing to 1.
+ * @param {Array} nodes - Page URLs
+ * @param {Map} outlinks - URL to Set of linked URLs (within nodes)
+ * @returns {Map} URL to PageRank
+ */
+function computePageRank(nodes, outlinks) {
+  const count = nodes.length;
+  if (count === 0) return new Map();
+  let rank = new Map(nodes.map(url => [url, 1 / count]));
+
+  for (let i = 0; i < PAGERANK_ITERATIONS; i++) {
+    const next = new Map(nodes.map(url => [url, (1 - PAGERANK_DAMPING) / count]));
+    let danglingRank = 0;
+
+    nodes.forEach(url => {
+      const targets = outlinks.get(url);
+      if (!targets || targets.size === 0) {
+        danglingRank += rank.get(url);
+        return;
+      }
+      const share = rank.get(url) / targets.size;
+      targets.forEach(target => next.set(target, next.get(target) + PAGERANK_DAMPING * share));
+    });
+
+    nodes.forEach(url => next.set(url, next.get(url) + PAGERANK_DAMPING * danglingRank / count));
+    rank = next;
+  }
+
+  return rank;
+}
+
+/**
+ * Analyze the crawled link graph and annotate pages with click_depth,
+ * inlinks, pagerank and pagerank_score (0-100, relative to the strongest page)
+ * @param {Object} options
+ * @param {Array} options.pages - Snapshot pages (annotated in place)
+ * @param {Array} options.edges - Link edges [{ from, to, anchor_text, nofollow }]
+ * @param {string} options.startUrl - Homepage URL
+ * @param {Array} options.sitemapEntries - Sitemap entries, for orphan detection
+ * @param {boolean} options.crawlCut - Whether the crawl stopped before reaching every
+ *   page (page budget or early stop), so uncrawled pages may hold the missing links
+ * @param {Function} options.normalizeUrl - URL policy normalizer, so redirect targets and
+ *   sitemap URLs match the page URLs they were crawled under
+ * @returns {Object} { orphan_pages, unverified_orphan_pages, too_deep_pages, max_click_depth }
+ */
+function analyzeLinkGraph({ pages, edges, startUrl, sitemapEntries = [], crawlCut = false, normalizeUrl = url => url }) {
+  const resolve = redirectResolver(pages, normalizeUrl);
+  const contentPages = pages.filter(p => p.status_code === 200);
+  const nodes = contentPages.map(p => p.url);
+  const nodeSet = new Set(nodes);
+
+  // Followed links between crawled pages, with redirects collapsed and self-links dropped
+  const outlinks = new Map();
+  const inlinks = new Map();
+  edges.forEach(edge => {
+    if (edge.nofollow) return;
+    const from = resolve(edge.from);
+    const to = resolve(edge.to);
+    if (from === to || !nodeSet.has(from)) return;
+    if (!outlinks.has(from)) outlinks.set(from, new Set());
+    outlinks.get(from).add(to);
+    if (!inlinks.has(to)) inlinks.set(to, new Set());
+    inlinks.get(to).add(from);
+  });
+
+  const pagerankLinks = new Map([...outlinks].map(([url, targets]) =>
+    [url, new Set([...targets].filter(t => nodeSet.has(t)))]
+  ));
+  const clickDepth = computeClickDepth(outlinks, resolve(startUrl));
+  const pagerank = computePageRank(nodes, pagerankLinks);
+  const maxRank = Math.max(0, ...pagerank.values());
+
+  contentPages.forEach(page => {
+    page.click_depth = clickDepth.has(page.url) ? clickDepth.get(page.url) : null;
+    page.inlinks = inlinks.has(page.url) ? inlinks.get(page.url).size : 0;
+    page.pagerank = Number(pagerank.get(page.url).toFixed(6));
+    page.pagerank_score = maxRank > 0 ? Math.round(pagerank.get(page.url) / maxRank * 100) : 0;
+  });
+
+  // Orphans: pages the crawl only knows from the sitemap (or the build directory/archive)
+  const start = resolve(startUrl);
+  const orphanSources = new Map();
+  sitemapEntries.forEach(entry => {
+    const url = normalizeUrl(entry.url);
+    if (url) orphanSources.set(resolve(url), 'sitemap');
+  });
+  pages
+    .filter(p => p.discovered_via === 'file' || p.discovered_via === 'archive')
+    .forEach(p => { if (!orphanSources.has(p.url)) orphanSources.set(p.url, p.discovered_via); });
+
+  const pagesByUrl = new Map(pages.map(p => [p.url, p]));
+  const unlinked = [...orphanSources]
+    .filter(([url]) => url !== start && !inlinks.has(url))
+    .filter(([url]) => !pagesByUrl.has(url) || pagesByUrl.get(url).status_code === 200)
+    .map(([url, source]) => ({ url, source, crawled: pagesByUrl.has(url) }));
+  // When the crawl was cut short, an uncrawled sitemap URL may be linked from a page never visited
+  const orphanPages = unlinked.filter(p => p.crawled || !crawlCut);
+  const unverifiedOrphanPages = unlinked.filter(p => !p.crawled && crawlCut);
+
+  const tooDeepPages = contentPages
+    .filter(p => p.click_depth !== null && p.click_depth > MAX_CLICK_DEPTH)
+    .sort((a, b) => b.click_depth - a.click_depth)
+    .map(p => ({ url: p.url, click_depth: p.click_depth, pagerank_score: p.pagerank_score }));
+
+  return {
+    orphan_pages: orphanPages,
+    unverified_orphan_pages: unverifiedOrphanPages,
+    too_deep_pages: tooDeepPages,
+    max_click_depth: MAX_CLICK_DEPTH
+  };
+}
+
+module.exports = {
+  MAX_CLICK_DEPTH,
+  computeClickDepth,
+  computePageRank,
+  analyzeLinkGraph
+};
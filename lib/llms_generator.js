@@ -0,0 +1,339 @@
+/**
+ * llms.txt Generator
+ * Builds a ready-to-publish llms.txt, llms-full.txt and optional per-page
+ * Markdown mirrors from the site snapshot, the key pages (key_pages.js) and
+ * the clean main-content text of each page
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isAssetPage, classifyPageType } = require('./page_types');
+const { evaluateIndexability } = require('./indexability');
+const { compilePattern } = require('./url_rules');
+const { incompleteSnapshotWarning } = require('./crawl_checkpoint');
+
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, '..', 'output', 'llms');
+// Lists the files the last run wrote, so only those are replaced
+const MANIFEST_FILE = '.llms-manifest.json';
+
+// Section order in llms.txt; types missing from customer.llms_txt.section_order follow in this order
+const DEFAULT_SECTION_ORDER = [
+  'homepage', 'product', 'pricing', 'docs', 'faq', 'case_studies',
+  'blog', 'about', 'contact', 'content', 'document'
+];
+
+const SECTION_TITLES = {
+  homepage: 'Overview',
+  product: 'Products and services',
+  pricing: 'Pricing',
+  docs: 'Documentation',
+  faq: 'FAQ',
+  case_studies: 'Case studies',
+  blog: 'Blog',
+  about: 'Company',
+  contact: 'Contact',
+  content: 'Pages',
+  document: 'Documents'
+};
+
+const MAX_DESCRIPTION_LENGTH = 160;
+
+/**
+ * Where a page's Markdown mirror is published: the page URL with .md
+ * appended, or index.html.md for directory URLs (llmstxt.org convention)
+ * @param {string} url - Page URL
+ * @returns {string} Mirror path, e.g. /pricing.md or /docs/index.html.md
+ */
+function mirrorPath(url) {
+  // Segments are decoded one by one; one that is not valid percent-encoding,
+  // or that would decode to a path separator or a dot segment, stays encoded
+  const pathname = new URL(url).pathname.split('/').map(segment => {
+    try {
+      const decoded = decodeURIComponent(segment);
+      return /[/\\]/.test(decoded) || decoded === '.' || decoded === '..' ? segment : decoded;
+    } catch {
+      return segment;
+    }
+  }).join('/');
+  return pathname.endsWith('/') ? `${pathname}index.html.md` : `${pathname}.md`;
+}
+
+function firstSentence(text) {
+  const flat = (text || '').replace(/\s+/g, ' ').trim();
+  const sentence = (flat.match(/^.+?[.!?](\s|$)/) || [flat])[0].trim();
+  return sentence.length > MAX_DESCRIPTION_LENGTH
+    ? `${sentence.slice(0, MAX_DESCRIPTION_LENGTH - 3).replace(/\s+\S*$/, '')}...`
+    : sentence;
+}
+
+function pageText(page) {
+  return page.main_content ? page.main_content.text : (page.text || '');
+}
+
+// Page description: the meta description, else the first sentence of the first non-heading paragraph
+function describePage(page) {
+  if (page.meta_description) return page.meta_description;
+  const headings = new Set([...(page.h1 || []), ...(page.h2 || []), ...(page.h3 || [])]);
+  const paragraphs = pageText(page).split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+  return firstSentence(paragraphs.find(p => !headings.has(p.replace(/\s+/g, ' '))) || '');
+}
+
+/**
+ * Page title without a trailing " | Brand" / " - Brand"
+ * @param {Object} page - Snapshot page
+ * @param {string} siteName - Brand name to drop
+ * @returns {string}
+ */
+function pageTitle(page, siteName) {
+  const title = (page.title || '').trim() || (page.h1 || [])[0] || new URL(page.url).pathname;
+  const parts = title.split(/\s+[|–—-]\s+/);
+  if (parts.length > 1 && siteName && parts[parts.length - 1].toLowerCase() === siteName.toLowerCase()) {
+    return parts.slice(0, -1).join(' - ');
+  }
+  return title;
+}
+
+// Keep plain-text paragraphs from being read as Markdown syntax
+function escapeParagraph(paragraph) {
+  return paragraph.replace(/^(#|>|[-*+]\s|\d+[.)]\s|```|~~~)/, '\\$1');
+}
+
+/**
+ * Render a page's main content as Markdown. Paragraphs that match the
+ * page's headings become Markdown headings.
+ * @param {Object} page - Snapshot page
+ * @param {number} shift - Levels to add to each heading (1 turns an H2 into ###)
+ * @returns {string} Markdown body (without the page title)
+ */
+function pageMarkdown(page, shift = 0) {
+  const text = pageText(page);
+  // Text files are published as they are; most are Markdown already
+  if (page.resource_type === 'text') return text.trim();
+
+  const levels = new Map();
+  [page.h1, page.h2, page.h3].forEach((headings, index) => {
+    (headings || []).forEach(heading => {
+      if (!levels.has(heading)) levels.set(heading, index + 1);
+    });
+  });
+  const title = (page.h1 || [])[0];
+
+  return text.split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(paragraph => paragraph && paragraph !== title)
+    .map(paragraph => {
+      const level = levels.get(paragraph);
+      return level ? `${'#'.repeat(Math.min(level + shift, 6))} ${paragraph}` : escapeParagraph(paragraph);
+    })
+    .join('\n\n');
+}
+
+/**
+ * Pages eligible for llms.txt: crawled 200 content pages that are
+ * indexable and not excluded by the customer's patterns
+ */
+function eligiblePages(snapshot, exclude) {
+  const excluded = exclude.map(compilePattern);
+  return snapshot.pages.filter(page => {
+    if (page.status_code !== 200 || isAssetPage(page)) return false;
+    if (page.robots_directives && !evaluateIndexability(page).indexable) return false;
+    return !excluded.some(match => match(new URL(page.url)));
+  });
+}
+
+function orderSections(sectionOrder) {
+  const order = sectionOrder.filter(type => SECTION_TITLES[type]);
+  DEFAULT_SECTION_ORDER.forEach(type => {
+    if (!order.includes(type)) order.push(type);
+  });
+  return order;
+}
+
+/**
+ * Build llms.txt, llms-full.txt and Markdown mirrors
+ * @param {Object} snapshot - Site snapshot (key_pages from key_pages.js)
+ * @param {Object} customer - Customer config; llms_txt holds the generator options
+ * @param {Object} options - { mirrors } overrides for customer.llms_txt
+ * @returns {Object} { llms_txt, llms_full_txt, mirrors: [{ path, url, content }], sections, warnings }
+ */
+function generateLlmsFiles(snapshot, customer = {}, options = {}) {
+  const config = { ...(customer.llms_txt || {}), ...options };
+  const warnings = [];
+  const incompleteWarning = incompleteSnapshotWarning(snapshot);
+  if (incompleteWarning) warnings.push(incompleteWarning);
+
+  const pages = eligiblePages(snapshot, config.exclude || []);
+  const pagesByUrl = new Map(pages.map(p => [p.url, p]));
+  const homepage = pages.find(p => classifyPageType(p) === 'homepage');
+  const siteName = customer.brand_name || (homepage && homepage.title) || new URL(snapshot.website_url).hostname;
+
+  let keyPages;
+  if (snapshot.key_pages) {
+    keyPages = snapshot.key_pages.map(kp => pagesByUrl.get(kp.url)).filter(Boolean);
+  } else {
+    warnings.push('No key pages in the snapshot - run key_pages.js first. Listing every crawled page instead.');
+    keyPages = pages;
+  }
+  const keyUrls = new Set(keyPages.map(p => p.url));
+  const otherPages = config.include_other_pages === false ? [] : pages.filter(p => !keyUrls.has(p.url));
+
+  const pagesWithoutText = keyPages.filter(p => !pageText(p).trim());
+  if (pagesWithoutText.length > 0) {
+    warnings.push(`${pagesWithoutText.length} key page(s) have no main-content text in the snapshot - recrawl to include their content.`);
+  }
+
+  const summary = config.summary || (homepage && describePage(homepage)) || null;
+  const mirrorsEnabled = Boolean(config.mirrors);
+  const linkUrl = page => mirrorsEnabled && keyUrls.has(page.url) && pageText(page).trim()
+    ? new URL(mirrorPath(page.url), page.url).href
+    : page.url;
+
+  // Key pages grouped by page type, in the configured order
+  const groups = new Map();
+  keyPages.forEach(page => {
+    const type = classifyPageType(page);
+    if (!groups.has(type)) groups.set(type, []);
+    groups.get(type).push(page);
+  });
+  const sections = orderSections(config.section_order || [])
+    .filter(type => groups.has(type))
+    .map(type => ({ type, title: SECTION_TITLES[type], pages: groups.get(type) }));
+
+  const header = [`# ${siteName}`];
+  if (summary) header.push(`> ${summary}`);
+  if (config.details) header.push(config.details.trim());
+
+  const linkLine = page => {
+    const description = describePage(page);
+    return `- [${pageTitle(page, siteName).replace(/[[\]]/g, '')}](${linkUrl(page)})${description ? `: ${description}` : ''}`;
+  };
+  const llmsTxt = [
+    ...header,
+    ...sections.map(section => [`## ${section.title}`, ...section.pages.map(linkLine)].join('\n')),
+    ...(otherPages.length > 0 ? [['## Optional', ...otherPages.map(linkLine)].join('\n')] : [])
+  ].join('\n\n') + '\n';
+
+  // llms-full.txt carries the content of every listed page, key pages first
+  const fullPages = [...sections.flatMap(s => s.pages), ...otherPages].filter(p => pageText(p).trim());
+  const llmsFullTxt = [
+    ...header,
+    ...fullPages.map(page => [`## ${pageTitle(page, siteName)}`, `Source: ${page.url}`, pageMarkdown(page, 1)].join('\n\n'))
+  ].join('\n\n') + '\n';
+
+  const mirrors = !mirrorsEnabled ? [] : keyPages
+    .filter(page => pageText(page).trim())
+    .map(page => {
+      const description = describePage(page);
+      return {
+        path: mirrorPath(page.url),
+        url: page.url,
+        content: [
+          `# ${pageTitle(page, siteName)}`,
+          ...(description ? [`> ${description}`] : []),
+          `Source: ${page.url}`,
+          pageMarkdown(page, 0)
+        ].join('\n\n') + '\n'
+      };
+    });
+
+  return {
+    llms_txt: llmsTxt,
+    llms_full_txt: llmsFullTxt,
+    mirrors,
+    sections: sections.map(s => ({ type: s.type, title: s.title, pages: s.pages.length })),
+    other_pages: otherPages.length,
+    warnings
+  };
+}
+
+/**
+ * Remove a file written by an earlier run, and the directories it leaves empty
+ * @param {string} outputDir - Output directory
+ * @param {string} relativePath - File path recorded in the manifest
+ */
+function removeGeneratedFile(outputDir, relativePath) {
+  const target = path.join(outputDir, relativePath);
+  if (!target.startsWith(outputDir + path.sep)) return;
+  fs.rmSync(target, { force: true });
+  for (let dir = path.dirname(target); dir !== outputDir && dir.startsWith(outputDir + path.sep); dir = path.dirname(dir)) {
+    if (fs.readdirSync(dir).length > 0) break;
+    fs.rmdirSync(dir);
+  }
+}
+
+/**
+ * Write generated files to a directory laid out like the site root. Files
+ * from the previous run (listed in the directory's manifest) are removed so
+ * mirrors of removed pages do not linger; nothing else is touched.
+ * @param {Object} generated - generateLlmsFiles() result
+ * @param {string} outputDir - Output directory, created if missing
+ * @returns {Array<string>} Written file paths
+ */
+function writeLlmsFiles(generated, outputDir) {
+  const manifestPath = path.join(outputDir, MANIFEST_FILE);
+  if (fs.existsSync(manifestPath)) {
+    const previous = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    (previous.files || []).forEach(file => removeGeneratedFile(outputDir, file));
+  }
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const written = [];
+  const write = (relativePath, content) => {
+    const target = path.join(outputDir, relativePath);
+    if (!target.startsWith(outputDir + path.sep)) return;
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+    written.push(target);
+  };
+  write('llms.txt', generated.llms_txt);
+  write('llms-full.txt', generated.llms_full_txt);
+  generated.mirrors.forEach(mirror => write(mirror.path.replace(/^\/+/, ''), mirror.content));
+
+  const files = written.map(file => path.relative(outputDir, file).split(path.sep).join('/'));
+  fs.writeFileSync(manifestPath, JSON.stringify({ generated_at: new Date().toISOString(), files }, null, 2));
+  return written;
+}
+
+function main() {
+  const dataDir = path.join(__dirname, '..', 'data');
+  const snapshotPath = path.join(dataDir, 'site_snapshot.json');
+  const customerPath = path.join(dataDir, 'customer.json');
+
+  const args = process.argv.slice(2);
+  const outputIndex = args.indexOf('--output');
+  const outputDir = path.resolve(outputIndex !== -1 && args[outputIndex + 1] ? args[outputIndex + 1] : DEFAULT_OUTPUT_DIR);
+  const options = {};
+  if (args.includes('--mirrors')) options.mirrors = true;
+  if (args.includes('--no-mirrors')) options.mirrors = false;
+
+  const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+  const customer = fs.existsSync(customerPath) ? JSON.parse(fs.readFileSync(customerPath, 'utf8')) : {};
+
+  const generated = generateLlmsFiles(snapshot, customer, options);
+  const written = writeLlmsFiles(generated, outputDir);
+
+  console.log('llms.txt generated!');
+  generated.sections.forEach(s => console.log(`- ${s.title}: ${s.pages} page(s)`));
+  if (generated.other_pages > 0) console.log(`- Optional: ${generated.other_pages} page(s)`);
+  console.log(`- Markdown mirrors: ${generated.mirrors.length}`);
+  console.log(`- Output: ${outputDir} (${written.length} files)`);
+  generated.warnings.forEach(warning => console.warn(`Warning: ${warning}`));
+}
+
+// CLI execution
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  mirrorPath,
+  pageTitle,
+  pageMarkdown,
+  generateLlmsFiles,
+  writeLlmsFiles
+};
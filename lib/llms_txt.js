@@ -0,0 +1,256 @@
+/**
+ * llms.txt Module
+ * Fetches /llms.txt and /llms-full.txt, parses them (https://llmstxt.org)
+ * and validates them against the format and the crawled site
+ */
+
+// llms-full.txt holds whole pages of content; only this much is kept in the snapshot
+const MAX_STORED_BYTES = 1024 * 1024;
+
+// "- [Title](url)" or "- [Title](url): notes"
+const LINK_ITEM_PATTERN = /^\s*[-*+]\s+\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)\s*(?::\s*(.*))?$/;
+const LIST_ITEM_PATTERN = /^\s*[-*+]\s+/;
+
+async function fetchLlmsFile(base, fetchPage, filePath) {
+  const url = new URL(filePath, base).href;
+  console.log(`Fetching: ${url}`);
+
+  try {
+    const response = await fetchPage(url);
+    if (response.status !== 200) {
+      if (response.body) await response.body.cancel().catch(() => {});
+      return { exists: false, url, status_code: response.status };
+    }
+    const content = await response.text();
+    const file = {
+      exists: true,
+      url,
+      status_code: response.status,
+      content_type: (response.headers.get('content-type') || '').split(';')[0].trim() || null,
+      size_bytes: Buffer.byteLength(content),
+      content
+    };
+    if (file.size_bytes > MAX_STORED_BYTES) {
+      file.content = Buffer.from(content).subarray(0, MAX_STORED_BYTES).toString('utf8');
+      file.truncated = true;
+    }
+    return file;
+  } catch (error) {
+    // An archive that simply lacks the file says nothing about the live site
+    if (error.code === 'ENOTCAPTURED') return { exists: false, url, status_code: 0, not_captured: true };
+    return { exists: false, url, status_code: 0, error: error.message };
+  }
+}
+
+/**
+ * Fetch /llms.txt and /llms-full.txt from the site root
+ * @param {URL} base - Site URL
+ * @param {Function} fetchPage - Fetch function from the crawler's client
+ * @returns {Promise<Object>} { llms_txt, llms_full_txt }
+ */
+async function fetchLlmsFiles(base, fetchPage) {
+  return {
+    llms_txt: await fetchLlmsFile(base, fetchPage, '/llms.txt'),
+    llms_full_txt: await fetchLlmsFile(base, fetchPage, '/llms-full.txt')
+  };
+}
+
+/**
+ * Parse an llms.txt file: an H1 title, an optional blockquote summary,
+ * free-form details, then H2 sections listing markdown links
+ * @param {string} content - File content
+ * @param {string} fileUrl - URL of the file, for resolving relative links
+ * @returns {Object} { title, summary, details, sections: [{ name, optional, links }], links, problems }
+ */
+function parseLlmsTxt(content, fileUrl) {
+  const lines = (content || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+  const problems = [];
+  const sections = [];
+  const summary = [];
+  const details = [];
+  let title = null;
+  let section = null;
+  let inFence = false;
+  let seenContent = false;
+
+  lines.forEach((line, index) => {
+    const lineNumber = index + 1;
+    // Code blocks are free-form content, never headings or links
+    const fence = /^\s*(```|~~~)/.test(line);
+    if (fence) inFence = !inFence;
+    if (fence || inFence) {
+      if (section === null) details.push(line);
+      return;
+    }
+    if (line.trim() === '') return;
+
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading && heading[1].length === 1) {
+      if (title !== null) {
+        problems.push(`line ${lineNumber}: more than one H1 heading`);
+      } else if (seenContent) {
+        problems.push(`line ${lineNumber}: the H1 title must be the first line`);
+        title = heading[2];
+      } else {
+        title = heading[2];
+      }
+      seenContent = true;
+      return;
+    }
+    seenContent = true;
+
+    if (heading && heading[1].length === 2) {
+      section = { name: heading[2], optional: heading[2].trim().toLowerCase() === 'optional', links: [], line: lineNumber };
+      sections.push(section);
+      return;
+    }
+
+    if (section === null) {
+      // Summary is the blockquote right after the title, before any other text
+      if (line.startsWith('>') && details.length === 0) {
+        summary.push(line.replace(/^>\s?/, ''));
+      } else {
+        details.push(line);
+      }
+      return;
+    }
+
+    const link = line.match(LINK_ITEM_PATTERN);
+    if (link) {
+      let url = null;
+      try {
+        url = new URL(link[2], fileUrl).href;
+      } catch {
+        problems.push(`line ${lineNumber}: link URL "${link[2]}" is not valid`);
+      }
+      section.links.push({ title: link[1].trim(), url, description: link[3] ? link[3].trim() : null, line: lineNumber });
+    } else if (LIST_ITEM_PATTERN.test(line)) {
+      problems.push(`line ${lineNumber}: list item in "${section.name}" is not a markdown link ("- [name](url): notes")`);
+    }
+  });
+
+  if (title === null) problems.unshift('missing the H1 title ("# Site name")');
+  if (summary.length === 0) problems.push('missing the blockquote summary ("> ...") after the title');
+  if (sections.length === 0) problems.push('no H2 sections ("## Section") listing links');
+  sections.filter(s => s.links.length === 0).forEach(s => {
+    problems.push(`line ${s.line}: section "${s.name}" has no links`);
+  });
+
+  return {
+    title,
+    summary: summary.length > 0 ? summary.join(' ').trim() : null,
+    details: details.length > 0 ? details.join('\n').trim() : null,
+    sections: sections.map(({ line, ...rest }) => rest),
+    links: sections.flatMap(s => s.links.filter(l => l.url)),
+    problems
+  };
+}
+
+// Error pages and SPA fallbacks answer /llms.txt with HTML
+function looksLikeHtml(file) {
+  return file.content_type === 'text/html' || /^\s*<(!doctype|html|head|body)\b/i.test(file.content || '');
+}
+
+function urlVariants(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  const href = parsed.href;
+  const toggled = parsed.pathname.endsWith('/')
+    ? href.replace(/\/(\?|$)/, '$1')
+    : href.replace(/(\?|$)/, '/$1');
+  return [href, toggled];
+}
+
+/**
+ * Validate a snapshot's llms.txt and llms-full.txt
+ * @param {Object} snapshot - Site snapshot with llms_txt (and llms_full_txt)
+ * @returns {Object} { llms_txt, llms_full_txt } validation results
+ */
+function validateLlmsFiles(snapshot) {
+  const file = snapshot.llms_txt || { exists: false };
+  const fullFile = snapshot.llms_full_txt;
+
+  const result = {
+    llms_txt: { exists: Boolean(file.exists), url: file.url || null, status_code: file.status_code },
+    llms_full_txt: fullFile
+      ? { exists: Boolean(fullFile.exists), url: fullFile.url || null, status_code: fullFile.status_code }
+      : null
+  };
+  if (file.error) result.llms_txt.error = file.error;
+  if (file.not_captured) result.llms_txt.not_captured = true;
+
+  if (fullFile && fullFile.exists) {
+    const problems = [];
+    if (looksLikeHtml(fullFile)) {
+      problems.push('served as HTML instead of markdown');
+    } else if (!(fullFile.content || '').trim()) {
+      problems.push('file is empty');
+    } else if (!/^\s*#\s+\S/m.test(fullFile.content)) {
+      problems.push('missing the H1 title ("# Site name")');
+    }
+    Object.assign(result.llms_full_txt, { size_bytes: fullFile.size_bytes, format_problems: problems });
+  }
+
+  if (!file.exists) return result;
+
+  if (looksLikeHtml(file)) {
+    Object.assign(result.llms_txt, { valid_format: false, format_problems: ['served as HTML instead of markdown'], links: 0 });
+    return result;
+  }
+
+  const parsed = parseLlmsTxt(file.content, file.url);
+  const siteHost = new URL(snapshot.website_url).hostname;
+  const pagesByUrl = new Map(snapshot.pages.map(p => [p.url, p]));
+  const skippedByUrl = new Map((snapshot.skipped_urls || []).map(s => [s.url, s]));
+  const findPage = url => urlVariants(url).map(v => pagesByUrl.get(v)).find(Boolean);
+
+  const unresolved = [];
+  const blocked = [];
+  const listed = new Set();
+
+  parsed.links.filter(l => new URL(l.url).hostname === siteHost).forEach(link => {
+    urlVariants(link.url).forEach(v => listed.add(v));
+    const page = findPage(link.url);
+    if (!page) {
+      const skippedEntry = urlVariants(link.url).map(v => skippedByUrl.get(v)).find(Boolean);
+      unresolved.push({ url: link.url, status_code: null, reason: skippedEntry ? `not crawled (${skippedEntry.reason})` : 'not crawled' });
+      return;
+    }
+    if (page.status_code !== 200) {
+      const redirect = page.status_code >= 300 && page.status_code < 400;
+      unresolved.push({
+        url: link.url,
+        status_code: page.status_code,
+        reason: redirect ? `redirects to ${page.final_url || 'another URL'}` : (page.error || `HTTP ${page.status_code}`)
+      });
+      return;
+    }
+    const bots = Object.entries(page.ai_bot_access || {}).filter(([, allowed]) => !allowed).map(([bot]) => bot);
+    if (bots.length > 0) blocked.push({ url: link.url, bots });
+  });
+
+  const missingKeyPages = (snapshot.key_pages || [])
+    .map(kp => kp.url)
+    .filter(url => !listed.has(url));
+
+  const structural = parsed.title === null || parsed.links.length === 0;
+  Object.assign(result.llms_txt, {
+    valid_format: !structural,
+    format_problems: parsed.problems,
+    title: parsed.title,
+    summary: parsed.summary,
+    sections: parsed.sections.map(s => ({ name: s.name, optional: s.optional, links: s.links.length })),
+    links: parsed.links.length,
+    external_links: parsed.links.filter(l => new URL(l.url).hostname !== siteHost).length,
+    unresolved_links: unresolved,
+    blocked_links: blocked,
+    missing_key_pages: snapshot.key_pages ? missingKeyPages : null
+  });
+  return result;
+}
+
+module.exports = {
+  fetchLlmsFiles,
+  parseLlmsTxt,
+  validateLlmsFiles
+};
@@ -0,0 +1,234 @@
+/**
+ * Local Site Module
+ * Serves a static-site build directory (e.g. dist/) as if it were deployed
+ * under a base URL, so the crawler can audit it without a web server
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// File extension -> Content-Type, enough for static-site generator output
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.xhtml': 'application/xhtml+xml',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.xml': 'application/xml',
+  '.json': 'application/json',
+  '.webmanifest': 'application/manifest+json',
+  '.pdf': 'application/pdf',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg',
+  '.gz': 'application/gzip'
+};
+
+function contentTypeFor(filePath) {
+  return CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch {
+    return false;
+  }
+}
+
+function isDirectory(filePath) {
+  try {
+    return fs.statSync(filePath).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Resolve a URL path to a file the way common static hosts do
+ * @param {string} rootDir - Absolute build directory
+ * @param {string} pathname - URL path
+ * @returns {Object} { file } | { redirect } | {} when nothing matches
+ */
+function resolveLocalPath(rootDir, pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    return {};
+  }
+
+  const target = path.join(rootDir, path.normalize(decoded));
+  if (target !== rootDir && !target.startsWith(rootDir + path.sep)) return {};
+
+  if (decoded.endsWith('/')) {
+    const index = path.join(target, 'index.html');
+    return isFile(index) ? { file: index } : {};
+  }
+  if (isFile(target)) return { file: target };
+  // Directories without a trailing slash redirect, as most static hosts do
+  if (isDirectory(target) && isFile(path.join(target, 'index.html'))) {
+    return { redirect: `${pathname}/` };
+  }
+  // Extensionless "clean" URLs map to a sibling .html file
+  if (isFile(`${target}.html`)) return { file: `${target}.html` };
+  return {};
+}
+
+/**
+ * Map a file in the build directory to its URL under the base URL
+ * @param {string} rootDir - Build directory
+ * @param {string} filePath - File inside the build directory
+ * @param {string} baseUrl - Base URL the site will be deployed under
+ * @returns {string} Absolute URL
+ */
+function fileToUrl(rootDir, filePath, baseUrl) {
+  const relative = path.relative(path.resolve(rootDir), path.resolve(filePath)).split(path.sep).join('/');
+  const urlPath = relative === 'index.html'
+    ? ''
+    : relative.endsWith('/index.html') ? relative.slice(0, -'index.html'.length) : relative;
+  return new URL(urlPath.split('/').map(encodeURIComponent).join('/'), new URL('/', baseUrl)).href;
+}
+
+// Files that are pages rather than assets when listing a build directory
+const PAGE_EXTENSIONS = new Set(['.html', '.htm', '.xhtml', '.pdf', '.txt', '.md']);
+const SITE_FILES = new Set(['robots.txt', 'llms.txt', 'llms-full.txt', '404.html']);
+
+/**
+ * List page files (HTML, PDF, text) in a build directory as URLs, so pages
+ * nothing links to are still audited. HTML files are listed under the clean
+ * URL that serves them ("about.html" as "/about"), the form sites link to
+ * @param {string} rootDir - Build directory
+ * @param {string} baseUrl - Base URL the site will be deployed under
+ * @returns {Array} Absolute URLs, sorted
+ */
+function listPageUrls(rootDir, baseUrl) {
+  const root = path.resolve(rootDir);
+  const urls = [];
+
+  function walk(dir) {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+      if (entry.name.startsWith('.')) return;
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(full);
+      } else if (entry.isFile() && PAGE_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+        // Site-level files are recorded separately and 404.html is the error page
+        if (SITE_FILES.has(path.relative(root, full))) return;
+        const url = fileToUrl(root, full, baseUrl);
+        const clean = url.replace(/\.html$/, '');
+        urls.push(clean !== url && resolveLocalPath(root, new URL(clean).pathname).file === full ? clean : url);
+      }
+    });
+  }
+
+  walk(root);
+  return urls.sort();
+}
+
+/**
+ * Create a client with the same interface as createHttpClient() that answers
+ * requests for the base URL's host from a local directory
+ * @param {string} rootDir - Build directory
+ * @param {string} baseUrl - Base URL the site will be deployed under
+ * @returns {Object} { request, setCrawlDelay, has, fileFor, settings }
+ */
+function createLocalClient(rootDir, baseUrl) {
+  const root = path.resolve(rootDir);
+  const base = new URL(baseUrl);
+  if (!isDirectory(root)) {
+    throw new Error(`Site directory not found: ${rootDir}`);
+  }
+
+  const notFoundPage = path.join(root, '404.html');
+
+  /**
+   * Answer a request from disk
+   * @param {string} url - Absolute URL under the base URL's host
+   * @param {Object} init - fetch() options (method is honored)
+   * @returns {Promise<Response>}
+   */
+  async function request(url, init = {}) {
+    const target = new URL(url);
+    if (target.host !== base.host) {
+      throw new Error(`Not available offline: ${url}`);
+    }
+
+    const head = (init.method || 'GET').toUpperCase() === 'HEAD';
+    const resolved = resolveLocalPath(root, target.pathname);
+
+    if (resolved.redirect) {
+      return new Response(null, {
+        status: 301,
+        headers: { location: new URL(resolved.redirect + target.search, target).href }
+      });
+    }
+
+    let status = 200;
+    let file = resolved.file;
+    if (!file) {
+      status = 404;
+      file = isFile(notFoundPage) ? notFoundPage : null;
+    }
+    if (!file) {
+      return new Response(head ? null : 'Not Found', {
+        status,
+        headers: { 'content-type': 'text/plain; charset=utf-8' }
+      });
+    }
+
+    const body = fs.readFileSync(file);
+    return new Response(head ? null : body, {
+      status,
+      headers: {
+        'content-type': contentTypeFor(file),
+        'content-length': String(body.length),
+        'last-modified': fs.statSync(file).mtime.toUTCString()
+      }
+    });
+  }
+
+  // Nothing to throttle when reading from disk
+  function setCrawlDelay() {}
+
+  // Any URL on the site can be answered, if only with a 404
+  function has(url) {
+    return new URL(url).host === base.host;
+  }
+
+  /**
+   * File a URL is served from
+   * @param {string} url - Absolute URL
+   * @returns {string|null} Absolute file path, or null for redirects and missing files
+   */
+  function fileFor(url) {
+    const target = new URL(url);
+    if (target.host !== base.host) return null;
+    return resolveLocalPath(root, target.pathname).file || null;
+  }
+
+  return { request, setCrawlDelay, has, fileFor, settings: { rootDir: root, baseUrl: base.href } };
+}
+
+module.exports = {
+  createLocalClient,
+  resolveLocalPath,
+  fileToUrl,
+  listPageUrls,
+  contentTypeFor
+};
@@ -0,0 +1,200 @@
+/**
+ * Main Content Extraction Module
+ * Finds the region of a page that holds its main content, leaving out
+ * navigation, site headers and footers, sidebars, cookie banners and other
+ * boilerplate, and measures how much of the page that content is
+ */
+
+const { nodeText, nodeParagraphs, countWords } = require('./html_extractor');
+
+// Elements that are page chrome wherever they appear
+const BOILERPLATE_TAGS = new Set(['nav', 'aside', 'form', 'dialog', 'menu']);
+const BOILERPLATE_ROLES = new Set([
+  'navigation', 'banner', 'contentinfo', 'complementary', 'search',
+  'dialog', 'alertdialog', 'menu', 'menubar'
+]);
+
+// Tokens in id/class names that mark boilerplate (matched as whole dash/underscore-separated words)
+const BOILERPLATE_PATTERN = /(^|[\s_-])(nav|navbar|navigation|menu|sidebar|breadcrumbs?|cookies?|consent|gdpr|banner|popup|modal|newsletter|subscribe|share|sharing|social|related|comments?|advert|ads|promo|skip-link)($|[\s_-])/i;
+
+// Never boilerplate themselves, whatever their classes say
+const CONTENT_ROOT_TAGS = new Set(['html', 'body', 'main', 'article']);
+const SECTIONING_CONTENT_TAGS = new Set(['article', 'main']);
+
+// What an element holds, as flags: wrappers of the main region are never
+// boilerplate, and class names only count on blocks without the page's content
+const HOLDS_MAIN = 1;
+const HOLDS_CONTENT = 2;
+const holdingsCache = new WeakMap();
+
+// Blocks that carry running text; their words are credited to their containers
+const TEXT_BLOCK_SELECTOR = 'p, pre, blockquote, li, dd, td';
+const MIN_BLOCK_WORDS = 5;
+
+// A <main> or <article> is trusted when it holds at least this share of the page's non-boilerplate words
+const MIN_LANDMARK_SHARE = 0.3;
+
+function hasAncestor(node, tags) {
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    if (parent.name && tags.has(parent.name)) return true;
+  }
+  return false;
+}
+
+function isMainRegion(node) {
+  return node.name === 'main' || ((node.attribs && node.attribs.role) || '').toLowerCase() === 'main';
+}
+
+/**
+ * Flags for the content an element contains: HOLDS_MAIN for a <main> or
+ * [role=main], HOLDS_CONTENT for those, an <article> or an <h1>
+ */
+function holdings(node) {
+  if (holdingsCache.has(node)) return holdingsCache.get(node);
+  let flags = 0;
+  (node.children || []).forEach(child => {
+    if (!child.name) return;
+    if (isMainRegion(child)) flags |= HOLDS_MAIN | HOLDS_CONTENT;
+    if (child.name === 'article' || child.name === 'h1') flags |= HOLDS_CONTENT;
+    flags |= holdings(child);
+  });
+  holdingsCache.set(node, flags);
+  return flags;
+}
+
+/**
+ * Whether an element is boilerplate rather than page content
+ * @param {Object} node - DOM element
+ * @returns {boolean}
+ */
+function isBoilerplate(node) {
+  if (CONTENT_ROOT_TAGS.has(node.name) || isMainRegion(node)) return false;
+  // Layout wrappers (a page-wide <form>, div.has-sidebar) can hold the main region
+  const held = holdings(node);
+  if (held & HOLDS_MAIN) return false;
+
+  const attribs = node.attribs || {};
+  if (BOILERPLATE_TAGS.has(node.name)) return true;
+  if (BOILERPLATE_ROLES.has((attribs.role || '').toLowerCase())) return true;
+  if (attribs['aria-modal'] === 'true') return true;
+  // <header> and <footer> are site chrome unless they belong to an article or the main region
+  if ((node.name === 'header' || node.name === 'footer') && !hasAncestor(node, SECTIONING_CONTENT_TAGS)) {
+    return true;
+  }
+  // Class and id names only mark leaf blocks: on a wrapper of an article or
+  // the page title they describe layout state (nav-open, hero-banner) instead
+  if (held & HOLDS_CONTENT) return false;
+  return BOILERPLATE_PATTERN.test(`${attribs.id || ''} ${attribs.class || ''}`);
+}
+
+function insideBoilerplate(node, memo) {
+  if (!node || !node.name) return false;
+  if (memo.has(node)) return memo.get(node);
+  const result = isBoilerplate(node) || insideBoilerplate(node.parent, memo);
+  memo.set(node, result);
+  return result;
+}
+
+function contentText(node) {
+  return nodeText(node, el => el !== node && isBoilerplate(el));
+}
+
+function describeRegion(node) {
+  const attribs = node.attribs || {};
+  if (attribs.id) return `${node.name}#${attribs.id}`;
+  const firstClass = (attribs.class || '').trim().split(/\s+/)[0];
+  return firstClass ? `${node.name}.${firstClass}` : node.name;
+}
+
+/**
+ * Pick the largest visible landmark (<main>, <article>) if it holds enough of the page
+ */
+function pickLandmark($, selector, pageWords, memo) {
+  let best = null;
+  $(selector).each((_, el) => {
+    if (insideBoilerplate(el.parent, memo)) return;
+    const words = countWords(contentText(el));
+    if (!best || words > best.words) best = { node: el, words };
+  });
+  if (!best || best.words === 0) return null;
+  return best.words >= pageWords * MIN_LANDMARK_SHARE ? best.node : null;
+}
+
+/**
+ * Score containers by the running text directly inside them, discounted by
+ * how much of their text is links, and return the best one
+ */
+function pickDensestContainer($, memo) {
+  const scores = new Map();
+  const credit = (node, points) => {
+    if (!node || !node.name || node.name === 'html') return;
+    scores.set(node, (scores.get(node) || 0) + points);
+  };
+
+  $(TEXT_BLOCK_SELECTOR).each((_, el) => {
+    if (insideBoilerplate(el, memo)) return;
+    const words = countWords(nodeText(el));
+    if (words < MIN_BLOCK_WORDS) return;
+    credit(el.parent, words);
+    credit(el.parent && el.parent.parent, words / 2);
+  });
+
+  let best = null;
+  scores.forEach((score, node) => {
+    const text = contentText(node);
+    const words = countWords(text);
+    if (words === 0) return;
+    const linkWords = $(node).find('a').toArray()
+      .filter(a => !insideBoilerplate(a, memo))
+      .reduce((sum, a) => sum + countWords(nodeText(a)), 0);
+    const adjusted = score * (1 - Math.min(linkWords / words, 1));
+    if (!best || adjusted > best.score) best = { node, score: adjusted };
+  });
+  return best ? best.node : null;
+}
+
+/**
+ * Extract the main content of an HTML page
+ * @param {Function} $ - Cheerio root
+ * @param {number} htmlLength - Length of the raw HTML in characters
+ * @returns {Object} { region, text (paragraphs separated by blank lines), word_count, boilerplate_ratio, text_to_html_ratio }
+ */
+function extractMainContent($, htmlLength) {
+  const body = $('body').get(0) || $.root().get(0);
+  const pageWords = countWords(nodeText(body));
+  const contentWords = countWords(contentText(body));
+  const memo = new Map();
+
+  const region = pickLandmark($, 'main, [role="main"]', contentWords, memo) ||
+    pickLandmark($, 'article', contentWords, memo) ||
+    pickDensestContainer($, memo) ||
+    body;
+
+  // Paragraphs stay on their own lines so the text can be turned back into Markdown
+  const text = nodeParagraphs(region, el => el !== region && isBoilerplate(el)).join('\n\n');
+  const words = countWords(text);
+
+  return {
+    region: region === body ? 'body' : describeRegion(region),
+    text,
+    word_count: words,
+    boilerplate_ratio: pageWords > 0 ? Number(Math.max(0, 1 - words / pageWords).toFixed(2)) : 0,
+    text_to_html_ratio: htmlLength > 0 ? Number((text.length / htmlLength).toFixed(3)) : null
+  };
+}
+
+/**
+ * Main-content word count of a snapshot page. Documents and pages crawled
+ * before main content was extracted fall back to the whole-page count.
+ * @param {Object} page - Snapshot page
+ * @returns {number}
+ */
+function mainWordCount(page) {
+  return page.main_content ? page.main_content.word_count : (page.word_count || 0);
+}
+
+module.exports = {
+  isBoilerplate,
+  extractMainContent,
+  mainWordCount
+};
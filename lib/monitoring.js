@@ -5,6 +5,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { pageEntities } = require('./schema_entities');
 
 const WORKSPACE_DIR = path.join(__dirname, '..');
 const DATA_DIR = path.join(WORKSPACE_DIR, 'data');
@@ -53,6 +54,7 @@ function compareWithBaseline(currentSnapshot, baseline) {
       has_changes: false,
       pages_added: 0,
       pages_removed: 0,
+      snapshot_incomplete: Boolean(currentSnapshot.incomplete),
       scores: {}
     }
   };
@@ -116,9 +118,9 @@ function compareWithBaseline(currentSnapshot, baseline) {
 
   // Compare structured data presence
   const currentStructuredData = currentSnapshot.pages?.reduce((sum, p) => 
-    sum + (p.structured_data?.length || 0), 0) || 0;
+    sum + pageEntities(p).length, 0) || 0;
   const baselineStructuredData = baseline.pages?.reduce((sum, p) => 
-    sum + (p.structured_data?.length || 0), 0) || 0;
+    sum + pageEntities(p).length, 0) || 0;
   
   if (currentStructuredData !== baselineStructuredData) {
     diff.changes.push({
@@ -142,6 +144,14 @@ function compareWithBaseline(currentSnapshot, baseline) {
 function checkThresholds(diff, thresholds) {
   const alerts = [];
   
+  // A partial crawl is missing pages, not evidence that the site lost them
+  if (diff.summary.snapshot_incomplete) {
+    alerts.push({
+      level: 'warning',
+      message: 'Current snapshot is from an incomplete crawl; page count changes are not alerted'
+    });
+  }
+  
   for (const change of diff.changes) {
     if (change.type === 'issues_count' && change.delta > thresholds.new_issues_critical) {
       alerts.push({
@@ -157,7 +167,7 @@ function checkThresholds(diff, thresholds) {
       });
     }
     
-    if (change.type === 'page_count' && change.delta < -thresholds.pages_removed_above) {
+    if (change.type === 'page_count' && change.delta < -thresholds.pages_removed_above && !diff.summary.snapshot_incomplete) {
       alerts.push({
         level: 'warning',
         message: `${Math.abs(change.delta)} pages removed`
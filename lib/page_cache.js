@@ -0,0 +1,103 @@
+/**
+ * On-disk Page Cache
+ * Stores response headers, a body hash and the raw body per URL so recrawls
+ * can send conditional requests and analysis modules can reuse fetched HTML
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, '..', 'data', 'cache', 'pages');
+
+function hashBody(body) {
+  return crypto.createHash('sha256').update(body).digest('hex');
+}
+
+function cacheFile(cacheDir, url) {
+  const key = crypto.createHash('sha1').update(url).digest('hex');
+  return path.join(cacheDir, `${key}.json`);
+}
+
+/**
+ * Create a page cache rooted at a directory
+ * @param {string} cacheDir - Directory holding one JSON file per URL
+ * @returns {Object} { get, readBody, set, conditionalHeaders }
+ */
+function createPageCache(cacheDir = DEFAULT_CACHE_DIR) {
+  /**
+   * Load the cache entry for a URL
+   * @param {string} url - Page URL
+   * @returns {Object|null} { url, fetched_at, status_code, headers, body_hash, encoding, body }
+   */
+  function get(url) {
+    const file = cacheFile(cacheDir, url);
+    if (!fs.existsSync(file)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  function readBody(entry) {
+    return Buffer.from(entry.body, entry.encoding === 'base64' ? 'base64' : 'utf8');
+  }
+
+  /**
+   * Store a fetched response
+   * @param {string} url - Page URL
+   * @param {Object} response - { status_code, headers, body (Buffer), text (boolean) }
+   * @returns {Object} Stored entry
+   */
+  function set(url, { status_code, headers, body, text = true }) {
+    fs.mkdirSync(cacheDir, { recursive: true });
+    const entry = {
+      url,
+      fetched_at: new Date().toISOString(),
+      status_code,
+      headers,
+      body_hash: hashBody(body),
+      encoding: text ? 'utf8' : 'base64',
+      body: body.toString(text ? 'utf8' : 'base64')
+    };
+    fs.writeFileSync(cacheFile(cacheDir, url), JSON.stringify(entry));
+    return entry;
+  }
+
+  /**
+   * Conditional request headers for a cached URL
+   * @param {string} url - Page URL
+   * @returns {Object} If-None-Match / If-Modified-Since headers, or {}
+   */
+  function conditionalHeaders(url) {
+    const entry = get(url);
+    if (!entry || entry.status_code !== 200) return {};
+    const headers = {};
+    if (entry.headers.etag) headers['If-None-Match'] = entry.headers.etag;
+    if (entry.headers['last-modified']) headers['If-Modified-Since'] = entry.headers['last-modified'];
+    return headers;
+  }
+
+  return { get, readBody, set, conditionalHeaders };
+}
+
+/**
+ * Read cached HTML for a URL so analysis modules can skip the network
+ * @param {string} url - Page URL
+ * @param {string} cacheDir - Cache directory
+ * @returns {string|null} Raw HTML, or null when not cached
+ */
+function readCachedHtml(url, cacheDir = DEFAULT_CACHE_DIR) {
+  const cache = createPageCache(cacheDir);
+  const entry = cache.get(url);
+  if (!entry || entry.encoding !== 'utf8') return null;
+  return entry.body;
+}
+
+module.exports = {
+  DEFAULT_CACHE_DIR,
+  createPageCache,
+  readCachedHtml,
+  hashBody
+};
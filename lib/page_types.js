@@ -0,0 +1,83 @@
+/**
+ * Page Type Helpers
+ * Classifies crawled URLs by Content-Type so modules can tell pages,
+ * documents and static assets apart
+ */
+
+// Resource types that are not content pages
+const ASSET_TYPES = new Set(['image', 'stylesheet', 'script', 'font', 'media', 'other']);
+const DOCUMENT_TYPES = new Set(['pdf', 'text']);
+
+// Page types recognized by URL path; the first match wins
+const PAGE_TYPE_PATTERNS = [
+  ['about', /\/(about|company|team|who-we-are)(\/|$|\.)/],
+  ['contact', /\/(contact|support)(\/|$|\.)/],
+  ['pricing', /\/(pricing|plans|prices)(\/|$|\.)/],
+  ['blog', /\/(blog|news|articles|insights)(\/|$|\.)/],
+  ['faq', /\/(faqs?|help)(\/|$|\.)/],
+  ['docs', /\/(docs|documentation|guides?|learn)(\/|$|\.)/],
+  ['product', /\/(products?|services?|features?|solutions?)(\/|$|\.)/],
+  ['case_studies', /\/(case-studies|customers|testimonials|reviews)(\/|$|\.)/]
+];
+
+// Fallback for snapshots crawled before resource_type was recorded
+const ASSET_EXTENSIONS = ['.css', '.js', '.ico', '.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.woff', '.woff2'];
+
+/**
+ * Map a Content-Type header to a resource type
+ * @param {string} contentType - Content-Type header value
+ * @returns {string} html, pdf, text, image, stylesheet, script, font, media or other
+ */
+function classifyContentType(contentType) {
+  const mime = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (!mime || mime === 'text/html' || mime === 'application/xhtml+xml') return 'html';
+  if (mime === 'application/pdf') return 'pdf';
+  if (mime === 'text/plain' || mime === 'text/markdown') return 'text';
+  if (mime.startsWith('image/')) return 'image';
+  if (mime === 'text/css') return 'stylesheet';
+  if (mime.includes('javascript') || mime.includes('ecmascript')) return 'script';
+  if (mime.startsWith('font/') || mime.includes('font') || mime.includes('woff')) return 'font';
+  if (mime.startsWith('audio/') || mime.startsWith('video/')) return 'media';
+  return 'other';
+}
+
+/**
+ * Whether a crawled entry is a static asset rather than a content page
+ * @param {Object} page - Snapshot page
+ * @returns {boolean}
+ */
+function isAssetPage(page) {
+  if (page.resource_type) return ASSET_TYPES.has(page.resource_type);
+  const url = page.url.toLowerCase().split(/[?#]/)[0];
+  return ASSET_EXTENSIONS.some(ext => url.endsWith(ext));
+}
+
+/**
+ * Whether a crawled entry is a PDF or plain-text document
+ * @param {Object} page - Snapshot page
+ * @returns {boolean}
+ */
+function isDocumentPage(page) {
+  return DOCUMENT_TYPES.has(page.resource_type);
+}
+
+/**
+ * Classify a content page by what it is about, from its URL path
+ * @param {Object} page - Snapshot page
+ * @returns {string} homepage, document, one of PAGE_TYPE_PATTERNS, or content
+ */
+function classifyPageType(page) {
+  if (isDocumentPage(page)) return 'document';
+  const pathname = new URL(page.url).pathname.toLowerCase();
+  if (pathname === '/' || /^\/index\.(html?|php)$/.test(pathname)) return 'homepage';
+  const match = PAGE_TYPE_PATTERNS.find(([, pattern]) => pattern.test(pathname));
+  return match ? match[0] : 'content';
+}
+
+module.exports = {
+  PAGE_TYPE_PATTERNS,
+  classifyContentType,
+  classifyPageType,
+  isAssetPage,
+  isDocumentPage
+};
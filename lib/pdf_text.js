@@ -0,0 +1,432 @@
+/**
+ * PDF Text Extraction Module
+ * Best-effort, dependency-free text extraction for PDFs: inflates content
+ * streams, reads text-showing operators and maps glyphs through ToUnicode CMaps
+ */
+
+const zlib = require('zlib');
+
+// Inflated size limit per stream; a small deflate bomb would otherwise take
+// gigabytes. Streams over it are skipped like any undecodable stream
+const MAX_STREAM_BYTES = 16 * 1024 * 1024;
+
+function decodeStream(dict, data) {
+  if (/\/FlateDecode/.test(dict)) {
+    try {
+      return zlib.inflateSync(data, { maxOutputLength: MAX_STREAM_BYTES });
+    } catch {
+      try {
+        return zlib.inflateRawSync(data.subarray(2), { maxOutputLength: MAX_STREAM_BYTES });
+      } catch {
+        return null;
+      }
+    }
+  }
+  // Other filters (DCT, JBIG2, LZW...) never carry text we can read
+  if (/\/Filter/.test(dict)) return null;
+  return data;
+}
+
+/**
+ * Split a PDF into its stream objects
+ * @param {Buffer} buffer - Raw PDF bytes
+ * @returns {Array} [{ dict, data }]
+ */
+function readStreams(buffer) {
+  const latin = buffer.toString('latin1');
+  const streams = [];
+  const streamRegex = /<<((?:[^<>]|<<(?:[^<>]|<<[^<>]*>>)*>>|<[^<>]*>)*)>>\s*stream\r?\n/g;
+  let match;
+
+  while ((match = streamRegex.exec(latin)) !== null) {
+    const start = match.index + match[0].length;
+    const end = latin.indexOf('endstream', start);
+    if (end === -1) break;
+    const dict = match[1];
+    const decoded = decodeStream(dict, buffer.subarray(start, end));
+    if (decoded) streams.push({ dict, data: decoded.toString('latin1') });
+    streamRegex.lastIndex = end;
+  }
+
+  return streams;
+}
+
+/**
+ * Read the indirect objects of a PDF, including those packed in object streams
+ * @param {Buffer} buffer - Raw PDF bytes
+ * @returns {Map} Object number to { dict, data } (data is null for non-stream objects)
+ */
+function readObjects(buffer) {
+  const latin = buffer.toString('latin1');
+  const objects = new Map();
+  const objRegex = /(\d+)\s+\d+\s+obj\b/g;
+  let match;
+
+  while ((match = objRegex.exec(latin)) !== null) {
+    const start = match.index + match[0].length;
+    const end = latin.indexOf('endobj', start);
+    if (end === -1) break;
+    const streamMatch = /stream\r?\n/.exec(latin.slice(start, end));
+    if (streamMatch && /^\s*<</.test(latin.slice(start))) {
+      // Binary stream data may contain "endobj"; skip to the end of the stream first
+      const dataStart = start + streamMatch.index + streamMatch[0].length;
+      const dataEnd = latin.indexOf('endstream', dataStart);
+      if (dataEnd === -1) break;
+      const dict = latin.slice(start, start + streamMatch.index).trim();
+      const decoded = decodeStream(dict, buffer.subarray(dataStart, dataEnd));
+      objects.set(Number(match[1]), { dict, data: decoded ? decoded.toString('latin1') : null });
+      objRegex.lastIndex = dataEnd;
+    } else {
+      objects.set(Number(match[1]), { dict: latin.slice(start, end).trim(), data: null });
+      objRegex.lastIndex = end;
+    }
+  }
+
+  // PDF 1.5+ keeps most dictionaries (fonts, pages) in compressed object streams
+  [...objects.values()]
+    .filter(obj => obj.data && /\/Type\s*\/ObjStm/.test(obj.dict))
+    .forEach(obj => {
+      const first = parseInt(dictValue(obj.dict, 'First'), 10);
+      if (isNaN(first)) return;
+      const header = obj.data.slice(0, first).trim().split(/\s+/).map(Number);
+      for (let i = 0; i + 1 < header.length; i += 2) {
+        const from = first + header[i + 1];
+        const to = i + 3 < header.length ? first + header[i + 3] : obj.data.length;
+        if (!objects.has(header[i])) objects.set(header[i], { dict: obj.data.slice(from, to).trim(), data: null });
+      }
+    });
+
+  return objects;
+}
+
+/**
+ * Read the value of a key in a PDF dictionary: a reference ("12 0 R"),
+ * a nested dictionary or array (brackets included) or a single token
+ * @param {string} dict - Dictionary text
+ * @param {string} key - Key without the leading slash
+ * @returns {string|null}
+ */
+function dictValue(dict, key) {
+  const keyMatch = new RegExp(`/${key}(?![A-Za-z0-9_.#-])\\s*`).exec(dict || '');
+  if (!keyMatch) return null;
+  const rest = dict.slice(keyMatch.index + keyMatch[0].length);
+  const ref = rest.match(/^(\d+\s+\d+\s+R)\b/);
+  if (ref) return ref[1];
+  const open = rest.startsWith('<<') ? '<<' : rest.startsWith('[') ? '[' : null;
+  if (open) {
+    const close = open === '<<' ? '>>' : ']';
+    let depth = 0;
+    for (let i = 0; i < rest.length; i++) {
+      if (rest.startsWith(open, i)) {
+        depth++;
+        i += open.length - 1;
+      } else if (rest.startsWith(close, i)) {
+        depth--;
+        i += close.length - 1;
+        if (depth === 0) return rest.slice(0, i + 1);
+      }
+    }
+    return null;
+  }
+  const token = rest.match(/^\/?[^\s/[\]<>()]+/);
+  return token ? token[0] : null;
+}
+
+function refNumber(value) {
+  const ref = (value || '').match(/^(\d+)\s+\d+\s+R$/);
+  return ref ? Number(ref[1]) : null;
+}
+
+// Dictionary text behind a value that may be a reference
+function resolveDict(objects, value) {
+  const number = refNumber(value);
+  if (number === null) return value;
+  const obj = objects.get(number);
+  return obj ? obj.dict : null;
+}
+
+/**
+ * Parse the bfchar/bfrange sections of a ToUnicode CMap
+ * @param {string} cmap - CMap program text
+ * @returns {Map} Hex code (uppercase) to Unicode string
+ */
+function parseToUnicode(cmap) {
+  const map = new Map();
+  const hexToString = hex => {
+    let out = '';
+    for (let i = 0; i + 4 <= hex.length; i += 4) {
+      out += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+    }
+    return out;
+  };
+
+  const charBlocks = cmap.match(/beginbfchar([\s\S]*?)endbfchar/g) || [];
+  charBlocks.forEach(block => {
+    const pairRegex = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>/g;
+    let pair;
+    while ((pair = pairRegex.exec(block)) !== null) {
+      map.set(pair[1].toUpperCase(), hexToString(pair[2]));
+    }
+  });
+
+  const rangeBlocks = cmap.match(/beginbfrange([\s\S]*?)endbfrange/g) || [];
+  rangeBlocks.forEach(block => {
+    const rangeRegex = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<([0-9a-fA-F]+)>|\[([^\]]*)\])/g;
+    let range;
+    while ((range = rangeRegex.exec(block)) !== null) {
+      const width = range[1].length;
+      const from = parseInt(range[1], 16);
+      const to = parseInt(range[2], 16);
+      const targets = range[5] ? (range[5].match(/<([0-9a-fA-F]+)>/g) || []).map(t => t.slice(1, -1)) : null;
+      for (let code = from; code <= to && code - from < 65536; code++) {
+        const key = code.toString(16).toUpperCase().padStart(width, '0');
+        if (targets) {
+          if (targets[code - from]) map.set(key, hexToString(targets[code - from]));
+        } else {
+          const base = parseInt(range[4], 16) + (code - from);
+          map.set(key, String.fromCharCode(base));
+        }
+      }
+    }
+  });
+
+  return map;
+}
+
+function decodeLiteralString(raw) {
+  return raw.replace(/\\([nrtbf()\\]|[0-7]{1,3}|\r?\n)/g, (_, esc) => {
+    switch (esc) {
+      case 'n': return '\n';
+      case 'r': return '\r';
+      case 't': return '\t';
+      case 'b': return '\b';
+      case 'f': return '\f';
+      case '(': return '(';
+      case ')': return ')';
+      case '\\': return '\\';
+      default:
+        if (/^[0-7]+$/.test(esc)) return String.fromCharCode(parseInt(esc, 8));
+        return '';
+    }
+  });
+}
+
+// Composite-font glyph ids that no ToUnicode CMap translates; reading them as bytes gives garbage
+const UNMAPPED = new Map();
+
+function decodeHexString(hex, cmap) {
+  if (cmap === UNMAPPED) return '';
+  const clean = hex.replace(/\s+/g, '').toUpperCase();
+  if (cmap && cmap.size > 0) {
+    const width = cmap.keys().next().value.length;
+    let out = '';
+    for (let i = 0; i + width <= clean.length; i += width) {
+      out += cmap.get(clean.slice(i, i + width)) || '';
+    }
+    return out;
+  }
+  let out = '';
+  for (let i = 0; i + 2 <= clean.length; i += 2) {
+    out += String.fromCharCode(parseInt(clean.slice(i, i + 2), 16));
+  }
+  return out;
+}
+
+function decodeString(token, cmap) {
+  if (token.startsWith('(')) {
+    const text = decodeLiteralString(token.slice(1, -1));
+    if (cmap === UNMAPPED) return '';
+    if (!cmap || cmap.size === 0) return text;
+    // Two-byte font codes are looked up like hex strings
+    const width = cmap.keys().next().value.length;
+    if (width === 4) return decodeHexString(Buffer.from(text, 'latin1').toString('hex'), cmap);
+    // Single-byte font codes through the CMap when it maps them
+    if (width !== 2) return text;
+    return [...text].map(ch => cmap.get(ch.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')) || ch).join('');
+  }
+  return decodeHexString(token.slice(1, -1), cmap);
+}
+
+/**
+ * Extract text from one content stream
+ * @param {string} content - Content stream text
+ * @param {Function} fontCmap - (font resource name) => ToUnicode map or null
+ * @param {Function} formText - Optional (XObject name) => text of a Form XObject
+ */
+function textFromContent(content, fontCmap, formText) {
+  const parts = [];
+  const tokenRegex = /\((?:\\[\s\S]|[^\\)])*\)|<[0-9a-fA-F\s]*>|\[|\]|-?\d*\.?\d+|\/[^\s/[\]()<>]+|[A-Za-z'"*]+/g;
+  let inText = false;
+  let pending = [];
+  let inArray = false;
+  let lastName = null;
+  let cmap = null;
+  let token;
+
+  while ((token = tokenRegex.exec(content)) !== null) {
+    const t = token[0];
+    if (t.startsWith('/')) {
+      lastName = t.slice(1);
+      continue;
+    }
+    if (t === 'Tf') {
+      // Each font maps its codes through its own ToUnicode CMap
+      cmap = lastName ? fontCmap(lastName) : null;
+      continue;
+    }
+    if (t === 'Do' && !inText && formText && lastName) {
+      parts.push(formText(lastName), '\n');
+      continue;
+    }
+    if (t === 'BT') {
+      inText = true;
+      continue;
+    }
+    if (t === 'ET') {
+      inText = false;
+      parts.push('\n');
+      continue;
+    }
+    if (!inText) continue;
+
+    if (t === '[') {
+      inArray = true;
+      pending = [];
+    } else if (t === ']') {
+      inArray = false;
+    } else if (t.startsWith('(') || t.startsWith('<')) {
+      pending.push(decodeString(t, cmap));
+    } else if (inArray && /^-?\d*\.?\d+$/.test(t)) {
+      // Large negative kerning inside TJ arrays is a word gap
+      if (parseFloat(t) < -200) pending.push(' ');
+    } else if (t === 'Tj' || t === 'TJ') {
+      parts.push(pending.join(''));
+      pending = [];
+    } else if (t === "'" || t === '"') {
+      parts.push('\n', pending.join(''));
+      pending = [];
+    } else if (t === 'Td' || t === 'TD' || t === 'T*' || t === 'Tm') {
+      parts.push(' ');
+    }
+  }
+
+  return parts.join('');
+}
+
+/**
+ * Extract the text of every page, in page-tree order, decoding each font
+ * through its own ToUnicode CMap
+ * @param {Map} objects - From readObjects()
+ * @returns {Array<string>|null} Text per page, or null when the page tree cannot be read
+ */
+function pageTexts(objects) {
+  const catalog = [...objects.values()].find(obj => /\/Type\s*\/Catalog\b/.test(obj.dict));
+  const root = catalog ? refNumber(dictValue(catalog.dict, 'Pages')) : null;
+  if (root === null) return null;
+
+  const cmaps = new Map();
+  const cmapForFont = fontRef => {
+    const number = refNumber(fontRef);
+    if (number !== null && cmaps.has(number)) return cmaps.get(number);
+    const font = resolveDict(objects, fontRef);
+    const toUnicode = objects.get(refNumber(dictValue(font, 'ToUnicode')));
+    let cmap = toUnicode && toUnicode.data ? parseToUnicode(toUnicode.data) : null;
+    if (!cmap && /\/Subtype\s*\/Type0\b/.test(font || '')) cmap = UNMAPPED;
+    if (number !== null) cmaps.set(number, cmap);
+    return cmap;
+  };
+  const resourceEntry = (resources, kind, name) => {
+    const entries = resolveDict(objects, dictValue(resolveDict(objects, resources), kind));
+    return entries ? dictValue(entries, name) : null;
+  };
+
+  const contentText = (content, resources, depth) => textFromContent(
+    content,
+    name => {
+      const font = resourceEntry(resources, 'Font', name);
+      return font ? cmapForFont(font) : null;
+    },
+    name => {
+      const form = objects.get(refNumber(resourceEntry(resources, 'XObject', name)));
+      if (!form || !form.data || depth >= 5 || !/\/Subtype\s*\/Form\b/.test(form.dict)) return '';
+      return contentText(form.data, dictValue(form.dict, 'Resources') || resources, depth + 1);
+    }
+  );
+
+  const texts = [];
+  const visited = new Set();
+  const walk = (number, inherited) => {
+    const node = objects.get(number);
+    if (!node || visited.has(number)) return;
+    visited.add(number);
+    const resources = dictValue(node.dict, 'Resources') || inherited;
+    const kids = dictValue(node.dict, 'Kids');
+    if (kids) {
+      (kids.match(/\d+\s+\d+\s+R/g) || []).forEach(kid => walk(refNumber(kid), resources));
+      return;
+    }
+    const contents = dictValue(node.dict, 'Contents') || '';
+    const content = (contents.match(/\d+\s+\d+\s+R/g) || [])
+      .map(ref => objects.get(refNumber(ref)))
+      .filter(obj => obj && obj.data)
+      .map(obj => obj.data)
+      .join('\n');
+    texts.push(contentText(content, resources, 0));
+  };
+  walk(root, null);
+
+  return texts.length > 0 ? texts : null;
+}
+
+function decodeInfoString(raw) {
+  if (raw.startsWith('<')) {
+    const hex = raw.slice(1, -1).replace(/\s+/g, '');
+    const bytes = Buffer.from(hex, 'hex');
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) return bytes.subarray(2).swap16().toString('utf16le');
+    return bytes.toString('latin1');
+  }
+  const text = decodeLiteralString(raw.slice(1, -1));
+  if (text.charCodeAt(0) === 0xfe && text.charCodeAt(1) === 0xff) {
+    return Buffer.from(text.slice(2), 'latin1').swap16().toString('utf16le');
+  }
+  return text;
+}
+
+/**
+ * Extract title, text and page count from a PDF
+ * @param {Buffer} buffer - Raw PDF bytes
+ * @returns {{title: string, text: string, page_count: number}}
+ */
+function extractPdfText(buffer) {
+  const latin = buffer.toString('latin1');
+  const streams = readStreams(buffer);
+
+  // Without a readable page tree, every text stream is read with fonts left undecoded
+  const texts = pageTexts(readObjects(buffer)) || streams
+    .filter(s => !/\/Subtype\s*\/Image|\/Type\s*\/XRef|\/Type\s*\/ObjStm|\/Length1|beginbfchar|beginbfrange/.test(s.dict + s.data.slice(0, 200)))
+    .filter(s => /\bBT\b/.test(s.data))
+    .map(s => textFromContent(s.data, () => null));
+
+  const text = texts
+    .join('\n')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+
+  // Title from the Info dictionary, wherever it lives (plain or object stream)
+  const searchable = latin + streams.map(s => s.data).join('\n');
+  const titleMatch = searchable.match(/\/Title\s*(\((?:\\[\s\S]|[^\\)])*\)|<[0-9a-fA-F\s]*>)/);
+  const xmpTitle = searchable.match(/<dc:title>[\s\S]*?<rdf:li[^>]*>([^<]*)<\/rdf:li>/);
+  let title = titleMatch ? decodeInfoString(titleMatch[1]).trim() : '';
+  if (!title && xmpTitle) title = xmpTitle[1].trim();
+  if (!title) title = (text.split('\n').find(line => line.trim().length > 0) || '').trim().slice(0, 200);
+
+  const pageCount = (searchable.match(/\/Type\s*\/Page(?!s)\b/g) || []).length;
+
+  return { title, text, page_count: pageCount };
+}
+
+module.exports = {
+  extractPdfText,
+  parseToUnicode
+};
@@ -0,0 +1,189 @@
+/**
+ * Page Performance Module
+ * Delivery metrics recorded during the crawl (timing, transfer size,
+ * compression, caching headers, HTTP version, render-blocking resources)
+ * and the budgets health checks hold them to
+ */
+
+const net = require('net');
+const tls = require('tls');
+
+// AI crawlers fetch with short timeouts and size caps, so budgets are strict
+const DEFAULT_PERFORMANCE_BUDGETS = {
+  max_ttfb_ms: 800,
+  max_download_ms: 3000,
+  max_transfer_bytes: 500 * 1024,
+  max_html_bytes: 1024 * 1024,
+  max_render_blocking: 5
+};
+
+// Bodies smaller than this gain little from compression
+const MIN_COMPRESSIBLE_BYTES = 1024;
+const ALPN_TIMEOUT_MS = 5000;
+
+/**
+ * Count stylesheets and synchronous scripts in <head> that block first render
+ * @param {Function} $ - Cheerio document
+ * @returns {Object} { stylesheets, scripts, total }
+ */
+function countRenderBlocking($) {
+  const stylesheets = $('head link[rel~="stylesheet"][href]').filter((_, el) => {
+    const media = ($(el).attr('media') || 'all').trim().toLowerCase();
+    return !$(el).is('[disabled]') && (media === 'all' || media === 'screen' || media === '');
+  }).length;
+  const scripts = $('head script[src]').filter((_, el) => {
+    const type = ($(el).attr('type') || '').toLowerCase();
+    return !$(el).is('[async], [defer]') && type !== 'module';
+  }).length;
+  return { stylesheets, scripts, total: stylesheets + scripts };
+}
+
+/**
+ * Ask the server which HTTP version it negotiates over TLS (ALPN). fetch()
+ * does not report the protocol it used, so this probes each host once.
+ * @param {string} url - Any URL on the host
+ * @returns {Promise<string|null>} "HTTP/2", "HTTP/1.1" or null when the probe fails
+ */
+function negotiateHttpVersion(url) {
+  const { protocol, hostname, port } = new URL(url);
+  if (protocol !== 'https:') return Promise.resolve('HTTP/1.1');
+
+  return new Promise(resolve => {
+    const socket = tls.connect({
+      host: hostname,
+      port: port || 443,
+      // SNI must not carry an IP address
+      servername: net.isIP(hostname) ? undefined : hostname,
+      ALPNProtocols: ['h2', 'http/1.1']
+    }, () => {
+      resolve(socket.alpnProtocol === 'h2' ? 'HTTP/2' : 'HTTP/1.1');
+      socket.end();
+    });
+    socket.setTimeout(ALPN_TIMEOUT_MS, () => {
+      resolve(null);
+      socket.destroy();
+    });
+    socket.on('error', () => resolve(null));
+  });
+}
+
+/**
+ * Build a page's performance record
+ * @param {Object} options
+ * @param {Object} options.headers - Response headers (lowercased names)
+ * @param {Object} options.timing - { ttfb_ms } from the HTTP client, if it measures
+ * @param {number} options.downloadMs - Time spent reading the body (null when not downloaded)
+ * @param {number} options.decodedBytes - Body size after decompression (null when not downloaded)
+ * @param {string} options.httpVersion - Negotiated HTTP version of the host
+ * @param {Object} options.renderBlocking - countRenderBlocking() result for HTML pages
+ * @param {boolean} options.fromCache - The body came from the page cache after a 304
+ * @returns {Object} Performance metrics
+ */
+function buildPerformanceMetrics({ headers, timing, downloadMs = null, decodedBytes = null, httpVersion = null, renderBlocking = null, fromCache = false }) {
+  const encoding = (headers['content-encoding'] || '').trim().toLowerCase();
+  const declaredLength = headers['content-length'] ? parseInt(headers['content-length'], 10) : null;
+
+  // Content-Length is the size on the wire; without it only an uncompressed body's size is known
+  let transferBytes = declaredLength;
+  if (transferBytes === null && !encoding && decodedBytes !== null && !fromCache) transferBytes = decodedBytes;
+
+  const ttfb = timing ? timing.ttfb_ms : null;
+  return {
+    ttfb_ms: ttfb,
+    download_ms: downloadMs,
+    total_ms: ttfb !== null && downloadMs !== null ? ttfb + downloadMs : ttfb,
+    transfer_bytes: fromCache ? null : transferBytes,
+    decoded_bytes: decodedBytes,
+    compression: encoding && encoding !== 'identity' ? encoding : null,
+    compression_ratio: encoding && transferBytes && decodedBytes ? Number((decodedBytes / transferBytes).toFixed(2)) : null,
+    from_cache: fromCache,
+    cache_control: headers['cache-control'] || null,
+    etag: headers.etag || null,
+    last_modified: headers['last-modified'] || null,
+    http_version: httpVersion,
+    http3_advertised: /\bh3(-\d+)?=/.test(headers['alt-svc'] || ''),
+    render_blocking: renderBlocking
+  };
+}
+
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1)];
+}
+
+/**
+ * Find pages over each performance budget
+ * @param {Array} pages - Snapshot pages (HTML, with performance records)
+ * @param {Object} budgets - Budgets (defaults filled in)
+ * @returns {Object} Budget name -> [{ url, value }]
+ */
+function findBudgetViolations(pages, budgets) {
+  const checks = {
+    max_ttfb_ms: p => p.performance.ttfb_ms,
+    max_download_ms: p => p.performance.download_ms,
+    max_transfer_bytes: p => p.performance.transfer_bytes,
+    max_html_bytes: p => p.performance.decoded_bytes,
+    max_render_blocking: p => p.performance.render_blocking ? p.performance.render_blocking.total : null
+  };
+  const violations = {};
+  Object.entries(checks).forEach(([budget, metric]) => {
+    violations[budget] = pages
+      .map(p => ({ url: p.url, value: metric(p) }))
+      .filter(({ value }) => value !== null && value !== undefined && value > budgets[budget])
+      .sort((a, b) => b.value - a.value);
+  });
+  return violations;
+}
+
+/**
+ * Site-wide performance summary of the crawled HTML pages
+ * @param {Array} pages - Snapshot pages
+ * @param {Object} budgets - Budgets from customer.json (missing ones use the defaults)
+ * @returns {Object|null} Summary, or null when no page has performance data
+ */
+function summarizePerformance(pages, budgets = {}) {
+  const resolved = { ...DEFAULT_PERFORMANCE_BUDGETS, ...budgets };
+  const measured = pages.filter(p => p.performance && p.status_code === 200 && p.resource_type === 'html');
+  if (measured.length === 0) return null;
+
+  const values = field => measured.map(p => p.performance[field]).filter(v => v !== null && v !== undefined);
+  const ttfb = values('ttfb_ms');
+  const download = values('download_ms');
+  const transfer = values('transfer_bytes');
+  const decoded = values('decoded_bytes');
+  const compressible = measured.filter(p => (p.performance.decoded_bytes || 0) >= MIN_COMPRESSIBLE_BYTES && !p.performance.from_cache);
+
+  const httpVersions = {};
+  measured.forEach(p => {
+    const version = p.performance.http_version || 'unknown';
+    httpVersions[version] = (httpVersions[version] || 0) + 1;
+  });
+  const average = list => list.length > 0 ? Math.round(list.reduce((sum, v) => sum + v, 0) / list.length) : null;
+
+  return {
+    pages_measured: measured.length,
+    budgets: resolved,
+    ttfb_ms: { median: percentile(ttfb, 50), p90: percentile(ttfb, 90), max: ttfb.length > 0 ? Math.max(...ttfb) : null },
+    download_ms: { median: percentile(download, 50), p90: percentile(download, 90), max: download.length > 0 ? Math.max(...download) : null },
+    transfer_bytes: { average: average(transfer), max: transfer.length > 0 ? Math.max(...transfer) : null },
+    decoded_bytes: { average: average(decoded), max: decoded.length > 0 ? Math.max(...decoded) : null },
+    uncompressed_pages: compressible.filter(p => !p.performance.compression).map(p => p.url),
+    compression: [...new Set(measured.map(p => p.performance.compression).filter(Boolean))],
+    pages_without_cache_headers: measured
+      .filter(p => !p.performance.cache_control && !p.performance.etag && !p.performance.last_modified)
+      .map(p => p.url),
+    http_versions: httpVersions,
+    http3_advertised: measured.some(p => p.performance.http3_advertised),
+    render_blocking: { average: average(measured.map(p => p.performance.render_blocking ? p.performance.render_blocking.total : 0)) },
+    over_budget: findBudgetViolations(measured, resolved)
+  };
+}
+
+module.exports = {
+  DEFAULT_PERFORMANCE_BUDGETS,
+  countRenderBlocking,
+  negotiateHttpVersion,
+  buildPerformanceMetrics,
+  summarizePerformance
+};
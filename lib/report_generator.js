@@ -1,5 +1,7 @@
 const fs = require('fs');
 const path = require('path');
+const { incompleteSnapshotWarning } = require('./crawl_checkpoint');
+const { snippetHtml } = require('./schema_snippets');
 
 /**
  * Generate audit_report.md from analysis data
@@ -32,11 +34,25 @@ function generateAuditReport(workspaceDir = './') {
     healthChecks = healthChecks.summary;
   } catch (e) {}
   
+  let schemaSnippets = [];
+  let entityConflicts = [];
   try {
     citationReadiness = JSON.parse(fs.readFileSync(path.join(workspaceDir, 'data/citation_readiness.json'), 'utf8'));
+    schemaSnippets = (citationReadiness.issues || []).flatMap(issue => issue.snippets || []);
+    entityConflicts = (citationReadiness.issues || []).filter(issue => issue.type === 'inconsistent_brand_entity');
     citationReadiness = citationReadiness.summary;
   } catch (e) {}
   
+  let competitorGap = null;
+  try {
+    competitorGap = JSON.parse(fs.readFileSync(path.join(workspaceDir, 'data/competitor_gap.json'), 'utf8'));
+  } catch (e) {}
+  
+  let schemaValidation = null;
+  try {
+    schemaValidation = JSON.parse(fs.readFileSync(path.join(workspaceDir, 'data/schema_validation.json'), 'utf8'));
+  } catch (e) {}
+  
   // Build the report
   const lines = [];
   
@@ -48,6 +64,12 @@ function generateAuditReport(workspaceDir = './') {
   lines.push(`**Generated:** ${new Date().toISOString()}`);
   lines.push('');
   
+  const incompleteWarning = siteSnapshot && incompleteSnapshotWarning(siteSnapshot);
+  if (incompleteWarning) {
+    lines.push(`> **Warning:** ${incompleteWarning}`);
+    lines.push('');
+  }
+  
   // Executive Summary
   lines.push(`## Executive Summary`);
   lines.push('');
@@ -80,9 +102,148 @@ function generateAuditReport(workspaceDir = './') {
   if (contentCoverage) lines.push(`| Content Coverage | ${contentCoverage.score}/100 |`);
   if (healthChecks) lines.push(`| Crawl Health | ${healthChecks.score}/100 |`);
   if (citationReadiness) lines.push(`| Citation Readiness | ${citationReadiness.score}/100 |`);
+  if (schemaValidation && schemaValidation.quality_score !== null) lines.push(`| Structured Data Quality | ${schemaValidation.quality_score}/100 |`);
   lines.push(`| **Overall** | **${issues.summary.score}/100** |`);
   lines.push('');
   
+  // Link Structure
+  const linkGraph = siteSnapshot && siteSnapshot.link_graph;
+  if (linkGraph && (linkGraph.too_deep_pages.length > 0 || linkGraph.orphan_pages.length > 0)) {
+    lines.push(`## Link Structure`);
+    lines.push('');
+    if (linkGraph.too_deep_pages.length > 0) {
+      lines.push(`### Pages Too Deep to Discover (more than ${linkGraph.max_click_depth} clicks from the homepage)`);
+      lines.push('');
+      lines.push(`| Page | Click Depth | Internal PageRank |`);
+      lines.push(`|------|-------------|-------------------|`);
+      linkGraph.too_deep_pages.forEach(p => {
+        lines.push(`| ${p.url} | ${p.click_depth} | ${p.pagerank_score}/100 |`);
+      });
+      lines.push('');
+    }
+    if (linkGraph.orphan_pages.length > 0) {
+      lines.push(`### Orphan Pages (no internal links point to them)`);
+      lines.push('');
+      linkGraph.orphan_pages.forEach(p => {
+        lines.push(`- ${p.url}`);
+      });
+      lines.push('');
+    }
+    if ((linkGraph.unverified_orphan_pages || []).length > 0) {
+      lines.push(`${linkGraph.unverified_orphan_pages.length} more sitemap URL(s) had no links from crawled pages but were not crawled themselves, as the crawl stopped early or hit its page budget. Raise \`max_pages\` to check them.`);
+      lines.push('');
+    }
+  }
+  
+  // Performance
+  const performance = healthChecks && healthChecks.performance;
+  if (performance) {
+    const kb = bytes => bytes === null ? '-' : `${Math.round(bytes / 1024)} KB`;
+    const ms = value => value === null ? '-' : `${value} ms`;
+    const overBudget = budget => performance.over_budget[budget].length;
+    lines.push(`## Performance`);
+    lines.push('');
+    lines.push(`Measured on ${performance.pages_measured} HTML page(s) during the crawl.`);
+    lines.push('');
+    lines.push(`| Metric | Median | 90th Percentile | Worst | Budget | Pages Over Budget |`);
+    lines.push(`|--------|--------|-----------------|-------|--------|-------------------|`);
+    lines.push(`| Time to first byte | ${ms(performance.ttfb_ms.median)} | ${ms(performance.ttfb_ms.p90)} | ${ms(performance.ttfb_ms.max)} | ${performance.budgets.max_ttfb_ms} ms | ${overBudget('max_ttfb_ms')} |`);
+    lines.push(`| Download time | ${ms(performance.download_ms.median)} | ${ms(performance.download_ms.p90)} | ${ms(performance.download_ms.max)} | ${performance.budgets.max_download_ms} ms | ${overBudget('max_download_ms')} |`);
+    lines.push('');
+    lines.push(`| Delivery | Value |`);
+    lines.push(`|----------|-------|`);
+    lines.push(`| Average transfer size | ${kb(performance.transfer_bytes.average)} (largest ${kb(performance.transfer_bytes.max)}, ${overBudget('max_transfer_bytes')} over ${kb(performance.budgets.max_transfer_bytes)}) |`);
+    lines.push(`| Average HTML size | ${kb(performance.decoded_bytes.average)} (largest ${kb(performance.decoded_bytes.max)}, ${overBudget('max_html_bytes')} over ${kb(performance.budgets.max_html_bytes)}) |`);
+    lines.push(`| Compression | ${performance.compression.length > 0 ? performance.compression.join(', ') : 'none'} (${performance.uncompressed_pages.length} uncompressed page(s)) |`);
+    lines.push(`| HTTP versions | ${Object.entries(performance.http_versions).map(([v, n]) => `${v}: ${n}`).join(', ')}${performance.http3_advertised ? ' (HTTP/3 advertised)' : ''} |`);
+    lines.push(`| Pages without cache headers | ${performance.pages_without_cache_headers.length} |`);
+    lines.push(`| Render-blocking resources per page | ${performance.render_blocking.average} average (${overBudget('max_render_blocking')} page(s) over ${performance.budgets.max_render_blocking}) |`);
+    lines.push('');
+  }
+  
+  // Structured Data
+  if (schemaValidation && schemaValidation.pages.length > 0) {
+    lines.push(`## Structured Data`);
+    lines.push('');
+    lines.push(`**Quality Score:** ${schemaValidation.quality_score}/100 across ${schemaValidation.pages_validated} page(s) with structured data (${schemaValidation.pages_without_structured_data} page(s) have none)`);
+    lines.push('');
+    lines.push(`| Page | Types | Score | Errors | Warnings |`);
+    lines.push(`|------|-------|-------|--------|----------|`);
+    schemaValidation.pages.forEach(p => {
+      lines.push(`| ${p.url} | ${p.types.join(', ') || '-'} | ${p.score}/100 | ${p.errors} | ${p.warnings} |`);
+    });
+    lines.push('');
+    schemaValidation.pages.filter(p => p.errors > 0).forEach(p => {
+      lines.push(`### Errors on ${p.url}`);
+      lines.push('');
+      p.issues.filter(i => i.severity === 'error').forEach(issue => {
+        lines.push(`- \`${issue.path}\`: ${issue.message}`);
+      });
+      lines.push('');
+    });
+  }
+  
+  // Brand entities that disagree between pages
+  if (entityConflicts.length > 0) {
+    lines.push(`## Brand Entity Conflicts`);
+    lines.push('');
+    lines.push(`| Entity | Field | Severity | Conflict |`);
+    lines.push(`|--------|-------|----------|----------|`);
+    entityConflicts.forEach(conflict => {
+      lines.push(`| ${conflict.entity_type} | ${conflict.field} | ${conflict.severity} | ${conflict.message} |`);
+    });
+    lines.push('');
+  }
+  
+  // Drafted JSON-LD for missing schema
+  if (schemaSnippets.length > 0) {
+    lines.push(`## Structured Data Drafts`);
+    lines.push('');
+    lines.push(`Drafted from the crawl for schema the site is missing. Review each draft, then paste it into the page's \`<head>\`.`);
+    lines.push('');
+    schemaSnippets.forEach(snippet => {
+      lines.push(`### ${snippet.schema_type} for ${snippet.page}`);
+      lines.push('');
+      snippet.notes.forEach(note => {
+        lines.push(`> ${note}`);
+      });
+      if (snippet.notes.length > 0) lines.push('');
+      lines.push('```html');
+      lines.push(snippetHtml(snippet));
+      lines.push('```');
+      lines.push('');
+    });
+  }
+  
+  // Competitor Comparison
+  const analyzedCompetitors = competitorGap
+    ? competitorGap.competitors_analyzed.filter(c => c.status === 'analyzed')
+    : [];
+  if (analyzedCompetitors.length > 0) {
+    const ours = competitorGap.site_profile;
+    const yesNo = value => value ? 'Yes' : 'No';
+    lines.push(`## Competitor Comparison`);
+    lines.push('');
+    lines.push(`**Average Gap Score:** ${competitorGap.score}/100 (0 means level with or ahead of every competitor)`);
+    lines.push('');
+    lines.push(`| Site | Gap Score | Citation Readiness | Content Coverage | Crawl Health | Schema Types | FAQ | HowTo |`);
+    lines.push(`|------|-----------|--------------------|------------------|--------------|--------------|-----|-------|`);
+    lines.push(`| **${customer.domain}** | - | ${ours.scores.citation_readiness} | ${ours.scores.content_coverage} | ${ours.scores.crawl_health ?? '-'} | ${ours.schema_types.length} | ${yesNo(ours.has_faq)} | ${yesNo(ours.has_howto)} |`);
+    analyzedCompetitors.forEach(c => {
+      const p = c.profile;
+      lines.push(`| ${c.domain} | ${c.gap_score}/100 | ${p.scores.citation_readiness} | ${p.scores.content_coverage} | ${p.scores.crawl_health ?? '-'} | ${p.schema_types.length} | ${yesNo(p.has_faq)} | ${yesNo(p.has_howto)} |`);
+    });
+    lines.push('');
+    analyzedCompetitors.filter(c => c.gaps.length > 0).forEach(c => {
+      lines.push(`### Gaps vs ${c.domain}`);
+      lines.push('');
+      c.gaps.forEach(gap => {
+        lines.push(`- ${gap.message}`);
+      });
+      lines.push('');
+    });
+  }
+  
   // Issues by Category
   const categories = {};
   issues.issues.forEach(issue => {
@@ -0,0 +1,185 @@
+/**
+ * robots.txt Parsing Module
+ * Parses robots.txt groups and answers per-bot access questions (RFC 9309)
+ */
+
+// AI and search crawlers whose access we report on for every page
+const AI_BOTS = [
+  'GPTBot',
+  'OAI-SearchBot',
+  'ChatGPT-User',
+  'ClaudeBot',
+  'PerplexityBot',
+  'Google-Extended',
+  'CCBot',
+  'Bingbot'
+];
+
+/**
+ * Parse robots.txt content into user-agent groups and sitemap lines
+ * @param {string} text - Raw robots.txt body
+ * @returns {Object} { groups: [{ user_agents, rules, crawl_delay }], sitemaps }
+ */
+function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r\n|\r|\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const sep = line.indexOf(':');
+    if (sep === -1) continue;
+
+    const key = line.slice(0, sep).trim().toLowerCase();
+    const value = line.slice(sep + 1).trim();
+
+    if (key === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { user_agents: [], rules: [], crawl_delay: null };
+        groups.push(current);
+      }
+      current.user_agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+
+    if (key === 'sitemap') {
+      if (value) sitemaps.push(value);
+    } else if (!current) {
+      // Rules before any user-agent line belong to no group
+      continue;
+    } else if (key === 'allow' || key === 'disallow') {
+      // An empty Disallow means "allow everything" and adds no rule
+      if (value) current.rules.push({ type: key, path: value });
+    } else if (key === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!isNaN(delay) && delay >= 0) current.crawl_delay = delay;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Collect the rules that apply to a user agent. Groups naming the bot's
+ * product token win over the `*` group; matching groups are merged.
+ * @param {Object} robots - Parsed robots.txt
+ * @param {string} userAgent - Product token, e.g. "GPTBot"
+ * @returns {Object} { rules, crawl_delay, matched_agent }
+ */
+function findGroup(robots, userAgent) {
+  const token = userAgent.toLowerCase().split('/')[0];
+  let matched = robots.groups.filter(g => g.user_agents.includes(token));
+  let matchedAgent = token;
+
+  if (matched.length === 0) {
+    matched = robots.groups.filter(g => g.user_agents.includes('*'));
+    matchedAgent = matched.length > 0 ? '*' : null;
+  }
+
+  const delays = matched.map(g => g.crawl_delay).filter(d => d !== null);
+
+  return {
+    rules: matched.flatMap(g => g.rules),
+    crawl_delay: delays.length > 0 ? Math.max(...delays) : null,
+    matched_agent: matchedAgent
+  };
+}
+
+/**
+ * Turn a robots.txt path pattern into a RegExp (supports `*` and `$`)
+ */
+function patternToRegex(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const escaped = body
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp('^' + escaped + (anchored ? '$' : ''));
+}
+
+/**
+ * Decide whether a user agent may fetch a URL. The longest matching rule
+ * wins; on a tie Allow wins.
+ * @param {Object} robots - Parsed robots.txt, or null when none exists
+ * @param {string} userAgent - Product token, e.g. "GPTBot"
+ * @param {string} url - Absolute URL to check
+ * @returns {{allowed: boolean, rule: Object|null, matched_agent: string|null}}
+ */
+function isAllowed(robots, userAgent, url) {
+  if (!robots) return { allowed: true, rule: null, matched_agent: null };
+
+  const parsed = new URL(url);
+  const target = parsed.pathname + parsed.search;
+
+  // robots.txt itself is always fetchable
+  if (parsed.pathname === '/robots.txt') {
+    return { allowed: true, rule: null, matched_agent: null };
+  }
+
+  const group = findGroup(robots, userAgent);
+  let best = null;
+
+  for (const rule of group.rules) {
+    if (!patternToRegex(rule.path).test(target)) continue;
+    if (!best ||
+        rule.path.length > best.path.length ||
+        (rule.path.length === best.path.length && rule.type === 'allow')) {
+      best = rule;
+    }
+  }
+
+  return {
+    allowed: !best || best.type === 'allow',
+    rule: best,
+    matched_agent: group.matched_agent
+  };
+}
+
+/**
+ * Build the per-bot access map for one URL
+ * @param {Object} robotsTxt - Snapshot robots_txt entry
+ * @param {string} url - Absolute URL to check
+ * @param {Array} bots - Bot product tokens to check
+ * @returns {Object} Map of bot name to boolean
+ */
+function botAccessForUrl(robotsTxt, url, bots = AI_BOTS) {
+  const access = {};
+  for (const bot of bots) {
+    if (robotsTxt && robotsTxt.unreachable) {
+      // RFC 9309: an unreachable robots.txt (5xx) means full disallow
+      access[bot] = false;
+    } else {
+      const robots = robotsTxt && robotsTxt.exists ? robotsTxt : null;
+      access[bot] = isAllowed(robots, bot, url).allowed;
+    }
+  }
+  return access;
+}
+
+/**
+ * Summarise rules of the `*` group as plain directive strings
+ * @param {Object} robots - Parsed robots.txt
+ * @returns {{allow: Array, disallow: Array}}
+ */
+function wildcardDirectives(robots) {
+  const group = findGroup(robots, '*');
+  return {
+    allow: group.rules.filter(r => r.type === 'allow').map(r => r.path),
+    disallow: group.rules.filter(r => r.type === 'disallow').map(r => r.path)
+  };
+}
+
+module.exports = {
+  AI_BOTS,
+  parseRobotsTxt,
+  findGroup,
+  isAllowed,
+  botAccessForUrl,
+  wildcardDirectives
+};
@@ -0,0 +1,458 @@
+/**
+ * Structured Data Entity Model
+ * One normalized view of a page's structured data, shared by every module.
+ * JSON-LD (@graph, arrays, nested objects, multi-valued @type, @id
+ * references), microdata (itemprop, nested itemscope, itemref) and RDFa Lite
+ * (vocab, typeof, property, resource, prefix) are flattened into a single
+ * entity list:
+ *
+ *   { types, id, source, path, parent, property, properties }
+ *
+ * - types: Schema.org type names ("Organization"); other vocabularies keep their full IRI
+ * - source: "json-ld", "microdata" or "rdfa"
+ * - path: where the entity was found, e.g. $[0]["@graph"][2].author or microdata[1].offers
+ * - parent/property: index of the entity it is nested in and the property holding it
+ * - properties: property name -> array of values; nested entities are { "@entity": index },
+ *   unresolved @id references are { "@id": iri }
+ */
+
+const { extractJsonLd, resolveUrl, documentBase } = require('./html_extractor');
+const { typeAncestors } = require('./schema_vocabulary');
+
+const SCHEMA_ORG_PREFIX = /^(https?:\/\/schema\.org\/|schema:)/i;
+
+// Organization and its common subtypes
+const ORGANIZATION_TYPES = new Set([
+  'Organization', 'Corporation', 'LocalBusiness', 'OnlineBusiness', 'OnlineStore',
+  'NGO', 'EducationalOrganization', 'GovernmentOrganization', 'MedicalOrganization',
+  'NewsMediaOrganization', 'SportsOrganization', 'Store', 'ProfessionalService',
+  'Restaurant', 'Airline', 'Consortium', 'FundingScheme', 'LibrarySystem'
+]);
+
+/**
+ * Short name of a type: Schema.org IRIs lose their prefix, other IRIs are kept
+ * @param {string} type - Type as written in the markup
+ * @returns {string}
+ */
+function normalizeType(type) {
+  const value = String(type).trim();
+  return SCHEMA_ORG_PREFIX.test(value) ? value.replace(SCHEMA_ORG_PREFIX, '').replace(/\/$/, '') : value;
+}
+
+function normalizeProperty(name) {
+  return String(name).replace(SCHEMA_ORG_PREFIX, '');
+}
+
+/**
+ * Append a key or index to a JSON path
+ * @param {string} base - Path so far, e.g. $[0]
+ * @param {string|number} key - Property name or array index
+ * @returns {string} e.g. $[0].author, $[0]["@graph"] or $[0].step[2]
+ */
+function jsonPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${base}.${key}` : `${base}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Builds the flat entity list, merging nodes that share an @id
+ */
+function createEntityList() {
+  const entities = [];
+  const byId = new Map();
+
+  function add(entity) {
+    if (entity.id && byId.has(entity.id)) {
+      const index = byId.get(entity.id);
+      const existing = entities[index];
+      entity.types.forEach(t => {
+        if (!existing.types.includes(t)) existing.types.push(t);
+      });
+      if (existing.parent === null && entity.parent !== null) {
+        existing.parent = entity.parent;
+        existing.property = entity.property;
+      }
+      return index;
+    }
+    entities.push(entity);
+    if (entity.id) byId.set(entity.id, entities.length - 1);
+    return entities.length - 1;
+  }
+
+  function addValue(index, property, value) {
+    const properties = entities[index].properties;
+    if (!properties[property]) properties[property] = [];
+    const serialized = JSON.stringify(value);
+    if (!properties[property].some(v => JSON.stringify(v) === serialized)) properties[property].push(value);
+  }
+
+  // @id references become entity links once every node is known
+  function resolveReferences() {
+    entities.forEach(entity => {
+      Object.values(entity.properties).forEach(values => {
+        values.forEach((value, i) => {
+          if (value && typeof value === 'object' && value['@id'] && byId.has(value['@id'])) {
+            values[i] = { '@entity': byId.get(value['@id']) };
+          }
+        });
+      });
+    });
+    return entities;
+  }
+
+  return { entities, add, addValue, resolveReferences };
+}
+
+/**
+ * Flatten parsed JSON-LD blocks into entities
+ * @param {Array} blocks - Parsed JSON-LD (one item per <script> block)
+ * @param {Object} list - Entity list to add to (a new one when omitted)
+ * @returns {Array} Entities
+ */
+function normalizeJsonLd(blocks, list = null) {
+  const target = list || createEntityList();
+
+  function visitNode(node, pathName, parent, property) {
+    const index = target.add({
+      types: [].concat(node['@type'] || []).map(normalizeType),
+      id: typeof node['@id'] === 'string' ? node['@id'] : null,
+      source: 'json-ld',
+      path: pathName,
+      parent,
+      property,
+      properties: {}
+    });
+
+    Object.entries(node).forEach(([key, raw]) => {
+      if (key.startsWith('@')) {
+        if (key === '@graph') visitTop(raw, jsonPath(pathName, key));
+        return;
+      }
+      const name = normalizeProperty(key);
+      eachValue(raw, jsonPath(pathName, key), (value, valuePath) => {
+        const normalized = normalizeValue(value, valuePath, index, name);
+        if (normalized !== undefined) target.addValue(index, name, normalized);
+      });
+    });
+    return index;
+  }
+
+  // Arrays, @list and @set all just hold several values
+  function eachValue(raw, valuePath, callback) {
+    if (Array.isArray(raw)) {
+      raw.forEach((item, i) => eachValue(item, jsonPath(valuePath, i), callback));
+    } else if (raw && typeof raw === 'object' && ('@list' in raw || '@set' in raw)) {
+      const key = '@list' in raw ? '@list' : '@set';
+      eachValue(raw[key], jsonPath(valuePath, key), callback);
+    } else {
+      callback(raw, valuePath);
+    }
+  }
+
+  function normalizeValue(value, valuePath, parent, property) {
+    if (value === null || value === undefined) return undefined;
+    if (typeof value !== 'object') return value;
+    if ('@value' in value) return value['@value'];
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === '@id') return { '@id': value['@id'] };
+    return { '@entity': visitNode(value, valuePath, parent, property) };
+  }
+
+  // Top-level blocks, @graph members and arrays of nodes
+  function visitTop(value, pathName) {
+    if (Array.isArray(value)) {
+      value.forEach((item, i) => visitTop(item, jsonPath(pathName, i)));
+      return;
+    }
+    if (!value || typeof value !== 'object') return;
+    // A bare @graph wrapper is a container, not an entity
+    const keys = Object.keys(value).filter(k => k !== '@context');
+    if (value['@graph'] && keys.length === 1) {
+      visitTop(value['@graph'], jsonPath(pathName, '@graph'));
+      return;
+    }
+    visitNode(value, pathName, null, null);
+  }
+
+  blocks.forEach((block, i) => visitTop(block, `$[${i}]`));
+  return list ? target.entities : target.resolveReferences();
+}
+
+/**
+ * Add microdata or RDFa items to an entity list. Items are
+ * { types, id, properties: { name: [value | item] } } trees.
+ */
+function addItems(list, items, source) {
+  function visit(item, pathName, parent, property) {
+    const index = list.add({
+      types: item.types.map(normalizeType),
+      id: item.id || null,
+      source,
+      path: pathName,
+      parent,
+      property,
+      properties: {}
+    });
+    Object.entries(item.properties || {}).forEach(([key, values]) => {
+      const name = normalizeProperty(key);
+      values.forEach((value, i) => {
+        const valuePath = values.length > 1 ? `${pathName}.${name}[${i}]` : `${pathName}.${name}`;
+        list.addValue(index, name, value && typeof value === 'object'
+          ? { '@entity': visit(value, valuePath, index, name) }
+          : value);
+      });
+    });
+    return index;
+  }
+  items.forEach((item, i) => visit(item, `${source}[${i}]`, null, null));
+}
+
+function tokens(value) {
+  return (value || '').trim().split(/\s+/).filter(Boolean);
+}
+
+function elementChildren(el) {
+  return (el.children || []).filter(child => child.attribs);
+}
+
+function elementText($, el) {
+  return $(el).text().replace(/\s+/g, ' ').trim();
+}
+
+// Elements whose microdata/RDFa value is a URL attribute rather than their text
+const URL_VALUE_ATTRIBUTES = {
+  a: 'href', area: 'href', link: 'href',
+  audio: 'src', embed: 'src', iframe: 'src', img: 'src', source: 'src', track: 'src', video: 'src',
+  object: 'data'
+};
+
+function urlValue(value, base) {
+  const trimmed = value.trim();
+  return base ? (resolveUrl(trimmed, base) || trimmed) : trimmed;
+}
+
+/**
+ * Value of an itemprop element (HTML microdata rules, plus the widely used
+ * content attribute on any element)
+ */
+function microdataValue($, el, base) {
+  const attribs = el.attribs;
+  if (attribs.content !== undefined) return attribs.content.trim();
+  const urlAttribute = URL_VALUE_ATTRIBUTES[el.name];
+  if (urlAttribute) return attribs[urlAttribute] !== undefined ? urlValue(attribs[urlAttribute], base) : '';
+  if ((el.name === 'data' || el.name === 'meter') && attribs.value !== undefined) return attribs.value.trim();
+  if (el.name === 'time' && attribs.datetime !== undefined) return attribs.datetime.trim();
+  return elementText($, el);
+}
+
+/**
+ * Microdata items on the page: every itemscope element that is not itself a
+ * property, with its properties, nested items and itemref'd elements
+ * @param {Function} $ - Cheerio root
+ * @param {string} base - Base URL for URL-valued properties
+ * @returns {Array} Items
+ */
+function extractMicrodata($, base = null) {
+  let elementsById = null;
+  const findById = id => {
+    if (!elementsById) {
+      elementsById = new Map();
+      $('[id]').each((_, el) => {
+        if (!elementsById.has(el.attribs.id)) elementsById.set(el.attribs.id, el);
+      });
+    }
+    return elementsById.get(id);
+  };
+
+  // ancestors holds the items being read, so itemref loops end
+  function readItem(root, ancestors) {
+    const item = { types: tokens(root.attribs.itemtype), id: root.attribs.itemid || null, properties: {} };
+    const inside = new Set([...ancestors, root]);
+    const visited = new Set();
+
+    const visit = el => {
+      if (visited.has(el)) return;
+      visited.add(el);
+      const names = tokens(el.attribs.itemprop);
+      const scoped = el.attribs.itemscope !== undefined;
+
+      if (names.length > 0 && !(scoped && inside.has(el))) {
+        const value = scoped ? readItem(el, inside) : microdataValue($, el, base);
+        names.forEach(name => {
+          if (!item.properties[name]) item.properties[name] = [];
+          item.properties[name].push(value);
+        });
+      }
+      // A nested itemscope owns everything below it
+      if (!scoped) elementChildren(el).forEach(visit);
+    };
+
+    elementChildren(root).forEach(visit);
+    tokens(root.attribs.itemref).map(findById).filter(el => el && el !== root).forEach(visit);
+    return item;
+  }
+
+  return $('[itemscope]').toArray()
+    .filter(el => el.attribs.itemprop === undefined)
+    .map(el => readItem(el, new Set()));
+}
+
+// Prefixes RDFa documents may use without declaring them
+const RDFA_INITIAL_PREFIXES = {
+  schema: 'http://schema.org/',
+  og: 'http://ogp.me/ns#',
+  dc: 'http://purl.org/dc/terms/',
+  foaf: 'http://xmlns.com/foaf/0.1/'
+};
+
+/**
+ * Expand an RDFa Lite term, CURIE or IRI using the vocab and prefix
+ * attributes in scope of an element
+ */
+function expandRdfaTerm($, el, term) {
+  if (/^[a-z][\w+.-]*:\/\//i.test(term)) return term;
+  const curie = term.match(/^([\w-]*):(.*)$/);
+  if (curie) {
+    let namespace = null;
+    $(el).parents().addBack().toArray().reverse().some(node => {
+      const declared = (node.attribs.prefix || '').match(new RegExp(`(^|\\s)${curie[1]}:\\s+(\\S+)`));
+      if (declared) namespace = declared[2];
+      return Boolean(declared);
+    });
+    namespace = namespace || RDFA_INITIAL_PREFIXES[curie[1]];
+    return namespace ? namespace + curie[2] : term;
+  }
+  const vocab = $(el).closest('[vocab]').attr('vocab');
+  return vocab ? vocab + term : term;
+}
+
+function rdfaValue($, el, base) {
+  const attribs = el.attribs;
+  if (attribs.content !== undefined) return attribs.content.trim();
+  if (attribs.resource !== undefined) return urlValue(attribs.resource, base);
+  if (attribs.href !== undefined) return urlValue(attribs.href, base);
+  if (attribs.src !== undefined) return urlValue(attribs.src, base);
+  if (el.name === 'time' && attribs.datetime !== undefined) return attribs.datetime.trim();
+  return elementText($, el);
+}
+
+/**
+ * RDFa Lite nodes on the page (vocab, typeof, property, resource, prefix):
+ * every typeof element that is not itself a property, with its properties
+ * and nested nodes
+ * @param {Function} $ - Cheerio root
+ * @param {string} base - Base URL for resource, href and src values
+ * @returns {Array} Items
+ */
+function extractRdfa($, base = null) {
+  function readNode(root) {
+    const id = root.attribs.resource || root.attribs.about;
+    const node = {
+      types: tokens(root.attribs.typeof).map(t => expandRdfaTerm($, root, t)),
+      id: id ? urlValue(id, base) : null,
+      properties: {}
+    };
+
+    const visit = el => {
+      const names = tokens(el.attribs.property).map(p => expandRdfaTerm($, el, p));
+      const typed = el.attribs.typeof !== undefined;
+      if (names.length > 0) {
+        const value = typed ? readNode(el) : rdfaValue($, el, base);
+        names.forEach(name => {
+          if (!node.properties[name]) node.properties[name] = [];
+          node.properties[name].push(value);
+        });
+      }
+      // A typeof element starts a node of its own
+      if (!typed) elementChildren(el).forEach(visit);
+    };
+
+    elementChildren(root).forEach(visit);
+    return node;
+  }
+
+  return $('[typeof]').toArray()
+    .filter(el => el.attribs.property === undefined)
+    .map(readNode);
+}
+
+/**
+ * Extract every structured-data entity on a page
+ * @param {Function} $ - Cheerio root
+ * @param {string} pageUrl - Page URL, for resolving URL-valued microdata and RDFa properties
+ * @returns {{entities: Array, errors: Array}} Entities and JSON-LD parse errors
+ */
+function extractEntities($, pageUrl = null) {
+  const jsonLd = extractJsonLd($);
+  const base = pageUrl ? documentBase($, pageUrl) : null;
+  const list = createEntityList();
+  normalizeJsonLd(jsonLd.items, list);
+  addItems(list, extractMicrodata($, base), 'microdata');
+  addItems(list, extractRdfa($, base), 'rdfa');
+  return { entities: list.resolveReferences(), errors: jsonLd.errors };
+}
+
+function isEntityList(entries) {
+  return entries.every(e => e && Array.isArray(e.types) && typeof e.source === 'string' && e.properties);
+}
+
+/**
+ * A snapshot page's entities. Snapshots written before the entity model
+ * stored raw JSON-LD (crawler) or { type, schema, data } entries
+ * (structured_data.js); both are normalized on the fly.
+ * @param {Object} page - Snapshot page
+ * @returns {Array} Entities
+ */
+function pageEntities(page) {
+  const entries = page.structured_data || [];
+  if (isEntityList(entries)) return entries;
+
+  const legacy = entries.filter(e => e && e.type && e.schema && e.data);
+  if (legacy.length === 0) return normalizeJsonLd(entries);
+
+  const list = createEntityList();
+  normalizeJsonLd(legacy.filter(e => e.type === 'json-ld').map(e => e.data), list);
+  addItems(list, legacy.filter(e => e.type === 'microdata').map(e => ({ types: [e.schema], properties: {} })), 'microdata');
+  return list.resolveReferences();
+}
+
+/**
+ * Every type used by a set of entities
+ * @param {Array} entities - Entities
+ * @returns {Set} Type names
+ */
+function entityTypes(entities) {
+  return new Set(entities.flatMap(e => e.types));
+}
+
+/**
+ * Whether an entity is of a type or one of its subtypes (BlogPosting is an Article)
+ * @param {Object} entity - Entity
+ * @param {string} type - Type name
+ * @returns {boolean}
+ */
+function hasType(entity, type) {
+  if (type === 'Organization' && entity.types.some(t => ORGANIZATION_TYPES.has(t))) return true;
+  return entity.types.some(t => t === type || typeAncestors(t).includes(type));
+}
+
+/**
+ * Whether an entity uses the Schema.org vocabulary
+ * @param {Object} entity - Entity
+ * @returns {boolean}
+ */
+function isSchemaOrg(entity) {
+  return entity.types.some(t => !/[:/]/.test(t));
+}
+
+module.exports = {
+  ORGANIZATION_TYPES,
+  normalizeType,
+  normalizeJsonLd,
+  jsonPath,
+  extractEntities,
+  pageEntities,
+  entityTypes,
+  hasType,
+  isSchemaOrg
+};
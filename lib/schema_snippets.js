@@ -0,0 +1,338 @@
+/**
+ * JSON-LD Snippet Generator
+ * Drafts ready-to-paste JSON-LD for schema the site is missing, from crawled
+ * data and the customer config: Organization (name, logo, social profiles,
+ * contact details), FAQPage (question headings and the paragraphs after
+ * them), BreadcrumbList (URL paths) and Article (title, byline and dates).
+ * Drafts are attached to citation readiness issues and shown in the report.
+ */
+
+const { isAssetPage, isDocumentPage, classifyPageType } = require('./page_types');
+const { pageEntities, hasType } = require('./schema_entities');
+const { pageTitle } = require('./llms_generator');
+
+const MAX_FAQ_DRAFTS = 3;
+const MAX_BREADCRUMB_DRAFTS = 5;
+const MAX_ARTICLE_DRAFTS = 5;
+const MIN_FAQ_QUESTIONS = 2;
+
+// Hosts whose profile links belong in Organization.sameAs
+const SOCIAL_HOSTS = [
+  'twitter.com', 'x.com', 'linkedin.com', 'facebook.com', 'instagram.com', 'youtube.com',
+  'github.com', 'tiktok.com', 'pinterest.com', 'threads.net', 'bsky.app', 'mastodon.social',
+  'wikipedia.org', 'crunchbase.com'
+];
+
+// Share buttons link to these paths, not to the company's profile
+const SHARE_PATH_PATTERN = /^\/(share|sharer|intent|sharearticle|submit|home\?status)/i;
+
+const QUESTION_PATTERN = /^(what|how|why|when|where|who|which|can|could|do|does|did|is|are|should|will|would)\b/i;
+
+function contentPages(snapshot) {
+  return snapshot.pages.filter(p => p.status_code === 200 && !isAssetPage(p) && !isDocumentPage(p));
+}
+
+function findHomepage(snapshot) {
+  return contentPages(snapshot).find(p => classifyPageType(p) === 'homepage') || null;
+}
+
+function siteName(snapshot, customer) {
+  const homepage = findHomepage(snapshot);
+  return (customer.organization && customer.organization.name) || customer.brand_name || customer.business_name ||
+    (homepage && homepage.social_tags && homepage.social_tags.opengraph && homepage.social_tags.opengraph['og:site_name']) ||
+    new URL(snapshot.website_url).hostname.replace(/^www\./, '');
+}
+
+function hasSchemaType(page, type) {
+  return pageEntities(page).some(entity => hasType(entity, type));
+}
+
+function resolve(src, base) {
+  try {
+    return new URL(src, base).href;
+  } catch {
+    return null;
+  }
+}
+
+// Heading text if present, else the title without the brand suffix
+function pageName(page, name) {
+  return (page.h1 || [])[0] || pageTitle(page, name);
+}
+
+/**
+ * The site's logo: an image on the homepage whose file name, alt text or
+ * Open Graph tag says logo
+ */
+function findLogo(snapshot) {
+  const homepage = findHomepage(snapshot);
+  if (!homepage) return null;
+  const logo = (homepage.images || []).find(img => /logo/i.test(`${img.src} ${img.alt}`));
+  if (logo) return resolve(logo.src, homepage.url);
+  const ogLogo = homepage.social_tags && homepage.social_tags.opengraph && homepage.social_tags.opengraph['og:logo'];
+  return ogLogo ? resolve(ogLogo, homepage.url) : null;
+}
+
+/**
+ * Social profile links, one per network, preferring those on the homepage
+ */
+function findSocialProfiles(snapshot) {
+  const edges = (snapshot.link_graph && snapshot.link_graph.external_edges) || [];
+  const homepage = findHomepage(snapshot);
+  const ordered = homepage ? [...edges.filter(e => e.from === homepage.url), ...edges.filter(e => e.from !== homepage.url)] : edges;
+  const profiles = new Map();
+  ordered.forEach(edge => {
+    let url;
+    try {
+      url = new URL(edge.to);
+    } catch {
+      return;
+    }
+    const network = SOCIAL_HOSTS.find(h => url.hostname === h || url.hostname.endsWith(`.${h}`));
+    if (!network || profiles.has(network) || url.pathname.length <= 1 || SHARE_PATH_PATTERN.test(url.pathname)) return;
+    profiles.set(network, url.href);
+  });
+  return [...profiles.values()];
+}
+
+function findContactLink(snapshot, scheme) {
+  const link = ((snapshot.link_graph && snapshot.link_graph.contact_links) || []).find(l => l.scheme === scheme);
+  if (!link) return null;
+  let value;
+  try {
+    value = decodeURIComponent(link.href.replace(/^[a-z]+:/i, '').split('?')[0]).trim();
+  } catch {
+    return null;
+  }
+  return value || null;
+}
+
+/**
+ * Draft Organization markup for the homepage
+ * @param {Object} snapshot - Site snapshot
+ * @param {Object} customer - Customer config; organization holds overrides
+ * @returns {Object} Snippet { schema_type, page, json_ld, notes }
+ */
+function draftOrganization(snapshot, customer = {}) {
+  const config = customer.organization || {};
+  const homepage = findHomepage(snapshot);
+  const notes = [];
+
+  const logo = config.logo || findLogo(snapshot);
+  const sameAs = config.same_as || findSocialProfiles(snapshot);
+  const telephone = config.telephone || findContactLink(snapshot, 'tel');
+  const email = config.email || findContactLink(snapshot, 'mailto');
+
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'Organization',
+    '@id': `${new URL('/', snapshot.website_url).href}#organization`,
+    name: siteName(snapshot, customer),
+    url: new URL('/', snapshot.website_url).href
+  };
+  if (config.legal_name) jsonLd.legalName = config.legal_name;
+  const description = config.description || (homepage && homepage.meta_description);
+  if (description) jsonLd.description = description;
+  if (logo) jsonLd.logo = logo;
+  else notes.push('No logo found on the homepage - add the URL of a square logo image as "logo".');
+  if (sameAs.length > 0) jsonLd.sameAs = sameAs;
+  else notes.push('No social profile links found - list the company\'s profiles (LinkedIn, X, GitHub, ...) in "sameAs".');
+  if (telephone || email) {
+    jsonLd.contactPoint = { '@type': 'ContactPoint', contactType: 'customer support' };
+    if (telephone) jsonLd.contactPoint.telephone = telephone;
+    if (email) jsonLd.contactPoint.email = email;
+  }
+
+  return { schema_type: 'Organization', page: homepage ? homepage.url : snapshot.website_url, json_ld: jsonLd, notes };
+}
+
+function isQuestion(heading) {
+  return /\?\s*$/.test(heading) || QUESTION_PATTERN.test(heading);
+}
+
+/**
+ * Question headings (H2/H3) and the main-content paragraphs that follow them
+ * @param {Object} page - Snapshot page with main_content
+ * @returns {Array} [{ question, answer }]
+ */
+function extractQuestions(page) {
+  if (!page.main_content) return [];
+  const headings = new Set([...(page.h1 || []), ...(page.h2 || []), ...(page.h3 || [])]);
+  const questions = new Set([...(page.h2 || []), ...(page.h3 || [])].filter(isQuestion));
+  const pairs = [];
+  let current = null;
+
+  page.main_content.text.split(/\n\s*\n/).map(p => p.replace(/\s+/g, ' ').trim()).filter(Boolean).forEach(paragraph => {
+    if (headings.has(paragraph)) {
+      current = questions.has(paragraph) ? { question: paragraph, answer: [] } : null;
+      if (current) pairs.push(current);
+      return;
+    }
+    if (current) current.answer.push(paragraph);
+  });
+
+  return pairs
+    .filter(pair => pair.answer.length > 0)
+    .map(pair => ({ question: pair.question, answer: pair.answer.join(' ') }));
+}
+
+/**
+ * Draft FAQPage markup for pages with question-style headings
+ * @param {Object} snapshot - Site snapshot
+ * @returns {Array} Snippets, pages with the most questions first
+ */
+function draftFaqPages(snapshot) {
+  return contentPages(snapshot)
+    .filter(page => !hasSchemaType(page, 'FAQPage'))
+    .map(page => ({ page, questions: extractQuestions(page) }))
+    .filter(({ questions }) => questions.length >= MIN_FAQ_QUESTIONS)
+    .sort((a, b) => b.questions.length - a.questions.length)
+    .slice(0, MAX_FAQ_DRAFTS)
+    .map(({ page, questions }) => ({
+      schema_type: 'FAQPage',
+      page: page.url,
+      json_ld: {
+        '@context': 'https://schema.org',
+        '@type': 'FAQPage',
+        mainEntity: questions.map(q => ({
+          '@type': 'Question',
+          name: q.question,
+          acceptedAnswer: { '@type': 'Answer', text: q.answer }
+        }))
+      },
+      notes: ['Only mark up questions and answers that are visible on the page, worded as they appear there.']
+    }));
+}
+
+function pathSegments(url) {
+  return new URL(url).pathname.split('/').filter(Boolean);
+}
+
+/**
+ * Draft BreadcrumbList markup from URL paths: Home, then every crawled
+ * parent path, then the page. Key pages come first.
+ * @param {Object} snapshot - Site snapshot
+ * @param {Object} customer - Customer config (brand name for the Home crumb)
+ * @returns {Array} Snippets
+ */
+function draftBreadcrumbs(snapshot, customer = {}) {
+  const pages = contentPages(snapshot);
+  const name = siteName(snapshot, customer);
+  const byPath = new Map();
+  pages.forEach(page => {
+    const pathname = new URL(page.url).pathname.replace(/\/$/, '') || '/';
+    if (!byPath.has(pathname)) byPath.set(pathname, page);
+  });
+  const keyUrls = new Set((snapshot.key_pages || []).map(kp => kp.url));
+  const homeUrl = new URL('/', snapshot.website_url).href;
+
+  return pages
+    .filter(page => pathSegments(page.url).length >= 2 && !hasSchemaType(page, 'BreadcrumbList'))
+    .sort((a, b) => Number(keyUrls.has(b.url)) - Number(keyUrls.has(a.url)))
+    .slice(0, MAX_BREADCRUMB_DRAFTS)
+    .map(page => {
+      const segments = pathSegments(page.url);
+      const crumbs = [{ name: 'Home', item: homeUrl }];
+      segments.slice(0, -1).forEach((_, i) => {
+        // Parent paths that were not crawled may not exist; they are left out
+        const parent = byPath.get(`/${segments.slice(0, i + 1).join('/')}`);
+        if (parent) crumbs.push({ name: pageName(parent, name), item: parent.url });
+      });
+      crumbs.push({ name: pageName(page, name), item: page.url });
+
+      return {
+        schema_type: 'BreadcrumbList',
+        page: page.url,
+        json_ld: {
+          '@context': 'https://schema.org',
+          '@type': 'BreadcrumbList',
+          itemListElement: crumbs.map((crumb, i) => ({ '@type': 'ListItem', position: i + 1, name: crumb.name, item: crumb.item }))
+        },
+        notes: crumbs.length < segments.length + 1 ? ['Some parent paths were not crawled and are left out - add them if they exist.'] : []
+      };
+    });
+}
+
+// ISO 8601 date for markup; values that cannot be read are left as found
+function isoDate(value) {
+  if (!value) return null;
+  if (/^\d{4}-\d{2}-\d{2}/.test(value) || /^\d{4}(-\d{2})?$/.test(value.trim())) return value.trim();
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) return null;
+  // Dates without a time ("May 1, 2024") parse as local midnight, so the local
+  // parts are the date as written; toISOString() would shift it across UTC
+  const pad = n => String(n).padStart(2, '0');
+  return `${parsed.getFullYear()}-${pad(parsed.getMonth() + 1)}-${pad(parsed.getDate())}`;
+}
+
+function isArticlePage(page) {
+  const byline = page.byline || {};
+  if (classifyPageType(page) === 'homepage') return false;
+  if (byline.author || byline.date_published) return true;
+  return classifyPageType(page) === 'blog' && pathSegments(page.url).length >= 2;
+}
+
+/**
+ * Draft Article (BlogPosting on blog pages) markup from the title, byline and dates
+ * @param {Object} snapshot - Site snapshot
+ * @param {Object} customer - Customer config (publisher name)
+ * @returns {Array} Snippets
+ */
+function draftArticles(snapshot, customer = {}) {
+  const name = siteName(snapshot, customer);
+  const logo = (customer.organization && customer.organization.logo) || findLogo(snapshot);
+
+  return contentPages(snapshot)
+    .filter(page => isArticlePage(page) && !hasSchemaType(page, 'Article'))
+    .slice(0, MAX_ARTICLE_DRAFTS)
+    .map(page => {
+      const byline = page.byline || {};
+      const notes = [];
+      const jsonLd = {
+        '@context': 'https://schema.org',
+        '@type': classifyPageType(page) === 'blog' ? 'BlogPosting' : 'Article',
+        headline: pageName(page, name).slice(0, 110),
+        mainEntityOfPage: page.url
+      };
+      if (page.meta_description) jsonLd.description = page.meta_description;
+      const image = (page.images || []).find(img => !/logo|icon|avatar/i.test(`${img.src} ${img.alt}`));
+      if (image) jsonLd.image = resolve(image.src, page.url);
+
+      if (byline.author) jsonLd.author = { '@type': 'Person', name: byline.author };
+      else notes.push('No byline found - add the author as a Person with "name" and "url" (an author page).');
+      const published = isoDate(byline.date_published);
+      const modified = isoDate(byline.date_modified);
+      if (published) jsonLd.datePublished = published;
+      else notes.push('No publication date found - add "datePublished" in ISO 8601 (2024-05-01).');
+      if (modified) jsonLd.dateModified = modified;
+
+      jsonLd.publisher = { '@type': 'Organization', name };
+      if (logo) jsonLd.publisher.logo = { '@type': 'ImageObject', url: logo };
+
+      return { schema_type: jsonLd['@type'], page: page.url, json_ld: jsonLd, notes };
+    });
+}
+
+/**
+ * A snippet as it is pasted into the page
+ * @param {Object} snippet - Snippet
+ * @returns {string} <script type="application/ld+json"> block
+ */
+function snippetHtml(snippet) {
+  // Crawled text may hold "</script>" or "<!--", which would end or break the
+  // block; \u003c keeps the JSON identical. U+2028/2029 are escaped for old JS parsers
+  const json = JSON.stringify(snippet.json_ld, null, 2)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+  return `<script type="application/ld+json">\n${json}\n</script>`;
+}
+
+module.exports = {
+  draftOrganization,
+  draftFaqPages,
+  draftBreadcrumbs,
+  draftArticles,
+  extractQuestions,
+  snippetHtml
+};
@@ -0,0 +1,186 @@
+/**
+ * Schema.org Type Names
+ * Every type in the schema.org vocabulary (core and pending), by name. The
+ * validator checks properties only for the types schema_vocabulary.js
+ * defines; the rest are recognized so they are not reported as unknown.
+ */
+
+const SCHEMA_ORG_TYPE_NAMES = [
+  // Top-level types and data types
+  'Action', 'BioChemEntity', 'Boolean', 'CreativeWork', 'CssSelectorType', 'DataType', 'Date', 'DateTime', 'Event',
+  'Float', 'Intangible', 'Integer', 'MedicalEntity', 'Number', 'Organization', 'Person', 'Place', 'Product',
+  'PronounceableText', 'Taxon', 'Text', 'Thing', 'Time', 'URL', 'XPathType',
+
+  // Actions
+  'AcceptAction', 'AchieveAction', 'ActivateAction', 'AddAction', 'AgreeAction', 'AllocateAction', 'AppendAction',
+  'ApplyAction', 'ArriveAction', 'AskAction', 'AssessAction', 'AssignAction', 'AuthorizeAction', 'BefriendAction',
+  'BookmarkAction', 'BorrowAction', 'BuyAction', 'CancelAction', 'CheckAction', 'CheckInAction', 'CheckOutAction',
+  'ChooseAction', 'CommentAction', 'CommunicateAction', 'ConfirmAction', 'ConsumeAction', 'ControlAction',
+  'CookAction', 'CreateAction', 'DeactivateAction', 'DeleteAction', 'DepartAction', 'DisagreeAction',
+  'DiscoverAction', 'DislikeAction', 'DonateAction', 'DownloadAction', 'DrawAction', 'DrinkAction', 'EatAction',
+  'EndorseAction', 'ExerciseAction', 'FilmAction', 'FindAction', 'FollowAction', 'GiveAction', 'IgnoreAction',
+  'InformAction', 'InsertAction', 'InstallAction', 'InteractAction', 'InviteAction', 'JoinAction', 'LeaveAction',
+  'LendAction', 'LikeAction', 'ListenAction', 'LoseAction', 'MarryAction', 'MoneyTransfer', 'MoveAction',
+  'OrderAction', 'OrganizeAction', 'PaintAction', 'PayAction', 'PerformAction', 'PhotographAction', 'PlanAction',
+  'PlayAction', 'PlayGameAction', 'PreOrderAction', 'PrependAction', 'QuoteAction', 'ReactAction', 'ReadAction',
+  'ReceiveAction', 'RegisterAction', 'RejectAction', 'RentAction', 'ReplaceAction', 'ReplyAction', 'ReserveAction',
+  'ResumeAction', 'ReturnAction', 'ReviewAction', 'RsvpAction', 'ScheduleAction', 'SearchAction', 'SeekToAction',
+  'SellAction', 'SendAction', 'ShareAction', 'SolveMathAction', 'SubscribeAction', 'SuspendAction', 'TakeAction',
+  'TieAction', 'TipAction', 'TrackAction', 'TradeAction', 'TransferAction', 'TravelAction', 'UnRegisterAction',
+  'UpdateAction', 'UseAction', 'ViewAction', 'VoteAction', 'WantAction', 'WatchAction', 'WearAction', 'WinAction',
+  'WriteAction',
+
+  // Creative works
+  '3DModel', 'AboutPage', 'AdvertiserContentArticle', 'AmpStory', 'AnalysisNewsArticle', 'Answer', 'APIReference',
+  'ArchiveComponent', 'Article', 'AskPublicNewsArticle', 'Atlas', 'Audiobook', 'AudioObject', 'AudioObjectSnapshot',
+  'BackgroundNewsArticle', 'Barcode', 'Blog', 'BlogPosting', 'Book', 'BookSeries', 'CategoryCodeSet',
+  'Certification', 'Chapter', 'CheckoutPage', 'Claim', 'ClaimReview', 'Clip', 'Code', 'Collection', 'CollectionPage',
+  'ComicCoverArt', 'ComicIssue', 'ComicSeries', 'ComicStory', 'Comment', 'ContactPage', 'Conversation',
+  'CorrectionComment', 'Course', 'CoverArt', 'CreativeWorkSeason', 'CreativeWorkSeries', 'CriticReview',
+  'DataCatalog', 'DataDownload', 'DataFeed', 'Dataset', 'DefinedTermSet', 'Diet', 'DigitalDocument',
+  'DiscussionForumPosting', 'Drawing', 'EducationalOccupationalCredential', 'EmailMessage', 'EmployerReview',
+  'Episode', 'ExercisePlan', 'FAQPage', 'Game', 'Guide', 'HealthTopicContent', 'HowTo', 'HowToDirection',
+  'HowToSection', 'HowToStep', 'HowToTip', 'HyperToc', 'HyperTocEntry', 'ImageGallery', 'ImageObject',
+  'ImageObjectSnapshot', 'ItemPage', 'LearningResource', 'Legislation', 'LegislationObject', 'LiveBlogPosting',
+  'Manuscript', 'Map', 'MathSolver', 'MediaGallery', 'MediaObject', 'MediaReview', 'MediaReviewItem',
+  'MedicalScholarlyArticle', 'MedicalWebPage', 'Menu', 'MenuSection', 'Message', 'MobileApplication', 'Movie',
+  'MovieClip', 'MovieSeries', 'MusicAlbum', 'MusicComposition', 'MusicPlaylist', 'MusicRecording', 'MusicRelease',
+  'MusicVideoObject', 'NewsArticle', 'NoteDigitalDocument', 'OpinionNewsArticle', 'Painting', 'Periodical',
+  'Photograph', 'Play', 'PodcastEpisode', 'PodcastSeason', 'PodcastSeries', 'Poster', 'PresentationDigitalDocument',
+  'ProductCollection', 'ProfilePage', 'PublicationIssue', 'PublicationVolume', 'QAPage', 'Question', 'Quiz',
+  'Quotation', 'RadioClip', 'RadioEpisode', 'RadioSeason', 'RadioSeries', 'RealEstateListing', 'Recipe',
+  'Recommendation', 'Report', 'ReportageNewsArticle', 'Review', 'ReviewNewsArticle', 'SatiricalArticle',
+  'ScholarlyArticle', 'Sculpture', 'SearchResultsPage', 'Season', 'SheetMusic', 'ShortStory',
+  'SiteNavigationElement', 'SocialMediaPosting', 'SoftwareApplication', 'SoftwareSourceCode', 'SpecialAnnouncement',
+  'SpreadsheetDigitalDocument', 'Statement', 'Syllabus', 'Table', 'TechArticle', 'TextDigitalDocument', 'TextObject',
+  'Thesis', 'TVClip', 'TVEpisode', 'TVSeason', 'TVSeries', 'UserReview', 'VideoGallery', 'VideoGame',
+  'VideoGameClip', 'VideoGameSeries', 'VideoObject', 'VideoObjectSnapshot', 'VisualArtwork', 'WebApplication',
+  'WebContent', 'WebPage', 'WebPageElement', 'WebSite', 'WPAdBlock', 'WPFooter', 'WPHeader', 'WPSideBar',
+
+  // Events
+  'BroadcastEvent', 'BusinessEvent', 'ChildrensEvent', 'ComedyEvent', 'CourseInstance', 'DanceEvent',
+  'DeliveryEvent', 'EducationEvent', 'EventSeries', 'ExhibitionEvent', 'Festival', 'FoodEvent', 'Hackathon',
+  'LiteraryEvent', 'MusicEvent', 'OnDemandEvent', 'PublicationEvent', 'SaleEvent', 'ScreeningEvent', 'SocialEvent',
+  'SportsEvent', 'TheaterEvent', 'UserBlocks', 'UserCheckins', 'UserComments', 'UserDownloads', 'UserInteraction',
+  'UserLikes', 'UserPageVisits', 'UserPlays', 'UserPlusOnes', 'UserTweets', 'VisualArtsEvent',
+
+  // Intangibles
+  'ActionAccessSpecification', 'AggregateOffer', 'AggregateRating', 'AlignmentObject', 'AMRadioChannel', 'Audience',
+  'BankAccount', 'BedDetails', 'BoatReservation', 'BoatTrip', 'Brand', 'BreadcrumbList', 'BroadcastChannel',
+  'BroadcastFrequencySpecification', 'BroadcastService', 'BrokerageAccount', 'BusinessAudience', 'BusReservation',
+  'BusTrip', 'CableOrSatelliteService', 'CategoryCode', 'CDCPMDRecord', 'Class', 'CompoundPriceSpecification',
+  'ComputerLanguage', 'ConstraintNode', 'ContactPoint', 'CreditCard', 'CurrencyConversionService', 'DataFeedItem',
+  'DatedMoneySpecification', 'DefinedRegion', 'DefinedTerm', 'DeliveryChargeSpecification', 'DeliveryTimeSettings',
+  'Demand', 'DepositAccount', 'DigitalDocumentPermission', 'Distance', 'Duration', 'EducationalAudience',
+  'EducationalOccupationalProgram', 'EmployeeRole', 'EmployerAggregateRating', 'EndorsementRating', 'Energy',
+  'EnergyConsumptionDetails', 'EngineSpecification', 'EntryPoint', 'EventReservation', 'ExchangeRateSpecification',
+  'FinancialIncentive', 'FinancialProduct', 'Flight', 'FlightReservation', 'FloorPlan', 'FMRadioChannel',
+  'FoodEstablishmentReservation', 'FoodService', 'GameServer', 'GeoCircle', 'GeoCoordinates', 'GeoShape',
+  'GeospatialGeometry', 'GovernmentPermit', 'GovernmentService', 'Grant', 'HealthInsurancePlan',
+  'HealthPlanCostSharingSpecification', 'HealthPlanFormulary', 'HealthPlanNetwork', 'HowToItem', 'HowToSupply',
+  'HowToTool', 'InteractionCounter', 'InvestmentFund', 'InvestmentOrDeposit', 'Invoice', 'ItemList', 'JobPosting',
+  'Language', 'LinkRole', 'ListItem', 'LoanOrCredit', 'LocationFeatureSpecification', 'LodgingReservation', 'Mass',
+  'MediaSubscription', 'MedicalAudience', 'MemberProgram', 'MemberProgramTier', 'MenuItem', 'MerchantReturnPolicy',
+  'MerchantReturnPolicySeasonalOverride', 'MonetaryAmount', 'MonetaryAmountDistribution', 'MonetaryGrant',
+  'MortgageLoan', 'NutritionInformation', 'Observation', 'Occupation', 'OccupationalExperienceRequirements', 'Offer',
+  'OfferCatalog', 'OfferForLease', 'OfferForPurchase', 'OfferShippingDetails', 'OpeningHoursSpecification', 'Order',
+  'OrderItem', 'OrganizationRole', 'OwnershipInfo', 'ParcelDelivery', 'ParentAudience', 'Patient', 'PaymentCard',
+  'PaymentChargeSpecification', 'PaymentMethod', 'PaymentService', 'PeopleAudience', 'PerformanceRole', 'Permit',
+  'PostalAddress', 'PostalCodeRangeSpecification', 'PriceSpecification', 'ProgramMembership', 'Property',
+  'PropertyValue', 'PropertyValueSpecification', 'QuantitativeValue', 'QuantitativeValueDistribution', 'Quantity',
+  'RadioChannel', 'Rating', 'RentalCarReservation', 'RepaymentSpecification', 'Researcher', 'Reservation',
+  'ReservationPackage', 'Role', 'Schedule', 'Seat', 'Series', 'Service', 'ServiceChannel', 'ShippingConditions',
+  'ShippingDeliveryTime', 'ShippingRateSettings', 'ShippingService', 'SpeakableSpecification',
+  'StatisticalPopulation', 'StatisticalVariable', 'StructuredValue', 'TaxiReservation', 'TaxiService',
+  'TelevisionChannel', 'Ticket', 'TouristTrip', 'TrainReservation', 'TrainTrip', 'Trip', 'TypeAndQuantityNode',
+  'UnitPriceSpecification', 'VirtualLocation', 'WarrantyPromise', 'WebAPI', 'WorkBasedProgram',
+
+  // Enumerations
+  'ActionStatusType', 'AdultOrientedEnumeration', 'BedType', 'BoardingPolicyType', 'BodyMeasurementTypeEnumeration',
+  'BookFormatType', 'BusinessEntityType', 'BusinessFunction', 'CarUsageType', 'CertificationStatusEnumeration',
+  'ContactPointOption', 'DayOfWeek', 'DeliveryMethod', 'DigitalDocumentPermissionType', 'DigitalPlatformEnumeration',
+  'DriveWheelConfigurationValue', 'DrugCostCategory', 'DrugPregnancyCategory', 'DrugPrescriptionStatus',
+  'EnergyEfficiencyEnumeration', 'EnergyStarEnergyEfficiencyEnumeration', 'Enumeration',
+  'EUEnergyEfficiencyEnumeration', 'EventAttendanceModeEnumeration', 'EventStatusType', 'FulfillmentTypeEnumeration',
+  'GameAvailabilityEnumeration', 'GamePlayMode', 'GameServerStatus', 'GenderType', 'GovernmentBenefitsType',
+  'HealthAspectEnumeration', 'IncentiveQualifiedExpenseType', 'IncentiveStatus', 'IncentiveType',
+  'InfectiousAgentClass', 'IPTCDigitalSourceEnumeration', 'ItemAvailability', 'ItemListOrderType',
+  'LegalForceStatus', 'LegalValueLevel', 'MapCategoryType', 'MeasurementMethodEnum', 'MeasurementTypeEnumeration',
+  'MediaManipulationRatingEnumeration', 'MedicalAudienceType', 'MedicalDevicePurpose', 'MedicalEnumeration',
+  'MedicalEvidenceLevel', 'MedicalImagingTechnique', 'MedicalObservationalStudyDesign', 'MedicalProcedureType',
+  'MedicalSpecialty', 'MedicalStudyStatus', 'MedicalTrialDesign', 'MedicineSystem', 'MerchantReturnEnumeration',
+  'MusicAlbumProductionType', 'MusicAlbumReleaseType', 'MusicReleaseFormatType', 'NLNonprofitType', 'NonprofitType',
+  'OfferItemCondition', 'OrderStatus', 'PaymentStatusType', 'PhysicalActivityCategory', 'PhysicalExam',
+  'PriceComponentTypeEnumeration', 'PriceTypeEnumeration', 'ProductReturnEnumeration', 'PurchaseType',
+  'QualitativeValue', 'RefundTypeEnumeration', 'ReservationStatusType', 'RestrictedDiet', 'ReturnFeesEnumeration',
+  'ReturnLabelSourceEnumeration', 'ReturnMethodEnumeration', 'RsvpResponseType', 'SizeGroupEnumeration',
+  'SizeSpecification', 'SizeSystemEnumeration', 'Specialty', 'StatusEnumeration', 'SteeringPositionValue',
+  'TierBenefitEnumeration', 'UKNonprofitType', 'USNonprofitType', 'WarrantyScope',
+  'WearableMeasurementTypeEnumeration', 'WearableSizeGroupEnumeration', 'WearableSizeSystemEnumeration',
+
+  // Medical entities
+  'AnatomicalStructure', 'AnatomicalSystem', 'ApprovedIndication', 'Artery', 'BloodTest', 'Bone', 'BrainStructure',
+  'DDxElement', 'DiagnosticProcedure', 'DietarySupplement', 'DoseSchedule', 'Drug', 'DrugClass', 'DrugCost',
+  'DrugLegalStatus', 'DrugStrength', 'ImagingTest', 'InfectiousDisease', 'Joint', 'LifestyleModification',
+  'Ligament', 'LymphaticVessel', 'MaximumDoseSchedule', 'MedicalCause', 'MedicalCode', 'MedicalCondition',
+  'MedicalConditionStage', 'MedicalContraindication', 'MedicalDevice', 'MedicalGuideline',
+  'MedicalGuidelineContraindication', 'MedicalGuidelineRecommendation', 'MedicalIndication', 'MedicalIntangible',
+  'MedicalObservationalStudy', 'MedicalProcedure', 'MedicalRiskCalculator', 'MedicalRiskEstimator',
+  'MedicalRiskFactor', 'MedicalRiskScore', 'MedicalSign', 'MedicalSignOrSymptom', 'MedicalStudy', 'MedicalSymptom',
+  'MedicalTest', 'MedicalTestPanel', 'MedicalTherapy', 'MedicalTrial', 'Muscle', 'Nerve', 'OccupationalTherapy',
+  'PalliativeProcedure', 'PathologyTest', 'PhysicalActivity', 'PhysicalTherapy', 'PreventionIndication',
+  'PsychologicalTreatment', 'RadiationTherapy', 'RecommendedDoseSchedule', 'ReportedDoseSchedule',
+  'RespiratoryTherapy', 'Substance', 'SuperficialAnatomy', 'SurgicalProcedure', 'TherapeuticProcedure',
+  'TreatmentIndication', 'Vein', 'Vessel', 'VitalSign',
+
+  // Organizations
+  'Airline', 'CollegeOrUniversity', 'Consortium', 'Cooperative', 'Corporation', 'CovidTestingFacility', 'DanceGroup',
+  'Dentist', 'DiagnosticLab', 'EducationalOrganization', 'ElementarySchool', 'FundingAgency', 'FundingScheme',
+  'GovernmentOrganization', 'HighSchool', 'Hospital', 'IndividualPhysician', 'LibrarySystem', 'MedicalClinic',
+  'MedicalOrganization', 'MiddleSchool', 'MusicGroup', 'NewsMediaOrganization', 'NGO', 'OnlineBusiness',
+  'OnlineStore', 'PerformingGroup', 'Pharmacy', 'Physician', 'PhysiciansOffice', 'PoliticalParty', 'Preschool',
+  'Project', 'ResearchOrganization', 'ResearchProject', 'School', 'SearchRescueOrganization', 'SportsOrganization',
+  'SportsTeam', 'TheaterGroup', 'VeterinaryCare', 'WorkersUnion',
+
+  // Local businesses
+  'AccountingService', 'AdultEntertainment', 'AmusementPark', 'AnimalShelter', 'ArchiveOrganization', 'ArtGallery',
+  'Attorney', 'AutoBodyShop', 'AutoDealer', 'AutomatedTeller', 'AutomotiveBusiness', 'AutoPartsStore', 'AutoRental',
+  'AutoRepair', 'AutoWash', 'Bakery', 'BankOrCreditUnion', 'BarOrPub', 'BeautySalon', 'BedAndBreakfast', 'BikeStore',
+  'BookStore', 'BowlingAlley', 'Brewery', 'CafeOrCoffeeShop', 'Campground', 'Casino', 'ChildCare', 'ClothingStore',
+  'ComedyClub', 'CommunityHealth', 'ComputerStore', 'ConvenienceStore', 'DaySpa', 'DepartmentStore', 'Dermatology',
+  'DietNutrition', 'Distillery', 'DryCleaningOrLaundry', 'Electrician', 'ElectronicsStore', 'Emergency',
+  'EmergencyService', 'EmploymentAgency', 'EntertainmentBusiness', 'ExerciseGym', 'FastFoodRestaurant',
+  'FinancialService', 'FireStation', 'Florist', 'FoodEstablishment', 'FurnitureStore', 'GardenStore', 'GasStation',
+  'GeneralContractor', 'Geriatric', 'GolfCourse', 'GovernmentOffice', 'GroceryStore', 'Gynecologic', 'HairSalon',
+  'HardwareStore', 'HealthAndBeautyBusiness', 'HealthClub', 'HobbyShop', 'HomeAndConstructionBusiness',
+  'HomeGoodsStore', 'Hostel', 'Hotel', 'HousePainter', 'HVACBusiness', 'IceCreamShop', 'InsuranceAgency',
+  'InternetCafe', 'JewelryStore', 'LegalService', 'Library', 'LiquorStore', 'LocalBusiness', 'Locksmith',
+  'LodgingBusiness', 'MedicalBusiness', 'MensClothingStore', 'Midwifery', 'MobilePhoneStore', 'Motel',
+  'MotorcycleDealer', 'MotorcycleRepair', 'MovieRentalStore', 'MovieTheater', 'MovingCompany', 'MusicStore',
+  'NailSalon', 'NightClub', 'Notary', 'Nursing', 'Obstetric', 'OfficeEquipmentStore', 'Oncologic', 'Optician',
+  'Optometric', 'Otolaryngologic', 'OutletStore', 'PawnShop', 'Pediatric', 'PetStore', 'Physiotherapy',
+  'PlasticSurgery', 'Plumber', 'Podiatric', 'PoliceStation', 'PostOffice', 'PrimaryCare', 'ProfessionalService',
+  'Psychiatric', 'PublicHealth', 'PublicSwimmingPool', 'RadioStation', 'RealEstateAgent', 'RecyclingCenter',
+  'Resort', 'Restaurant', 'RoofingContractor', 'SelfStorage', 'ShoeStore', 'ShoppingCenter', 'SkiResort',
+  'SportingGoodsStore', 'SportsActivityLocation', 'SportsClub', 'StadiumOrArena', 'Store', 'TattooParlor',
+  'TelevisionStation', 'TennisComplex', 'TireShop', 'TouristInformationCenter', 'ToyStore', 'TravelAgency',
+  'VacationRental', 'WholesaleStore', 'Winery',
+
+  // Places
+  'Accommodation', 'AdministrativeArea', 'Airport', 'Apartment', 'ApartmentComplex', 'Aquarium', 'Beach',
+  'BoatTerminal', 'BodyOfWater', 'Bridge', 'BuddhistTemple', 'BusStation', 'BusStop', 'CampingPitch', 'Canal',
+  'CatholicChurch', 'Cemetery', 'Church', 'City', 'CityHall', 'CivicStructure', 'Continent', 'Country', 'Courthouse',
+  'Crematorium', 'DefenceEstablishment', 'Embassy', 'EventVenue', 'GatedResidenceCommunity', 'GovernmentBuilding',
+  'HinduTemple', 'HotelRoom', 'House', 'LakeBodyOfWater', 'Landform', 'LandmarksOrHistoricalBuildings',
+  'LegislativeBuilding', 'MeetingRoom', 'Mosque', 'Mountain', 'Museum', 'MusicVenue', 'OceanBodyOfWater', 'Park',
+  'ParkingFacility', 'PerformingArtsTheater', 'PlaceOfWorship', 'Playground', 'Pond', 'PublicToilet', 'Reservoir',
+  'Residence', 'RiverBodyOfWater', 'Room', 'RVPark', 'SchoolDistrict', 'SeaBodyOfWater', 'SingleFamilyResidence',
+  'State', 'SubwayStation', 'Suite', 'Synagogue', 'TaxiStand', 'TouristAttraction', 'TouristDestination',
+  'TrainStation', 'Volcano', 'Waterfall', 'Zoo',
+
+  // Products and biochemistry
+  'BusOrCoach', 'Car', 'ChemicalSubstance', 'Gene', 'IndividualProduct', 'MolecularEntity', 'Motorcycle',
+  'MotorizedBicycle', 'ProductGroup', 'ProductModel', 'Protein', 'SomeProducts', 'Vehicle'
+];
+
+module.exports = { SCHEMA_ORG_TYPE_NAMES };
@@ -0,0 +1,304 @@
+/**
+ * Structured Data Validator
+ * Checks every page's structured-data entities against the bundled schema.org
+ * vocabulary and rich-result rules (schema_vocabulary.js): missing required
+ * and recommended properties, wrong value types, invalid dates, durations and
+ * URLs, and unknown types and properties. Each issue carries the path of the
+ * offending value in the page's markup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pageEntities, jsonPath } = require('./schema_entities');
+const { isAssetPage, isDocumentPage } = require('./page_types');
+const { incompleteSnapshotWarning } = require('./crawl_checkpoint');
+const {
+  DATA_TYPES,
+  TYPES,
+  KNOWN_TYPES,
+  typeAncestors,
+  propertyRange,
+  typeRules,
+  isEnumeration
+} = require('./schema_vocabulary');
+
+// Page quality score deductions
+const ERROR_DEDUCTION = 15;
+const WARNING_DEDUCTION = 3;
+
+// ISO 8601 dates may be reduced to a year or a year and month ("2024", "2024-05")
+const DATE_PATTERN = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/;
+const DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const TIME_PATTERN = /^(\d{2}):(\d{2})(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const DURATION_PATTERN = /^P(?!$)(\d+(\.\d+)?Y)?(\d+(\.\d+)?M)?(\d+(\.\d+)?W)?(\d+(\.\d+)?D)?(T(?=\d)(\d+(\.\d+)?H)?(\d+(\.\d+)?M)?(\d+(\.\d+)?S)?)?$/;
+
+// Types and properties from other vocabularies carry a prefix or a full IRI
+function isSchemaName(name) {
+  return !/[:/]/.test(name);
+}
+
+function isCalendarDate(year, month, day) {
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  return date.getUTCMonth() === Number(month) - 1 && date.getUTCDate() === Number(day);
+}
+
+const LITERAL_CHECKS = {
+  Text: () => true,
+  URL: value => {
+    const text = String(value).trim();
+    if (!text || /\s/.test(text)) return false;
+    const scheme = text.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (scheme && !['http', 'https'].includes(scheme[1].toLowerCase())) return false;
+    try {
+      new URL(text, 'https://example.invalid/');
+      return true;
+    } catch {
+      return false;
+    }
+  },
+  Date: value => {
+    const match = String(value).trim().match(DATE_PATTERN);
+    return Boolean(match) && isCalendarDate(match[1], match[2] || '01', match[3] || '01');
+  },
+  DateTime: value => {
+    const match = String(value).trim().match(DATE_TIME_PATTERN);
+    return Boolean(match) && isCalendarDate(match[1], match[2], match[3]) && Number(match[4]) < 24 && Number(match[5]) < 60;
+  },
+  Time: value => {
+    const match = String(value).trim().match(TIME_PATTERN);
+    return Boolean(match) && Number(match[1]) < 24 && Number(match[2]) < 60;
+  },
+  Number: value => typeof value === 'number' || /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(String(value).trim()),
+  Integer: value => Number.isInteger(value) || /^[+-]?\d+$/.test(String(value).trim()),
+  Boolean: value => typeof value === 'boolean' || /^(true|false|(https?:\/\/schema\.org\/)?(True|False))$/i.test(String(value).trim()),
+  Duration: value => DURATION_PATTERN.test(String(value).trim())
+};
+
+function describeRange(range) {
+  return range.length > 1 ? `${range.slice(0, -1).join(', ')} or ${range[range.length - 1]}` : range[0];
+}
+
+function describeLiteral(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return `"${text.length > 60 ? `${text.slice(0, 57)}...` : text}"`;
+}
+
+/**
+ * Check a literal (text, number, boolean) against a property's range
+ * @returns {Object|null} { severity, code, detail } or null when the value fits
+ */
+function checkLiteral(value, range) {
+  if (range.some(isEnumeration)) return null;
+  const literalTypes = range.filter(t => DATA_TYPES.has(t));
+  // schema.org tolerates text where it expects a thing, but rich results need the entity.
+  // An absolute URL is a reference to the thing and is fine.
+  if (literalTypes.length === 0) {
+    if (/^https?:\/\/\S+$/i.test(String(value).trim())) return null;
+    return { severity: 'warning', code: 'invalid_type', detail: `expects ${describeRange(range)}, got text ${describeLiteral(value)}` };
+  }
+  if (literalTypes.some(t => LITERAL_CHECKS[t](value))) return null;
+
+  let code = 'invalid_type';
+  if (literalTypes.every(t => t === 'Date' || t === 'DateTime' || t === 'Time')) code = 'invalid_date';
+  else if (literalTypes.every(t => t === 'URL')) code = 'invalid_url';
+  return { severity: 'error', code, detail: `expects ${describeRange(literalTypes)}, got ${describeLiteral(value)}` };
+}
+
+/**
+ * Check a nested entity against a property's range
+ * @returns {Object|null} { severity, code, detail } or null when the entity fits
+ */
+function checkEntityValue(target, range) {
+  const types = target.types.filter(isSchemaName);
+  // Untyped and other-vocabulary entities are reported on their own
+  if (types.length === 0 || range.includes('Thing') || range.some(isEnumeration)) return null;
+  const fits = types.some(type => {
+    const ancestors = typeAncestors(type);
+    // Types known by name only cannot be placed in the hierarchy
+    if (ancestors.length === 0) return range.includes(type) || !range.every(t => DATA_TYPES.has(t));
+    return ancestors.some(t => range.includes(t));
+  });
+  return fits ? null : { severity: 'error', code: 'invalid_type', detail: `expects ${describeRange(range)}, got ${types.join('/')}` };
+}
+
+// Rules of every type of the entity, merged
+function rulesFor(types) {
+  const required = new Set();
+  const recommended = new Set();
+  const numeric = new Set();
+  const optionalWhenNested = new Set();
+  types.map(typeRules).filter(Boolean).forEach(rules => {
+    rules.required.forEach(r => required.add(r));
+    rules.recommended.forEach(r => recommended.add(r));
+    (rules.numeric || []).forEach(r => numeric.add(r));
+    (rules.optionalWhenNested || []).forEach(r => optionalWhenNested.add(r));
+  });
+  required.forEach(r => recommended.delete(r));
+  return { required: [...required], recommended: [...recommended], numeric, optionalWhenNested };
+}
+
+function hasValue(entity, property) {
+  return (entity.properties[property] || []).some(v => v !== '' && v !== null && v !== undefined);
+}
+
+/**
+ * Validate a page's entities
+ * @param {Array} entities - Entities in the shared entity model (schema_entities.js)
+ * @returns {Array} Issues: { severity ('error'|'warning'), code, type, property, path, message }
+ */
+function validateEntities(entities) {
+  const issues = [];
+  const report = (severity, code, entity, property, issuePath, message) => {
+    issues.push({ severity, code, type: entity.types[0] || null, property, path: issuePath, message });
+  };
+
+  entities.forEach(entity => {
+    const schemaTypes = entity.types.filter(isSchemaName);
+    if (entity.types.length === 0) {
+      report('warning', 'missing_type', entity, null, entity.path, `Entity${entity.property ? ` in "${entity.property}"` : ''} has no type`);
+      return;
+    }
+    if (schemaTypes.length === 0) return;
+
+    const label = schemaTypes.join('/');
+    schemaTypes.filter(type => !KNOWN_TYPES.has(type)).forEach(type => {
+      report('warning', 'unknown_type', entity, null, entity.path, `"${type}" is not a schema.org type`);
+    });
+
+    // Required and recommended properties
+    const rules = rulesFor(schemaTypes);
+    const missing = requirement => !requirement.split('|').some(property => hasValue(entity, property));
+    const describeRequirement = requirement => {
+      const [first, ...alternatives] = requirement.split('|');
+      return `"${first}"${alternatives.length > 0 ? ` (or ${alternatives.join(', ')})` : ''}`;
+    };
+    rules.required
+      .filter(requirement => !(entity.parent !== null && rules.optionalWhenNested.has(requirement)))
+      .filter(missing)
+      .forEach(requirement => {
+        report('error', 'missing_required', entity, requirement.split('|')[0], entity.path, `${label} is missing required property ${describeRequirement(requirement)}`);
+      });
+    rules.recommended.filter(missing).forEach(requirement => {
+      report('warning', 'missing_recommended', entity, requirement.split('|')[0], entity.path, `${label} is missing recommended property ${describeRequirement(requirement)}`);
+    });
+
+    // Property names and value types; types without a full definition are not checked
+    const defined = schemaTypes.filter(type => TYPES[type]);
+    if (defined.length === 0) return;
+    Object.entries(entity.properties).filter(([property]) => isSchemaName(property)).forEach(([property, values]) => {
+      const propertyPath = jsonPath(entity.path, property);
+      const range = [...new Set(defined.flatMap(type => propertyRange(type, property) || []))];
+      if (range.length === 0) {
+        if (defined.length === schemaTypes.length) {
+          report('warning', 'unknown_property', entity, property, propertyPath, `"${property}" is not a property of ${label}`);
+        }
+        return;
+      }
+      values.forEach((value, i) => {
+        const valuePath = values.length > 1 ? jsonPath(propertyPath, i) : propertyPath;
+        let problem = null;
+        if (value && typeof value === 'object' && value['@entity'] !== undefined) {
+          problem = checkEntityValue(entities[value['@entity']], range);
+        } else if (value && typeof value === 'object' && value['@id'] !== undefined) {
+          // A reference to a node outside the page is an IRI
+          problem = range.includes('URL') || !range.every(t => DATA_TYPES.has(t)) ? null : checkLiteral(value['@id'], range);
+        } else if (value !== null && typeof value !== 'object') {
+          problem = checkLiteral(value, rules.numeric.has(property) ? ['Number'] : range);
+        }
+        if (problem) report(problem.severity, problem.code, entity, property, valuePath, `${label} "${property}" ${problem.detail}`);
+      });
+    });
+  });
+
+  return issues;
+}
+
+/**
+ * Structured-data quality score of a page: 100 minus deductions per issue
+ * @param {Array} issues - validateEntities() result
+ * @returns {number} 0-100
+ */
+function scoreIssues(issues) {
+  const errors = issues.filter(i => i.severity === 'error').length;
+  const warnings = issues.length - errors;
+  return Math.max(0, 100 - errors * ERROR_DEDUCTION - warnings * WARNING_DEDUCTION);
+}
+
+/**
+ * Validate the structured data of every crawled HTML page
+ * @param {Object} snapshot - Site snapshot
+ * @returns {Object} { quality_score, pages_validated, pages_without_structured_data, errors, warnings, issue_counts, pages }
+ */
+function validateSnapshot(snapshot) {
+  const htmlPages = snapshot.pages.filter(p => p.status_code === 200 && !isAssetPage(p) && !isDocumentPage(p));
+  const pages = [];
+  let withoutStructuredData = 0;
+
+  htmlPages.forEach(page => {
+    const entities = pageEntities(page);
+    if (entities.length === 0) {
+      withoutStructuredData++;
+      return;
+    }
+    const issues = validateEntities(entities);
+    pages.push({
+      url: page.url,
+      entities: entities.length,
+      types: [...new Set(entities.filter(e => e.parent === null).flatMap(e => e.types))],
+      score: scoreIssues(issues),
+      errors: issues.filter(i => i.severity === 'error').length,
+      warnings: issues.filter(i => i.severity === 'warning').length,
+      issues
+    });
+  });
+
+  const issueCounts = {};
+  pages.flatMap(p => p.issues).forEach(issue => {
+    issueCounts[issue.code] = (issueCounts[issue.code] || 0) + 1;
+  });
+
+  return {
+    // Pages without structured data are not scored here; citation readiness covers missing schema
+    quality_score: pages.length > 0 ? Math.round(pages.reduce((sum, p) => sum + p.score, 0) / pages.length) : null,
+    pages_validated: pages.length,
+    pages_without_structured_data: withoutStructuredData,
+    errors: pages.reduce((sum, p) => sum + p.errors, 0),
+    warnings: pages.reduce((sum, p) => sum + p.warnings, 0),
+    issue_counts: issueCounts,
+    pages
+  };
+}
+
+function main() {
+  const dataDir = path.join(__dirname, '..', 'data');
+  const snapshotPath = path.join(dataDir, 'site_snapshot.json');
+  const outputPath = path.join(dataDir, 'schema_validation.json');
+
+  const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+  const result = validateSnapshot(snapshot);
+  fs.writeFileSync(outputPath, JSON.stringify({ timestamp: new Date().toISOString(), ...result }, null, 2));
+
+  console.log('Structured data validation complete!');
+  console.log(`- Quality score: ${result.quality_score === null ? 'n/a (no structured data)' : `${result.quality_score}/100`}`);
+  console.log(`- Pages validated: ${result.pages_validated} (${result.pages_without_structured_data} without structured data)`);
+  console.log(`- Errors: ${result.errors}, warnings: ${result.warnings}`);
+  console.log(`- Output: ${outputPath}`);
+  const warning = incompleteSnapshotWarning(snapshot);
+  if (warning) console.warn(`Warning: ${warning}`);
+}
+
+// CLI execution
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  validateEntities,
+  scoreIssues,
+  validateSnapshot
+};
@@ -0,0 +1,455 @@
+/**
+ * Schema.org Vocabulary
+ * Offline subset of the schema.org vocabulary (types, their parents and
+ * property ranges) and the rich-result property rules the validator checks.
+ * Covers the types we audit and the types their properties point to; other
+ * schema.org types are known by name only (schema_type_names.js).
+ */
+
+const { SCHEMA_ORG_TYPE_NAMES } = require('./schema_type_names');
+
+// Literal data types; URL, Date, DateTime and Time are checked for format
+const DATA_TYPES = new Set(['Text', 'URL', 'Date', 'DateTime', 'Time', 'Number', 'Integer', 'Boolean', 'Duration']);
+
+// Type -> parent type(s) and own properties ("Range1 Range2")
+const TYPES = {
+  Thing: {
+    parent: null,
+    properties: {
+      name: 'Text', alternateName: 'Text', description: 'Text', disambiguatingDescription: 'Text',
+      url: 'URL', image: 'ImageObject URL', sameAs: 'URL', identifier: 'PropertyValue Text URL',
+      mainEntityOfPage: 'CreativeWork URL', potentialAction: 'Action', subjectOf: 'CreativeWork Event',
+      additionalType: 'Text URL'
+    }
+  },
+
+  // Creative works
+  CreativeWork: {
+    parent: 'Thing',
+    properties: {
+      about: 'Thing', abstract: 'Text', accessMode: 'Text', accessibilitySummary: 'Text',
+      accountablePerson: 'Person', aggregateRating: 'AggregateRating', alternativeHeadline: 'Text',
+      associatedMedia: 'MediaObject', audience: 'Audience', author: 'Organization Person',
+      award: 'Text', citation: 'CreativeWork Text', comment: 'Comment', commentCount: 'Integer',
+      contentLocation: 'Place', contributor: 'Organization Person', copyrightHolder: 'Organization Person',
+      copyrightNotice: 'Text', copyrightYear: 'Number', creativeWorkStatus: 'DefinedTerm Text',
+      creator: 'Organization Person', dateCreated: 'Date DateTime', dateModified: 'Date DateTime',
+      datePublished: 'Date DateTime', discussionUrl: 'URL', editor: 'Person', encoding: 'MediaObject',
+      expires: 'Date DateTime', funder: 'Organization Person', genre: 'Text URL', hasPart: 'CreativeWork',
+      headline: 'Text', inLanguage: 'Language Text', interactionStatistic: 'InteractionCounter',
+      isAccessibleForFree: 'Boolean', isBasedOn: 'CreativeWork Product URL', isFamilyFriendly: 'Boolean',
+      isPartOf: 'CreativeWork URL', keywords: 'DefinedTerm Text URL', license: 'CreativeWork URL',
+      locationCreated: 'Place', mainEntity: 'Thing', maintainer: 'Organization Person', mentions: 'Thing',
+      offers: 'Demand Offer', position: 'Integer Text', producer: 'Organization Person',
+      provider: 'Organization Person', publisher: 'Organization Person', publishingPrinciples: 'CreativeWork URL',
+      review: 'Review', sourceOrganization: 'Organization', spatialCoverage: 'Place', sponsor: 'Organization Person',
+      temporalCoverage: 'DateTime Text URL', text: 'Text', thumbnailUrl: 'URL', timeRequired: 'Duration',
+      translator: 'Organization Person', typicalAgeRange: 'Text', version: 'Number Text', video: 'Clip VideoObject',
+      wordCount: 'Integer', speakable: 'SpeakableSpecification URL', isbn: 'Text'
+    }
+  },
+  Article: {
+    parent: 'CreativeWork',
+    properties: {
+      articleBody: 'Text', articleSection: 'Text', backstory: 'CreativeWork Text',
+      pageEnd: 'Integer Text', pageStart: 'Integer Text', pagination: 'Text'
+    }
+  },
+  NewsArticle: { parent: 'Article', properties: { dateline: 'Text', printColumn: 'Text', printEdition: 'Text', printPage: 'Text', printSection: 'Text' } },
+  TechArticle: { parent: 'Article', properties: { dependencies: 'Text', proficiencyLevel: 'Text' } },
+  SocialMediaPosting: { parent: 'Article', properties: { sharedContent: 'CreativeWork' } },
+  BlogPosting: { parent: 'SocialMediaPosting', properties: {} },
+  Report: { parent: 'Article', properties: { reportNumber: 'Text' } },
+  Blog: { parent: 'CreativeWork', properties: { blogPost: 'BlogPosting' } },
+  Comment: { parent: 'CreativeWork', properties: { downvoteCount: 'Integer', upvoteCount: 'Integer', parentItem: 'Comment CreativeWork' } },
+  Answer: { parent: 'Comment', properties: { answerExplanation: 'Comment WebContent', parentItem: 'Comment CreativeWork' } },
+  Question: {
+    parent: 'Comment',
+    properties: {
+      acceptedAnswer: 'Answer ItemList', answerCount: 'Integer', eduQuestionType: 'Text',
+      suggestedAnswer: 'Answer ItemList'
+    }
+  },
+  WebPage: {
+    parent: 'CreativeWork',
+    properties: {
+      breadcrumb: 'BreadcrumbList Text', lastReviewed: 'Date', mainContentOfPage: 'WebPageElement',
+      primaryImageOfPage: 'ImageObject', relatedLink: 'URL', reviewedBy: 'Organization Person',
+      significantLink: 'URL', specialty: 'Specialty'
+    }
+  },
+  AboutPage: { parent: 'WebPage', properties: {} },
+  ContactPage: { parent: 'WebPage', properties: {} },
+  CollectionPage: { parent: 'WebPage', properties: {} },
+  ItemPage: { parent: 'WebPage', properties: {} },
+  ProfilePage: { parent: 'WebPage', properties: {} },
+  QAPage: { parent: 'WebPage', properties: {} },
+  FAQPage: { parent: 'WebPage', properties: {} },
+  SearchResultsPage: { parent: 'WebPage', properties: {} },
+  WebPageElement: { parent: 'CreativeWork', properties: { cssSelector: 'Text', xpath: 'Text' } },
+  WebContent: { parent: 'CreativeWork', properties: {} },
+  WebSite: { parent: 'CreativeWork', properties: { issn: 'Text' } },
+  HowTo: {
+    parent: 'CreativeWork',
+    properties: {
+      estimatedCost: 'MonetaryAmount Text', performTime: 'Duration', prepTime: 'Duration',
+      step: 'CreativeWork HowToSection HowToStep Text', supply: 'HowToSupply Text', tool: 'HowToTool Text',
+      totalTime: 'Duration', yield: 'QuantitativeValue Text'
+    }
+  },
+  Recipe: {
+    parent: 'HowTo',
+    properties: {
+      cookTime: 'Duration', cookingMethod: 'Text', nutrition: 'NutritionInformation', recipeCategory: 'Text',
+      recipeCuisine: 'Text', recipeIngredient: 'Text', recipeInstructions: 'CreativeWork ItemList Text',
+      recipeYield: 'QuantitativeValue Text', suitableForDiet: 'RestrictedDiet'
+    }
+  },
+  MediaObject: {
+    parent: 'CreativeWork',
+    properties: {
+      bitrate: 'Text', contentSize: 'Text', contentUrl: 'URL', duration: 'Duration', embedUrl: 'URL',
+      encodingFormat: 'Text URL', endTime: 'DateTime Time', height: 'Distance QuantitativeValue',
+      playerType: 'Text', regionsAllowed: 'Place', requiresSubscription: 'Boolean MediaSubscription',
+      startTime: 'DateTime Time', uploadDate: 'Date DateTime', width: 'Distance QuantitativeValue'
+    }
+  },
+  ImageObject: {
+    parent: 'MediaObject',
+    properties: { caption: 'MediaObject Text', embeddedTextCaption: 'Text', exifData: 'PropertyValue Text', representativeOfPage: 'Boolean' }
+  },
+  VideoObject: {
+    parent: 'MediaObject',
+    properties: {
+      actor: 'Person', caption: 'MediaObject Text', director: 'Person', embeddedTextCaption: 'Text',
+      musicBy: 'MusicGroup Person', transcript: 'Text', videoFrameSize: 'Text', videoQuality: 'Text'
+    }
+  },
+  AudioObject: { parent: 'MediaObject', properties: { caption: 'MediaObject Text', transcript: 'Text' } },
+  Clip: { parent: 'CreativeWork', properties: { startOffset: 'Number', endOffset: 'Number', clipNumber: 'Integer Text' } },
+  Review: {
+    parent: 'CreativeWork',
+    properties: {
+      itemReviewed: 'Thing', negativeNotes: 'ItemList ListItem Text WebContent',
+      positiveNotes: 'ItemList ListItem Text WebContent', reviewAspect: 'Text', reviewBody: 'Text',
+      reviewRating: 'Rating'
+    }
+  },
+
+  // Organizations and people
+  Organization: {
+    parent: 'Thing',
+    properties: {
+      address: 'PostalAddress Text', aggregateRating: 'AggregateRating', areaServed: 'AdministrativeArea GeoShape Place Text',
+      award: 'Text', brand: 'Brand Organization', contactPoint: 'ContactPoint', department: 'Organization',
+      dissolutionDate: 'Date', duns: 'Text', email: 'Text', employee: 'Person', founder: 'Organization Person',
+      foundingDate: 'Date', foundingLocation: 'Place', globalLocationNumber: 'Text', hasOfferCatalog: 'OfferCatalog',
+      hasPOS: 'Place', interactionStatistic: 'InteractionCounter', isicV4: 'Text', iso6523Code: 'Text',
+      knowsAbout: 'Text Thing URL', knowsLanguage: 'Language Text', legalName: 'Text', leiCode: 'Text',
+      location: 'Place PostalAddress Text VirtualLocation', logo: 'ImageObject URL', makesOffer: 'Offer',
+      member: 'Organization Person', memberOf: 'Organization', naics: 'Text', numberOfEmployees: 'QuantitativeValue',
+      owns: 'Product', parentOrganization: 'Organization', publishingPrinciples: 'CreativeWork URL',
+      review: 'Review', seeks: 'Demand', slogan: 'Text', sponsor: 'Organization Person', subOrganization: 'Organization',
+      taxID: 'Text', telephone: 'Text', vatID: 'Text', faxNumber: 'Text'
+    }
+  },
+  Corporation: { parent: 'Organization', properties: { tickerSymbol: 'Text' } },
+  NGO: { parent: 'Organization', properties: {} },
+  Consortium: { parent: 'Organization', properties: {} },
+  FundingScheme: { parent: 'Organization', properties: {} },
+  LibrarySystem: { parent: 'Organization', properties: {} },
+  EducationalOrganization: { parent: 'Organization', properties: { alumni: 'Person' } },
+  GovernmentOrganization: { parent: 'Organization', properties: {} },
+  MedicalOrganization: { parent: 'Organization', properties: { healthPlanNetworkId: 'Text', isAcceptingNewPatients: 'Boolean', medicalSpecialty: 'MedicalSpecialty' } },
+  NewsMediaOrganization: { parent: 'Organization', properties: { diversityPolicy: 'CreativeWork URL', ethicsPolicy: 'CreativeWork URL', masthead: 'CreativeWork URL' } },
+  SportsOrganization: { parent: 'Organization', properties: { sport: 'Text URL' } },
+  OnlineBusiness: { parent: 'Organization', properties: {} },
+  OnlineStore: { parent: 'OnlineBusiness', properties: {} },
+  Airline: { parent: 'Organization', properties: { iataCode: 'Text' } },
+  LocalBusiness: {
+    parent: ['Organization', 'Place'],
+    properties: { currenciesAccepted: 'Text', openingHours: 'Text', paymentAccepted: 'Text', priceRange: 'Text' }
+  },
+  Store: { parent: 'LocalBusiness', properties: {} },
+  ProfessionalService: { parent: 'LocalBusiness', properties: {} },
+  FoodEstablishment: {
+    parent: 'LocalBusiness',
+    properties: { acceptsReservations: 'Boolean Text URL', hasMenu: 'Menu Text URL', menu: 'Menu Text URL', servesCuisine: 'Text', starRating: 'Rating' }
+  },
+  Restaurant: { parent: 'FoodEstablishment', properties: {} },
+  Person: {
+    parent: 'Thing',
+    properties: {
+      additionalName: 'Text', address: 'PostalAddress Text', affiliation: 'Organization', alumniOf: 'EducationalOrganization Organization',
+      award: 'Text', birthDate: 'Date', birthPlace: 'Place', brand: 'Brand Organization', colleague: 'Person URL',
+      contactPoint: 'ContactPoint', deathDate: 'Date', email: 'Text', familyName: 'Text', gender: 'Text',
+      givenName: 'Text', hasCredential: 'EducationalOccupationalCredential', hasOccupation: 'Occupation',
+      homeLocation: 'ContactPoint Place', honorificPrefix: 'Text', honorificSuffix: 'Text',
+      interactionStatistic: 'InteractionCounter', jobTitle: 'DefinedTerm Text', knows: 'Person',
+      knowsAbout: 'Text Thing URL', knowsLanguage: 'Language Text', memberOf: 'Organization', nationality: 'Country',
+      owns: 'Product', publishingPrinciples: 'CreativeWork URL', sponsor: 'Organization Person', telephone: 'Text',
+      workLocation: 'ContactPoint Place', worksFor: 'Organization'
+    }
+  },
+  Brand: { parent: 'Intangible', properties: { aggregateRating: 'AggregateRating', logo: 'ImageObject URL', review: 'Review', slogan: 'Text' } },
+
+  // Places
+  Place: {
+    parent: 'Thing',
+    properties: {
+      address: 'PostalAddress Text', aggregateRating: 'AggregateRating', containedInPlace: 'Place',
+      geo: 'GeoCoordinates GeoShape', hasMap: 'Map URL', latitude: 'Number Text', longitude: 'Number Text',
+      logo: 'ImageObject URL', openingHoursSpecification: 'OpeningHoursSpecification', photo: 'ImageObject Photograph',
+      review: 'Review', telephone: 'Text', faxNumber: 'Text', globalLocationNumber: 'Text', hasDriveThroughService: 'Boolean',
+      isAccessibleForFree: 'Boolean', publicAccess: 'Boolean', smokingAllowed: 'Boolean', maximumAttendeeCapacity: 'Integer'
+    }
+  },
+  AdministrativeArea: { parent: 'Place', properties: {} },
+  Country: { parent: 'AdministrativeArea', properties: {} },
+  City: { parent: 'AdministrativeArea', properties: {} },
+  VirtualLocation: { parent: 'Intangible', properties: {} },
+
+  // Products, offers and ratings
+  Product: {
+    parent: 'Thing',
+    properties: {
+      additionalProperty: 'PropertyValue', aggregateRating: 'AggregateRating', audience: 'Audience', award: 'Text',
+      brand: 'Brand Organization', category: 'CategoryCode PhysicalActivityCategory Text Thing URL', color: 'Text',
+      depth: 'Distance QuantitativeValue', gtin: 'Text URL', gtin8: 'Text', gtin12: 'Text', gtin13: 'Text', gtin14: 'Text',
+      hasMerchantReturnPolicy: 'MerchantReturnPolicy', height: 'Distance QuantitativeValue', inProductGroupWithID: 'Text',
+      isRelatedTo: 'Product Service', isSimilarTo: 'Product Service', isVariantOf: 'ProductGroup ProductModel',
+      itemCondition: 'OfferItemCondition', logo: 'ImageObject URL', manufacturer: 'Organization', material: 'Product Text URL',
+      model: 'ProductModel Text', mpn: 'Text', nsn: 'Text', offers: 'Demand Offer', pattern: 'DefinedTerm Text',
+      productID: 'Text', productionDate: 'Date', purchaseDate: 'Date', releaseDate: 'Date', review: 'Review',
+      size: 'DefinedTerm QuantitativeValue SizeSpecification Text', sku: 'Text', slogan: 'Text',
+      weight: 'QuantitativeValue', width: 'Distance QuantitativeValue'
+    }
+  },
+  ProductGroup: { parent: 'Product', properties: { hasVariant: 'Product', productGroupID: 'Text', variesBy: 'DefinedTerm Text' } },
+  ProductModel: { parent: 'Product', properties: { isVariantOf: 'ProductGroup ProductModel', predecessorOf: 'ProductModel', successorOf: 'ProductModel' } },
+  Intangible: { parent: 'Thing', properties: {} },
+  Service: {
+    parent: 'Intangible',
+    properties: {
+      aggregateRating: 'AggregateRating', areaServed: 'AdministrativeArea GeoShape Place Text', audience: 'Audience',
+      brand: 'Brand Organization', category: 'PhysicalActivityCategory Text Thing URL', hasOfferCatalog: 'OfferCatalog',
+      logo: 'ImageObject URL', offers: 'Demand Offer', provider: 'Organization Person', review: 'Review',
+      serviceType: 'Text', slogan: 'Text'
+    }
+  },
+  Offer: {
+    parent: 'Intangible',
+    properties: {
+      acceptedPaymentMethod: 'LoanOrCredit PaymentMethod', aggregateRating: 'AggregateRating', areaServed: 'AdministrativeArea GeoShape Place Text',
+      availability: 'ItemAvailability', availabilityEnds: 'Date DateTime Time', availabilityStarts: 'Date DateTime Time',
+      businessFunction: 'BusinessFunction', category: 'PhysicalActivityCategory Text Thing URL', eligibleRegion: 'GeoShape Place Text',
+      gtin: 'Text URL', hasMerchantReturnPolicy: 'MerchantReturnPolicy', itemCondition: 'OfferItemCondition',
+      itemOffered: 'Product Service Thing', mpn: 'Text', offeredBy: 'Organization Person', price: 'Number Text',
+      priceCurrency: 'Text', priceSpecification: 'PriceSpecification', priceValidUntil: 'Date', review: 'Review',
+      seller: 'Organization Person', shippingDetails: 'OfferShippingDetails', sku: 'Text', validFrom: 'Date DateTime',
+      validThrough: 'Date DateTime', warranty: 'WarrantyPromise'
+    }
+  },
+  AggregateOffer: { parent: 'Offer', properties: { highPrice: 'Number Text', lowPrice: 'Number Text', offerCount: 'Integer', offers: 'Demand Offer' } },
+  Demand: { parent: 'Intangible', properties: { itemOffered: 'Product Service Thing', seller: 'Organization Person' } },
+  StructuredValue: { parent: 'Intangible', properties: {} },
+  PriceSpecification: {
+    parent: 'StructuredValue',
+    properties: {
+      eligibleQuantity: 'QuantitativeValue', maxPrice: 'Number', minPrice: 'Number', price: 'Number Text',
+      priceCurrency: 'Text', validFrom: 'Date DateTime', validThrough: 'Date DateTime', valueAddedTaxIncluded: 'Boolean'
+    }
+  },
+  UnitPriceSpecification: { parent: 'PriceSpecification', properties: { billingDuration: 'Duration Number QuantitativeValue', priceType: 'Text', referenceQuantity: 'QuantitativeValue', unitCode: 'Text URL', unitText: 'Text' } },
+  MonetaryAmount: { parent: 'StructuredValue', properties: { currency: 'Text', maxValue: 'Number', minValue: 'Number', value: 'Boolean Number StructuredValue Text' } },
+  QuantitativeValue: { parent: 'StructuredValue', properties: { maxValue: 'Number', minValue: 'Number', unitCode: 'Text URL', unitText: 'Text', value: 'Boolean Number StructuredValue Text' } },
+  PropertyValue: { parent: 'StructuredValue', properties: { propertyID: 'Text URL', unitCode: 'Text URL', unitText: 'Text', value: 'Boolean Number StructuredValue Text' } },
+  Rating: {
+    parent: 'Intangible',
+    properties: { author: 'Organization Person', bestRating: 'Number Text', ratingExplanation: 'Text', ratingValue: 'Number Text', reviewAspect: 'Text', worstRating: 'Number Text' }
+  },
+  AggregateRating: { parent: 'Rating', properties: { itemReviewed: 'Thing', ratingCount: 'Integer', reviewCount: 'Integer' } },
+
+  // Addresses and contact details
+  ContactPoint: {
+    parent: 'StructuredValue',
+    properties: {
+      areaServed: 'AdministrativeArea GeoShape Place Text', availableLanguage: 'Language Text', contactOption: 'ContactPointOption',
+      contactType: 'Text', email: 'Text', faxNumber: 'Text', hoursAvailable: 'OpeningHoursSpecification', telephone: 'Text'
+    }
+  },
+  PostalAddress: {
+    parent: 'ContactPoint',
+    properties: {
+      addressCountry: 'Country Text', addressLocality: 'Text', addressRegion: 'Text', postOfficeBoxNumber: 'Text',
+      postalCode: 'Text', streetAddress: 'Text'
+    }
+  },
+  GeoCoordinates: { parent: 'StructuredValue', properties: { address: 'PostalAddress Text', addressCountry: 'Country Text', elevation: 'Number Text', latitude: 'Number Text', longitude: 'Number Text', postalCode: 'Text' } },
+  OpeningHoursSpecification: {
+    parent: 'StructuredValue',
+    properties: { closes: 'Time', dayOfWeek: 'DayOfWeek', opens: 'Time', validFrom: 'Date DateTime', validThrough: 'Date DateTime' }
+  },
+
+  // Lists, steps and breadcrumbs
+  ItemList: { parent: 'Intangible', properties: { itemListElement: 'ListItem Text Thing', itemListOrder: 'ItemListOrderType Text', numberOfItems: 'Integer' } },
+  BreadcrumbList: { parent: 'ItemList', properties: {} },
+  OfferCatalog: { parent: 'ItemList', properties: {} },
+  ListItem: { parent: 'Intangible', properties: { item: 'Thing', nextItem: 'ListItem', position: 'Integer Text', previousItem: 'ListItem' } },
+  HowToSection: { parent: ['CreativeWork', 'ItemList', 'ListItem'], properties: { steps: 'CreativeWork ItemList Text' } },
+  HowToStep: { parent: ['CreativeWork', 'ItemList', 'ListItem'], properties: {} },
+  HowToDirection: {
+    parent: ['CreativeWork', 'ListItem'],
+    properties: {
+      afterMedia: 'MediaObject URL', beforeMedia: 'MediaObject URL', duringMedia: 'MediaObject URL', performTime: 'Duration',
+      prepTime: 'Duration', supply: 'HowToSupply Text', tool: 'HowToTool Text', totalTime: 'Duration'
+    }
+  },
+  HowToTip: { parent: ['CreativeWork', 'ListItem'], properties: {} },
+  HowToItem: { parent: 'ListItem', properties: { requiredQuantity: 'Number QuantitativeValue Text' } },
+  HowToSupply: { parent: 'HowToItem', properties: { estimatedCost: 'MonetaryAmount Text' } },
+  HowToTool: { parent: 'HowToItem', properties: {} },
+
+  // Events
+  Event: {
+    parent: 'Thing',
+    properties: {
+      about: 'Thing', actor: 'Person', aggregateRating: 'AggregateRating', attendee: 'Organization Person', audience: 'Audience',
+      doorTime: 'DateTime Time', duration: 'Duration', endDate: 'Date DateTime', eventAttendanceMode: 'EventAttendanceModeEnumeration',
+      eventStatus: 'EventStatusType', inLanguage: 'Language Text', isAccessibleForFree: 'Boolean',
+      location: 'Place PostalAddress Text VirtualLocation', maximumAttendeeCapacity: 'Integer', offers: 'Demand Offer',
+      organizer: 'Organization Person', performer: 'Organization Person', previousStartDate: 'Date',
+      review: 'Review', sponsor: 'Organization Person', startDate: 'Date DateTime', subEvent: 'Event',
+      superEvent: 'Event', typicalAgeRange: 'Text'
+    }
+  },
+
+  // Actions
+  Action: {
+    parent: 'Thing',
+    properties: {
+      actionStatus: 'ActionStatusType', agent: 'Organization Person', endTime: 'DateTime Time', object: 'Thing',
+      result: 'Thing', startTime: 'DateTime Time', target: 'EntryPoint URL'
+    }
+  },
+  SearchAction: { parent: 'Action', properties: { query: 'Text', 'query-input': 'PropertyValueSpecification Text' } },
+  ReadAction: { parent: 'Action', properties: {} },
+  EntryPoint: { parent: 'Intangible', properties: { actionPlatform: 'Text URL', contentType: 'Text', encodingType: 'Text', httpMethod: 'Text', urlTemplate: 'Text' } },
+  SpeakableSpecification: { parent: 'Intangible', properties: { cssSelector: 'Text', xpath: 'Text' } },
+  InteractionCounter: { parent: 'StructuredValue', properties: { interactionType: 'Action', userInteractionCount: 'Integer' } },
+  Language: { parent: 'Intangible', properties: {} },
+  Audience: { parent: 'Intangible', properties: { audienceType: 'Text', geographicArea: 'AdministrativeArea' } },
+  DefinedTerm: { parent: 'Intangible', properties: { inDefinedTermSet: 'DefinedTermSet URL', termCode: 'Text' } },
+
+  // Enumerations take their members as text or URLs (https://schema.org/InStock)
+  Enumeration: { parent: 'Intangible', properties: {} },
+  ItemAvailability: { parent: 'Enumeration', properties: {} },
+  OfferItemCondition: { parent: 'Enumeration', properties: {} },
+  DayOfWeek: { parent: 'Enumeration', properties: {} },
+  EventStatusType: { parent: 'Enumeration', properties: {} },
+  EventAttendanceModeEnumeration: { parent: 'Enumeration', properties: {} },
+  ActionStatusType: { parent: 'Enumeration', properties: {} },
+  ItemListOrderType: { parent: 'Enumeration', properties: {} },
+  BusinessFunction: { parent: 'Enumeration', properties: {} },
+  ContactPointOption: { parent: 'Enumeration', properties: {} },
+  PaymentMethod: { parent: 'Enumeration', properties: {} },
+  RestrictedDiet: { parent: 'Enumeration', properties: {} },
+  MedicalSpecialty: { parent: 'Enumeration', properties: {} },
+  Specialty: { parent: 'Enumeration', properties: {} },
+  PhysicalActivityCategory: { parent: 'Enumeration', properties: {} },
+  SizeSpecification: { parent: 'Enumeration', properties: {} }
+};
+
+/**
+ * Rich-result rules: properties a type must have (required) and should have
+ * (recommended). "a|b" is satisfied by either property. A type without rules
+ * uses those of its nearest ancestor that has them. numeric lists properties
+ * that must hold a number even though schema.org also allows text;
+ * optionalWhenNested lists properties implied by the entity's parent (a
+ * Review nested under a Product needs no itemReviewed).
+ */
+const RICH_RESULT_RULES = {
+  FAQPage: { required: ['mainEntity'], recommended: [] },
+  Question: { required: ['name', 'acceptedAnswer|suggestedAnswer'], recommended: [] },
+  Answer: { required: ['text'], recommended: [] },
+  HowTo: { required: ['name', 'step'], recommended: ['image', 'totalTime', 'supply', 'tool'] },
+  HowToStep: { required: ['text|itemListElement'], recommended: ['name'] },
+  HowToSection: { required: ['name', 'itemListElement'], recommended: [] },
+  Article: { required: ['headline'], recommended: ['author', 'datePublished', 'dateModified', 'image', 'publisher'] },
+  Organization: { required: ['name'], recommended: ['url', 'logo', 'sameAs'] },
+  LocalBusiness: { required: ['name', 'address'], recommended: ['telephone', 'url', 'geo', 'openingHoursSpecification|openingHours', 'image'] },
+  PostalAddress: { required: [], recommended: ['streetAddress', 'addressLocality', 'postalCode', 'addressCountry'] },
+  Product: { required: ['name', 'offers|review|aggregateRating'], recommended: ['image', 'description', 'brand', 'sku|gtin|gtin8|gtin12|gtin13|gtin14|mpn'] },
+  Offer: { required: ['price|priceSpecification'], recommended: ['priceCurrency', 'availability'], numeric: ['price'] },
+  AggregateOffer: { required: ['lowPrice', 'priceCurrency'], recommended: ['highPrice', 'offerCount'], numeric: ['lowPrice', 'highPrice'] },
+  AggregateRating: { required: ['ratingValue', 'ratingCount|reviewCount'], recommended: [], numeric: ['ratingValue', 'bestRating', 'worstRating'] },
+  Rating: { required: ['ratingValue'], recommended: [], numeric: ['ratingValue', 'bestRating', 'worstRating'] },
+  Review: { required: ['author', 'itemReviewed'], recommended: ['reviewRating', 'datePublished'], optionalWhenNested: ['itemReviewed'] },
+  BreadcrumbList: { required: ['itemListElement'], recommended: [] },
+  ListItem: { required: ['position'], recommended: ['name', 'item'] },
+  Person: { required: ['name'], recommended: ['url', 'sameAs'] },
+  VideoObject: { required: ['name', 'thumbnailUrl', 'uploadDate'], recommended: ['description', 'contentUrl|embedUrl', 'duration'] }
+};
+
+const KNOWN_TYPES = new Set([...Object.keys(TYPES), ...SCHEMA_ORG_TYPE_NAMES]);
+
+/**
+ * A type and all of its ancestors, nearest first
+ * @param {string} type - Type name
+ * @returns {Array<string>} Type names (empty for types without a definition)
+ */
+function typeAncestors(type) {
+  const result = [];
+  const queue = [type];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (!TYPES[current] || result.includes(current)) continue;
+    result.push(current);
+    queue.push(...[].concat(TYPES[current].parent || []));
+  }
+  return result;
+}
+
+/**
+ * Expected value types of a property on a type (from the type or an ancestor)
+ * @param {string} type - Type name
+ * @param {string} property - Property name
+ * @returns {Array<string>|null} Range types, or null when the type does not have the property
+ */
+function propertyRange(type, property) {
+  const owner = typeAncestors(type).find(t => TYPES[t].properties[property]);
+  return owner ? TYPES[owner].properties[property].split(' ') : null;
+}
+
+/**
+ * Rich-result rules of a type: its own, or those of the nearest ancestor
+ * along its primary (first) parent
+ * @param {string} type - Type name
+ * @returns {Object|null} Rules, or null when no ancestor has any
+ */
+function typeRules(type) {
+  for (let current = type; current && TYPES[current]; current = [].concat(TYPES[current].parent || [])[0]) {
+    if (RICH_RESULT_RULES[current]) return RICH_RESULT_RULES[current];
+  }
+  return null;
+}
+
+/**
+ * Whether a type is an enumeration (its values are member names or URLs)
+ * @param {string} type - Type name
+ * @returns {boolean}
+ */
+function isEnumeration(type) {
+  return typeAncestors(type).includes('Enumeration');
+}
+
+module.exports = {
+  DATA_TYPES,
+  TYPES,
+  KNOWN_TYPES,
+  RICH_RESULT_RULES,
+  typeAncestors,
+  propertyRange,
+  typeRules,
+  isEnumeration
+};
@@ -0,0 +1,242 @@
+/**
+ * Sitemap Discovery Module
+ * Finds, fetches and parses XML sitemaps (including indexes and .gz files)
+ * and reconciles sitemap URLs against what the crawl actually reached
+ */
+
+const zlib = require('zlib');
+
+// Conventional locations tried in addition to robots.txt Sitemap lines
+const DEFAULT_SITEMAP_PATHS = ['/sitemap.xml', '/sitemap_index.xml'];
+const MAX_SITEMAP_FILES = 50;
+const MAX_INDEX_DEPTH = 3;
+
+function decodeXmlText(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+function readTag(block, tag) {
+  const match = block.match(new RegExp(`<(?:[\\w-]+:)?${tag}[^>]*>([\\s\\S]*?)<\\/(?:[\\w-]+:)?${tag}>`, 'i'));
+  return match ? decodeXmlText(match[1]) : null;
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Parse a sitemap or sitemap index document
+ * @param {string} xml - Sitemap XML
+ * @returns {Object} { type: 'urlset'|'sitemapindex'|'unknown', entries: [{ loc, lastmod }] }
+ */
+function parseSitemapXml(xml) {
+  const isIndex = /<(?:[\w-]+:)?sitemapindex[\s>]/i.test(xml);
+  const isUrlset = /<(?:[\w-]+:)?urlset[\s>]/i.test(xml);
+  const blockTag = isIndex ? 'sitemap' : 'url';
+  const blockRegex = new RegExp(`<(?:[\\w-]+:)?${blockTag}[\\s>][\\s\\S]*?<\\/(?:[\\w-]+:)?${blockTag}>`, 'gi');
+
+  const entries = [];
+  let match;
+  while ((match = blockRegex.exec(xml)) !== null) {
+    const loc = readTag(match[0], 'loc');
+    if (!loc) continue;
+    entries.push({ loc, lastmod: toIsoDate(readTag(match[0], 'lastmod')) });
+  }
+
+  return {
+    type: isIndex ? 'sitemapindex' : isUrlset ? 'urlset' : 'unknown',
+    entries
+  };
+}
+
+/**
+ * Read a sitemap response body, gunzipping it when it is gzip data
+ */
+async function readSitemapBody(response) {
+  const buffer = Buffer.from(await response.arrayBuffer());
+  if (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    return zlib.gunzipSync(buffer).toString('utf8');
+  }
+  return buffer.toString('utf8');
+}
+
+function latestDate(dates) {
+  const valid = dates.filter(Boolean).sort();
+  return valid.length > 0 ? valid[valid.length - 1] : null;
+}
+
+/**
+ * Discover and fetch all sitemaps for a site
+ * @param {URL} base - Site base URL
+ * @param {Object} robotsTxt - Snapshot robots_txt entry
+ * @param {Function} fetchFn - async (url) => Response
+ * @returns {Object} { sitemaps: [...], entries: [{ url, lastmod, sitemap }] }
+ */
+async function discoverSitemaps(base, robotsTxt, fetchFn) {
+  const sitemaps = [];
+  const entries = [];
+  const seenUrls = new Set();
+  const queue = [];
+
+  (robotsTxt && robotsTxt.sitemap_urls || []).forEach(url => {
+    queue.push({ url, source: 'robots_txt', depth: 0 });
+  });
+  DEFAULT_SITEMAP_PATHS.forEach(p => {
+    queue.push({ url: new URL(p, base).href, source: 'default_path', depth: 0 });
+  });
+
+  const fetched = new Set();
+
+  while (queue.length > 0 && fetched.size < MAX_SITEMAP_FILES) {
+    const { url, source, depth, lastmod } = queue.shift();
+    if (fetched.has(url)) continue;
+    fetched.add(url);
+
+    let response;
+    try {
+      console.log(`Fetching sitemap: ${url}`);
+      response = await fetchFn(url);
+    } catch (error) {
+      // Guessed default paths are allowed to be missing
+      if (source !== 'default_path') {
+        sitemaps.push({ url, source, status_code: 0, error: error.message, urls_count: 0 });
+      }
+      continue;
+    }
+
+    if (response.status !== 200) {
+      if (source !== 'default_path') {
+        sitemaps.push({ url, source, status_code: response.status, urls_count: 0 });
+      }
+      continue;
+    }
+
+    let parsed;
+    try {
+      parsed = parseSitemapXml(await readSitemapBody(response));
+    } catch (error) {
+      sitemaps.push({ url, source, status_code: response.status, error: error.message, urls_count: 0 });
+      continue;
+    }
+
+    // A default path that serves an HTML 404 page is not a sitemap
+    if (parsed.type === 'unknown' && source === 'default_path') continue;
+
+    const sitemap = {
+      url,
+      source,
+      type: parsed.type,
+      status_code: response.status,
+      urls_count: 0
+    };
+
+    if (parsed.type === 'sitemapindex') {
+      sitemap.child_sitemaps = parsed.entries.map(e => e.loc);
+      if (depth < MAX_INDEX_DEPTH) {
+        parsed.entries.forEach(e => {
+          queue.push({ url: e.loc, source: url, depth: depth + 1, lastmod: e.lastmod });
+        });
+      }
+    } else {
+      parsed.entries.forEach(e => {
+        if (seenUrls.has(e.loc)) return;
+        seenUrls.add(e.loc);
+        entries.push({ url: e.loc, lastmod: e.lastmod, sitemap: url });
+        sitemap.urls_count++;
+      });
+    }
+
+    const lastModified = latestDate([lastmod, ...parsed.entries.map(e => e.lastmod)]);
+    if (lastModified) sitemap.last_modified = lastModified;
+
+    sitemaps.push(sitemap);
+  }
+
+  return { sitemaps, entries };
+}
+
+/**
+ * Normalize a URL for set comparisons (drops the fragment)
+ */
+function comparableUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Compare sitemap URLs against crawled pages and discovered links
+ * @param {Object} options
+ * @param {Array} options.entries - Sitemap entries from discoverSitemaps()
+ * @param {Array} options.pages - Crawled pages
+ * @param {Iterable} options.linkedUrls - Internal URLs found in page links
+ * @param {string} options.startUrl - Crawl start URL
+ * @param {Object} options.statusChecks - Map of URL to { status_code, redirected, final_url } for sitemap URLs not crawled
+ * @param {Function} options.normalizeUrl - Crawl URL normalizer, so sitemap URLs compare like crawled ones
+ * @returns {Object} Reconciliation report
+ */
+function reconcileSitemapCoverage({ entries, pages, linkedUrls, startUrl, statusChecks = {}, normalizeUrl }) {
+  const key = url => (normalizeUrl && normalizeUrl(url)) || comparableUrl(url);
+  const sitemapSet = new Set(entries.map(e => key(e.url)));
+  const linkedSet = new Set([...linkedUrls].map(key));
+  linkedSet.add(key(startUrl));
+
+  const pagesByUrl = new Map(pages.map(p => [key(p.url), p]));
+
+  const inSitemapNotLinked = entries
+    .map(e => e.url)
+    .filter(url => !linkedSet.has(key(url)));
+
+  const linkedNotInSitemap = pages
+    .filter(p => p.status_code === 200)
+    .map(p => p.url)
+    .filter(url => linkedSet.has(key(url)) && !sitemapSet.has(key(url)));
+
+  const sitemapErrors = [];
+  const sitemapRedirects = [];
+  let unchecked = 0;
+
+  entries.forEach(entry => {
+    const page = pagesByUrl.get(key(entry.url));
+    const check = page || statusChecks[entry.url];
+    if (!check) {
+      unchecked++;
+      return;
+    }
+    if (check.redirected || check.redirect_chain || (check.status_code >= 300 && check.status_code < 400)) {
+      sitemapRedirects.push({ url: entry.url, status_code: check.status_code, final_url: check.final_url || null });
+    } else if (check.status_code !== 200) {
+      sitemapErrors.push({ url: entry.url, status_code: check.status_code });
+    }
+  });
+
+  return {
+    sitemap_urls: entries.length,
+    in_sitemap_not_linked: inSitemapNotLinked,
+    linked_not_in_sitemap: linkedNotInSitemap,
+    sitemap_url_errors: sitemapErrors,
+    sitemap_url_redirects: sitemapRedirects,
+    unchecked_sitemap_urls: unchecked
+  };
+}
+
+module.exports = {
+  DEFAULT_SITEMAP_PATHS,
+  parseSitemapXml,
+  discoverSitemaps,
+  reconcileSitemapCoverage,
+  comparableUrl
+};
@@ -1,8 +1,15 @@
 const fs = require('fs');
 const path = require('path');
+const { loadHtml, extractMetaTags } = require('./html_extractor');
+const { extractEntities } = require('./schema_entities');
+const { isAssetPage, isDocumentPage } = require('./page_types');
+const { readCachedHtml, DEFAULT_CACHE_DIR } = require('./page_cache');
+const { createLocalClient } = require('./local_site');
+const { loadArchive, createArchiveClient } = require('./archive_import');
+const { incompleteSnapshotWarning } = require('./crawl_checkpoint');
 
 // Extract structured data from crawled pages
-// Parses: JSON-LD, OpenGraph, Twitter Cards, Microdata
+// Parses: JSON-LD, Microdata, RDFa (as entities), OpenGraph, Twitter Cards
 
 const TIMEOUT_MS = 10000;
 
@@ -25,132 +32,64 @@ async function fetchPage(url) {
   }
 }
 
+/**
+ * Extract a page's structured data: Schema.org entities (JSON-LD, microdata,
+ * RDFa) in the shared entity model, plus OpenGraph and Twitter Card tags
+ * @param {string|Function} html - Raw HTML or a cheerio root
+ * @param {string} url - Page URL
+ * @returns {Object} { entities, errors, social_tags }
+ */
 function extractStructuredData(html, url) {
-  const results = [];
+  const $ = typeof html === 'function' ? html : loadHtml(html);
+  const { entities, errors } = extractEntities($, url);
   
-  // 1. Extract JSON-LD
-  const jsonLdRegex = /<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
-  let jsonLdMatch;
-  while ((jsonLdMatch = jsonLdRegex.exec(html)) !== null) {
-    try {
-      const parsed = JSON.parse(jsonLdMatch[1]);
-      results.push({
-        type: 'json-ld',
-        schema: parsed['@type'] || 'Unknown',
-        data: parsed
-      });
-    } catch (e) {
-      // Invalid JSON, skip
-    }
-  }
+  const meta = extractMetaTags($);
+  const socialTags = {};
   
-  // 2. Extract OpenGraph tags
+  // OpenGraph tags
   const ogTags = {};
-  const ogRegex = /<meta[^>]+property=["'](og:[^"']+)["'][^>]+content=["']([^"']*)["']/gi;
-  let ogMatch;
-  while ((ogMatch = ogRegex.exec(html)) !== null) {
-    ogTags[ogMatch[1]] = ogMatch[2];
-  }
-  // Also check alternate format
-  const ogAltRegex = /<meta[^>]+content=["']([^"']*)["'][^>]+property=["'](og:[^"']+)["']/gi;
-  while ((ogMatch = ogAltRegex.exec(html)) !== null) {
-    ogTags[ogMatch[2]] = ogMatch[1];
-  }
+  Object.entries(meta).filter(([key]) => key.startsWith('og:')).forEach(([key, value]) => {
+    ogTags[key] = value;
+  });
+  if (Object.keys(ogTags).length > 0) socialTags.opengraph = ogTags;
   
-  if (Object.keys(ogTags).length > 0) {
-    results.push({
-      type: 'opengraph',
-      schema: ogTags['og:type'] || 'website',
-      data: ogTags
-    });
-  }
-  
-  // 3. Extract Twitter Card tags
+  // Twitter Card tags
   const twitterTags = {};
-  const twitterRegex = /<meta[^>]+name=["'](twitter:[^"']+)["'][^>]+content=["']([^"']*)["']/gi;
-  let twitterMatch;
-  while ((twitterMatch = twitterRegex.exec(html)) !== null) {
-    twitterTags[twitterMatch[1]] = twitterMatch[2];
-  }
+  Object.entries(meta).filter(([key]) => key.startsWith('twitter:')).forEach(([key, value]) => {
+    twitterTags[key] = value;
+  });
+  if (Object.keys(twitterTags).length > 0) socialTags.twitter = twitterTags;
   
-  if (Object.keys(twitterTags).length > 0) {
-    results.push({
-      type: 'twitter-card',
-      schema: twitterTags['twitter:card'] || 'summary',
-      data: twitterTags
-    });
-  }
-  
-  // 4. Extract Microdata (Schema.org in HTML)
-  const microdataItems = [];
-  const itemScopeRegex = /<[^>]+itemscope[^>]*>/gi;
-  const itemTypeRegex = /itemtype=["']([^"']+)["']/;
-  const itemPropRegex = /itemprop=["']([^"']+)["'][^>]*content=["']([^"']*)["']/;
-  
-  // Simple microdata extraction - look for items with type
-  const microdataRegex = /<([^>\s]+)[^>]*itemscope[^>]*itemtype=["']([^"']+)["'][^>]*>/gi;
-  let mdMatch;
-  while ((mdMatch = microdataRegex.exec(html)) !== null) {
-    const schemaUrl = mdMatch[2];
-    const schemaType = schemaUrl.split('/').pop().replace(']', '');
-    microdataItems.push({
-      type: 'microdata',
-      schema: schemaType,
-      data: { element: mdMatch[1], itemType: schemaUrl }
-    });
-  }
-  
-  results.push(...microdataItems);
-  
-  return results;
+  return { entities, errors, social_tags: socialTags };
 }
 
-function extractKeyEntities(html) {
-  const entities = new Set();
+function extractKeyEntities(html, entities) {
+  const $ = typeof html === 'function' ? html : loadHtml(html);
+  const found = new Set();
   
   // Extract organization names (common patterns)
-  const orgPatterns = [
-    /<meta[^>]+property=["'](?:og|article):publisher["'][^>]+content=["']([^"']+)["']/i,
-    /<meta[^>]+name=["'](?:author|creator)["'][^>]+content=["']([^"']+)["']/i,
-  ];
-  
-  for (const pattern of orgPatterns) {
-    const match = html.match(pattern);
-    if (match && match[1]) {
-      entities.add(match[1]);
+  const meta = extractMetaTags($);
+  for (const key of ['og:publisher', 'article:publisher', 'author', 'creator']) {
+    if (meta[key]) {
+      found.add(meta[key]);
     }
   }
   
-  // Extract from JSON-LD
-  const jsonLdRegex = /<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
-  let jsonLdMatch;
-  while ((jsonLdMatch = jsonLdRegex.exec(html)) !== null) {
-    try {
-      const parsed = JSON.parse(jsonLdMatch[1]);
-      // Common entity types
-      if (parsed['@type']) {
-        const type = parsed['@type'];
-        if (Array.isArray(type)) {
-          type.forEach(t => entities.add(t));
-        } else {
-          entities.add(type);
-        }
-      }
-      if (parsed.publisher && parsed.publisher.name) {
-        entities.add(parsed.publisher.name);
-      }
-      if (parsed.author) {
-        const author = Array.isArray(parsed.author) ? parsed.author[0] : parsed.author;
-        if (typeof author === 'string') {
-          entities.add(author);
-        } else if (author.name) {
-          entities.add(author.name);
-        }
-      }
-    } catch {}
-  }
+  // Types in use, and who publishes and writes the content
+  entities.forEach(entity => entity.types.forEach(t => found.add(t)));
+  const nameOf = value => {
+    if (typeof value === 'string') return value;
+    const entity = value && value['@entity'] !== undefined ? entities[value['@entity']] : null;
+    const name = entity && (entity.properties.name || [])[0];
+    return typeof name === 'string' ? name : null;
+  };
+  entities.forEach(entity => {
+    ['publisher', 'author'].forEach(property => {
+      (entity.properties[property] || []).map(nameOf).filter(Boolean).forEach(name => found.add(name));
+    });
+  });
   
-  return Array.from(entities);
+  return Array.from(found);
 }
 
 async function main() {
@@ -165,21 +104,40 @@ async function main() {
   let totalStructuredData = 0;
   let allEntities = [];
   
+  // Snapshots of a local build or an archive are read back from the same source
+  let offlineClient = null;
+  if (snapshot.source_dir) {
+    offlineClient = createLocalClient(snapshot.source_dir, snapshot.website_url);
+  } else if (snapshot.archive) {
+    offlineClient = createArchiveClient(loadArchive(snapshot.archive.file));
+  }
+  
+  // The crawler's page cache, unless the crawl ran without it (--no-cache). Local builds
+  // and archives are always read from their source: the cache may hold live HTML for the same URLs
+  const crawlSettings = snapshot.crawl_settings || {};
+  const cacheDir = offlineClient || crawlSettings.cache === false ? null : (crawlSettings.cache_dir || DEFAULT_CACHE_DIR);
+  
   for (const page of snapshot.pages) {
-    if (page.status_code !== 200) continue;
+    if (page.status_code !== 200 || isAssetPage(page) || isDocumentPage(page)) continue;
     
     console.log(`Extracting from: ${page.url}`);
     
     try {
-      const { html } = await fetchPage(page.url);
+      // Reuse the crawler's cached HTML when it has it
+      let html = cacheDir ? readCachedHtml(page.url, cacheDir) : null;
+      if (html === null) {
+        html = offlineClient ? await (await offlineClient.request(page.url)).text() : (await fetchPage(page.url)).html;
+      }
+      const $ = loadHtml(html);
       
       // Extract structured data
-      const structuredData = extractStructuredData(html, page.url);
-      page.structured_data = structuredData;
-      totalStructuredData += structuredData.length;
+      const structuredData = extractStructuredData($, page.url);
+      page.structured_data = structuredData.entities;
+      page.social_tags = structuredData.social_tags;
+      totalStructuredData += structuredData.entities.length;
       
       // Extract key entities
-      const entities = extractKeyEntities(html);
+      const entities = extractKeyEntities($, structuredData.entities);
       entities.forEach(e => {
         if (!allEntities.includes(e)) {
           allEntities.push(e);
@@ -199,9 +157,11 @@ async function main() {
   fs.writeFileSync(snapshotPath, JSON.stringify(snapshot, null, 2));
   
   console.log(`\nStructured data extraction complete!`);
-  console.log(`- Total structured data entries: ${totalStructuredData}`);
+  console.log(`- Total structured data entities: ${totalStructuredData}`);
   console.log(`- Key entities found: ${allEntities.length}`);
   console.log(`- Updated: ${snapshotPath}`);
+  const warning = incompleteSnapshotWarning(snapshot);
+  if (warning) console.warn(`Warning: ${warning}`);
 }
 
 main().catch(console.error);
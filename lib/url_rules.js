@@ -0,0 +1,207 @@
+/**
+ * URL Rules Module
+ * Normalizes discovered URLs, applies per-customer include/exclude patterns
+ * and stops the crawler from wandering into parameter explosions and other
+ * infinite URL spaces
+ */
+
+// Query parameters that only track campaigns or clicks
+const TRACKING_PARAMS = [
+  'utm_*', 'gclid', 'gclsrc', 'dclid', 'fbclid', 'msclkid', 'yclid', 'twclid',
+  'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok', 'igshid', 'ref_src'
+];
+
+const DEFAULT_NORMALIZE = {
+  strip_params: TRACKING_PARAMS,
+  strip_all_params: false,
+  sort_params: true,
+  trailing_slash: 'keep',
+  lowercase_path: false
+};
+
+const DEFAULT_TRAPS = {
+  max_path_segments: 15,
+  max_segment_repeats: 2,
+  max_query_params: 5,
+  max_variants_per_path: 25,
+  max_urls_per_pattern: 1000
+};
+
+function escapeRegex(text) {
+  return text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a glob ("/blog/**", "*.pdf") or regex ("re:^/tag/") pattern.
+ * Globs match the URL path, or the full URL when they include a scheme;
+ * globs without a leading "/" match the end of the path at any depth
+ * ("*.pdf" matches "/docs/a.pdf"). Regexes are tested against the full URL.
+ * @param {string} pattern - Pattern from the customer config
+ * @returns {Function} (URL) => boolean
+ */
+function compilePattern(pattern) {
+  if (pattern.startsWith('re:')) {
+    const regex = new RegExp(pattern.slice(3));
+    return url => regex.test(url.href);
+  }
+
+  const source = pattern
+    .split('**')
+    .map(part => part.split('*').map(p => escapeRegex(p).replace(/\?/g, '[^/]')).join('[^/]*'))
+    .join('.*');
+  const regex = new RegExp(`^${source}$`);
+  const full = /^[a-z][a-z0-9+.-]*:\/\//i.test(pattern);
+  if (!full && !pattern.startsWith('/')) {
+    const suffix = new RegExp(`(?:^|/)${source}$`);
+    return url => suffix.test(url.pathname);
+  }
+  return url => regex.test(full ? url.href : url.pathname);
+}
+
+function paramMatcher(names) {
+  const patterns = names.map(name => compilePattern(name.toLowerCase()));
+  return key => patterns.some(match => match({ href: key, pathname: key }));
+}
+
+/**
+ * Build the URL policy for a crawl
+ * @param {Object} settings - Crawl settings (include, exclude, normalize, traps)
+ * @returns {Object} { normalize, evaluate, exportState, importState, rules }
+ */
+function createUrlPolicy(settings = {}) {
+  const normalizeRules = { ...DEFAULT_NORMALIZE, ...(settings.normalize || {}) };
+  const trapRules = { ...DEFAULT_TRAPS, ...(settings.traps || {}) };
+  const include = (settings.include || []).map(p => ({ pattern: p, match: compilePattern(p) }));
+  const exclude = (settings.exclude || []).map(p => ({ pattern: p, match: compilePattern(p) }));
+  const isStripped = paramMatcher(normalizeRules.strip_params || []);
+
+  const variantsByPath = new Map();
+  const urlsByPattern = new Map();
+
+  /**
+   * Normalize a URL: drop the fragment and tracking parameters, then apply
+   * the parameter order, trailing-slash and case policies
+   * @param {string} url - Absolute URL
+   * @returns {string|null} Normalized URL, or null when it does not parse
+   */
+  function normalize(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return null;
+    }
+    parsed.hash = '';
+
+    const params = normalizeRules.strip_all_params
+      ? []
+      : [...parsed.searchParams].filter(([key]) => !isStripped(key.toLowerCase()));
+    if (normalizeRules.sort_params) {
+      params.sort(([a, aValue], [b, bValue]) => a.localeCompare(b) || aValue.localeCompare(bValue));
+    }
+    parsed.search = new URLSearchParams(params).toString();
+
+    let pathname = parsed.pathname;
+    if (normalizeRules.lowercase_path) pathname = pathname.toLowerCase();
+    const lastSegment = pathname.split('/').pop();
+    // File-like paths ("/doc.pdf") never get a trailing slash added
+    if (normalizeRules.trailing_slash === 'add' && !pathname.endsWith('/') && !lastSegment.includes('.')) {
+      pathname += '/';
+    } else if (normalizeRules.trailing_slash === 'remove' && pathname.length > 1 && pathname.endsWith('/')) {
+      pathname = pathname.replace(/\/+$/, '') || '/';
+    }
+    parsed.pathname = pathname;
+
+    return parsed.href;
+  }
+
+  /**
+   * Decide whether a new, normalized URL should be crawled. Accepted URLs
+   * count towards the trap limits.
+   * @param {string} url - Normalized absolute URL
+   * @returns {Object|null} { reason, detail } when the URL is skipped
+   */
+  function evaluate(url) {
+    const parsed = new URL(url);
+
+    const excluded = exclude.find(rule => rule.match(parsed));
+    if (excluded) return { reason: 'excluded', detail: `matches exclude pattern ${excluded.pattern}` };
+    if (include.length > 0 && !include.some(rule => rule.match(parsed))) {
+      return { reason: 'not_included', detail: 'matches no include pattern' };
+    }
+
+    const segments = parsed.pathname.split('/').filter(Boolean);
+    if (segments.length > trapRules.max_path_segments) {
+      return { reason: 'path_too_deep', detail: `${segments.length} path segments` };
+    }
+    const repeats = {};
+    segments.forEach(s => { repeats[s] = (repeats[s] || 0) + 1; });
+    const repeated = Object.entries(repeats).find(([, count]) => count > trapRules.max_segment_repeats);
+    if (repeated) {
+      return { reason: 'repeating_path', detail: `segment "${repeated[0]}" repeats ${repeated[1]} times` };
+    }
+
+    const paramCount = [...parsed.searchParams.keys()].length;
+    if (paramCount > trapRules.max_query_params) {
+      return { reason: 'too_many_params', detail: `${paramCount} query parameters` };
+    }
+
+    const pathKey = parsed.origin + parsed.pathname;
+    const variants = variantsByPath.get(pathKey) || new Set();
+    if (parsed.search && !variants.has(parsed.search) && variants.size >= trapRules.max_variants_per_path) {
+      return { reason: 'parameter_explosion', detail: `more than ${trapRules.max_variants_per_path} query variants of ${parsed.pathname}` };
+    }
+
+    // Calendars and paginated archives differ only in their numeric segments
+    // (product and article IDs do too, hence the high default limit)
+    const shape = parsed.origin + parsed.pathname.split('/').map(s => (/^\d+$/.test(s) ? '{n}' : s)).join('/');
+    const shapeCount = urlsByPattern.get(shape) || 0;
+    if (shape !== pathKey && shapeCount >= trapRules.max_urls_per_pattern) {
+      return { reason: 'infinite_space', detail: `more than ${trapRules.max_urls_per_pattern} URLs like ${shape.slice(parsed.origin.length)}` };
+    }
+
+    if (parsed.search) {
+      variants.add(parsed.search);
+      variantsByPath.set(pathKey, variants);
+    }
+    urlsByPattern.set(shape, shapeCount + 1);
+    return null;
+  }
+
+  /**
+   * Trap counters, so a resumed crawl keeps counting where it left off
+   * @returns {Object} { variants, patterns }
+   */
+  function exportState() {
+    return {
+      variants: Object.fromEntries([...variantsByPath].map(([key, set]) => [key, [...set]])),
+      patterns: Object.fromEntries(urlsByPattern)
+    };
+  }
+
+  function importState(state) {
+    Object.entries(state.variants || {}).forEach(([key, list]) => variantsByPath.set(key, new Set(list)));
+    Object.entries(state.patterns || {}).forEach(([key, count]) => urlsByPattern.set(key, count));
+  }
+
+  return {
+    normalize,
+    evaluate,
+    exportState,
+    importState,
+    rules: {
+      include: settings.include || [],
+      exclude: settings.exclude || [],
+      normalize: normalizeRules,
+      traps: trapRules
+    }
+  };
+}
+
+module.exports = {
+  TRACKING_PARAMS,
+  DEFAULT_NORMALIZE,
+  DEFAULT_TRAPS,
+  compilePattern,
+  createUrlPolicy
+};